@@ -0,0 +1,51 @@
+// One-off migration: encrypts Zoho tokens stored before encryption at rest was
+// enabled, and re-wraps values sealed with a rotated-out key.
+//
+// Usage: npm run migrate:encrypt-tokens [-- --dry-run]
+const mongoose = require("mongoose");
+const { mongoDBConnectionString } = require("../src/config");
+const { UserToken } = require("../src/mongodb");
+const { needsReencryption, rewrapToken } = require("../src/tokenCrypto");
+
+const TOKEN_FIELDS = ["accessToken", "refreshToken"];
+
+async function migrate({ dryRun }) {
+  let scanned = 0;
+  let migrated = 0;
+
+  // Read raw documents so the schema getters don't decrypt the values first
+  const cursor = UserToken.collection.find({}, { projection: { teamsChatId: 1, accessToken: 1, refreshToken: 1 } });
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    const update = {};
+    for (const field of TOKEN_FIELDS) {
+      if (needsReencryption(doc[field])) {
+        update[field] = rewrapToken(doc[field], field);
+      }
+    }
+
+    if (Object.keys(update).length === 0) continue;
+
+    migrated++;
+    console.log(`${dryRun ? "[DRY RUN] Would migrate" : "Migrating"} ${Object.keys(update).join(", ")} for teamsChatId: ${doc.teamsChatId}`);
+    if (!dryRun) {
+      await UserToken.collection.updateOne({ _id: doc._id }, { $set: update });
+    }
+  }
+
+  console.log(`Scanned ${scanned} token document(s), ${dryRun ? "would migrate" : "migrated"} ${migrated}.`);
+}
+
+(async () => {
+  try {
+    await mongoose.connect(mongoDBConnectionString);
+    await migrate({ dryRun: process.argv.includes("--dry-run") });
+  } catch (error) {
+    console.error("Token encryption migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
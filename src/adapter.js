@@ -1,15 +1,14 @@
 const { TeamsAdapter } = require("@microsoft/teams-ai");
 
 const config = require("./config");
+const log = require("./logger").createLogger("adapter");
 
 const adapter = new TeamsAdapter(config);
 
 // Catch-all for errors.
 const onTurnErrorHandler = async (context, error) => {
-  // This check writes out errors to console log .vs. app insights.
-  // NOTE: In production environment, you should consider logging this to Azure
-  //       application insights.
-  console.error(`\n [onTurnError] unhandled error: ${error}`);
+  // Logged with the turn's correlationId, so it can be matched to the Zoho calls it made
+  log.error("Unhandled turn error", { error, activityType: context.activity.type });
 
   // Only send error message for user messages, not for other message types so the agent doesn't spam a channel or chat.
   if (context.activity.type === "message") {
@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const { JwtTokenExtractor } = require("botframework-connector");
+const config = require("./config");
+const log = require("./logger").createLogger("api-auth");
+
+// -------------------------
+// AUTH STRATEGIES FOR THE REST API
+// -------------------------
+//
+// Each strategy inspects the request and resolves to a caller description, or
+// null when the request doesn't carry its kind of credentials. API_AUTH_MODE
+// lists the strategies to accept, e.g. "hmac" or "hmac,jwt".
+
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // reject signatures older than 5 minutes
+
+/**
+ * Shared-secret HMAC. Callers send:
+ *   X-Api-Timestamp: unix time in milliseconds
+ *   X-Api-Signature: hex HMAC-SHA256 of "<timestamp>.<METHOD>.<originalUrl>.<raw body>"
+ */
+function hmacStrategy() {
+  if (!config.apiHmacSecret) {
+    throw new Error("API_AUTH_MODE includes hmac but API_HMAC_SECRET is not set");
+  }
+
+  return async (req) => {
+    const timestamp = req.get("X-Api-Timestamp");
+    const signature = req.get("X-Api-Signature");
+    if (!timestamp || !signature) return null;
+
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_CLOCK_SKEW) {
+      throw new Error("Request timestamp is outside the allowed window");
+    }
+
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody ? req.rawBody.toString("utf8") : ""}`;
+    const expected = crypto.createHmac("sha256", config.apiHmacSecret).update(payload).digest();
+    const received = Buffer.from(signature, "hex");
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error("Invalid request signature");
+    }
+
+    return { strategy: "hmac", subject: "shared-secret" };
+  };
+}
+
+/**
+ * Entra ID / Bot Framework bearer tokens issued for this app registration.
+ * Optionally restricted to the client ids in API_AUTH_ALLOWED_CLIENT_IDS.
+ */
+function jwtStrategy() {
+  const tenantId = config.MicrosoftAppTenantId;
+  if (!tenantId || !config.apiAuthAudience) {
+    throw new Error("API_AUTH_MODE includes jwt but BOT_TENANT_ID or API_AUTH_AUDIENCE is not set");
+  }
+
+  const extractor = new JwtTokenExtractor(
+    {
+      issuer: [`https://login.microsoftonline.com/${tenantId}/v2.0`, `https://sts.windows.net/${tenantId}/`],
+      audience: config.apiAuthAudience,
+      clockTolerance: 300,
+      ignoreExpiration: false,
+    },
+    `https://login.microsoftonline.com/${tenantId}/v2.0/.well-known/openid-configuration`,
+    ["RS256"]
+  );
+  const allowedClientIds = (config.apiAuthAllowedClientIds || "").split(",").map(id => id.trim()).filter(Boolean);
+
+  return async (req) => {
+    const header = req.get("Authorization");
+    if (!header || !header.startsWith("Bearer ")) return null;
+
+    const identity = await extractor.getIdentityFromAuthHeader(header, "");
+    if (!identity || !identity.isAuthenticated) {
+      throw new Error("Invalid bearer token");
+    }
+
+    const clientId = identity.getClaimValue("azp") || identity.getClaimValue("appid");
+    if (allowedClientIds.length && !allowedClientIds.includes(clientId)) {
+      throw new Error(`Client ${clientId} is not allowed to call this API`);
+    }
+
+    return { strategy: "jwt", subject: identity.getClaimValue("oid") || clientId };
+  };
+}
+
+const strategies = {
+  hmac: hmacStrategy,
+  jwt: jwtStrategy,
+};
+
+/**
+ * Build an express middleware that only lets authenticated callers through
+ * @param {string} mode - Comma-separated strategy names (defaults to API_AUTH_MODE)
+ * @returns {Function} Express middleware; sets req.apiCaller on success
+ */
+function createApiAuth(mode = config.apiAuthMode) {
+  const names = (mode || "").split(",").map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !strategies[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown API_AUTH_MODE strategy: ${unknown.join(", ")}`);
+  }
+  const authenticators = names.map(name => strategies[name]());
+
+  return async (req, res, next) => {
+    // Fail closed: without a configured strategy the protected routes are unreachable
+    if (!authenticators.length) {
+      return res.status(401).json({
+        success: false,
+        error: "API authentication is not configured"
+      });
+    }
+
+    try {
+      for (const authenticate of authenticators) {
+        const caller = await authenticate(req);
+        if (caller) {
+          req.apiCaller = caller;
+          return next();
+        }
+      }
+    } catch (error) {
+      log.warn("Rejected API request", { method: req.method, path: req.path, reason: error.message });
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized"
+    });
+  };
+}
+
+module.exports = {
+  createApiAuth
+};
@@ -1,4 +1,5 @@
-const { MemoryStorage, MessageFactory, CardFactory } = require("botbuilder");
+const { MessageFactory, CardFactory } = require("botbuilder");
+const crypto = require("crypto");
 const path = require("path");
 const config = require("../config");
 const moment = require("moment");
@@ -9,15 +10,42 @@ const { Application, ActionPlanner, OpenAIModel, PromptManager } = require("@mic
 // Import Zoho Projects helpers
 const {
   getUserToken,
+  getAuthorizationUrl,
+  signOut,
+  getPortals,
+  getActivePortalId,
+  setActivePortal,
   getPendingTasksByOwner,
   getProjectByName,
+  getTaskStatuses,
   getProjects,
   resolveOwnerId,
   getUsers,
+  isProjectMember,
   getTimeLogsForUser,
   getAllTimeLogs,
-  getProjectIssues
+  getProjectIssues,
+  findProject,
+  getTasklists,
+  findTasklist,
+  createTask,
+  getTask,
+  updateTask,
+  searchTasks,
+  getOverdueTasks,
+  findTask,
+  getTaskComments,
+  addTaskComment,
+  getTaskDetails
 } = require("../zoho");
+const { AuthRequiredError, TokenRevokedError, AccessDeniedError } = require("../errors");
+const { createBotStorage } = require("../storage");
+const { can, assertAllowed, assertActionAllowed, isActionOpenToAll, scopeTaskQuery, loadCaller } = require("../policy");
+const { createLogger, runWithLogContext } = require("../logger");
+const { runWithTurnBudget, trackStaleData } = require("../turnBudget");
+const { TtlCache } = require("../cache");
+
+const log = createLogger("app");
 
 
 
@@ -43,10 +71,10 @@ const prompts = new PromptManager({
 
 
 
-// helper function for IST date-time
+// helper function for the current date-time in the display time zone
 prompts.addFunction("currentDateTime", async () => {
   const options = {
-    timeZone: "Asia/Kolkata",
+    timeZone: config.displayTimeZone,
     year: "numeric",
     month: "long",
     day: "numeric",
@@ -70,7 +98,7 @@ const planner = new ActionPlanner({
 // -------------------------
 // APP + STORAGE
 // -------------------------
-const storage = new MemoryStorage();
+const storage = createBotStorage();
 
 const app = new Application({
   storage,
@@ -102,10 +130,289 @@ async function initializeConversationState(state) {
   }
 }
 
+function resetConversationState(state) {
+  for (const key of Object.keys(state.conversation)) {
+    delete state.conversation[key];
+  }
+  Object.assign(state.conversation, defaultConversationState);
+}
+
+
+// -------------------------
+// ZOHO SIGN-IN
+// -------------------------
+
+// Tokens are stored per Teams user, keyed by their Entra object id
+function getTeamsUserId(context) {
+  return context.activity.from?.aadObjectId || null;
+}
+
+async function sendSignInCard(context, reason = "I need access to your Zoho Projects account before I can answer that.") {
+  const card = {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: "🔒 Sign in to Zoho Projects",
+        weight: "Bolder",
+        size: "Medium",
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: `${reason} Sign in, then ask me again.`,
+        wrap: true,
+      },
+    ],
+    actions: [
+      {
+        type: "Action.OpenUrl",
+        title: "Sign in",
+        url: getAuthorizationUrl(getTeamsUserId(context)),
+      },
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+
+  await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
+}
+
+/**
+ * Load the caller's Zoho token, sending a sign-in card when there is none
+ * @returns {Object|null} Token document, or null if the user has to sign in first
+ */
+async function requireZohoToken(context, state) {
+  const teamsChatId = getTeamsUserId(context);
+  if (!teamsChatId) {
+    await context.sendActivity("❌ I couldn't identify your Teams account. Please message me from Microsoft Teams.");
+    return null;
+  }
+
+  try {
+    const tokenDoc = await getUserToken(teamsChatId);
+    state.conversation.isAuthenticated = true;
+    state.conversation.userId = tokenDoc.userId;
+    return tokenDoc;
+  } catch (err) {
+    if (await handleAuthError(context, state, err)) {
+      return null;
+    }
+    await replyWithError(context, state, err, "Auth");
+    return null;
+  }
+}
+
+/**
+ * Reply with a sign-in card if the error means the user has to (re)connect Zoho
+ * @returns {boolean} True if the error was an auth error and has been handled
+ */
+async function handleAuthError(context, state, error) {
+  if (!(error instanceof AuthRequiredError)) {
+    return false;
+  }
+
+  log.info("Zoho sign-in required", { reason: error.message });
+  state.conversation.isAuthenticated = false;
+  if (error instanceof TokenRevokedError) {
+    await sendSignInCard(context, "Your Zoho Projects sign-in has expired or was revoked.");
+  } else {
+    await sendSignInCard(context);
+  }
+  return true;
+}
+
+
+// -------------------------
+// ACCESS CONTROL
+// -------------------------
+
+/**
+ * The caller's identity and role in the active portal, loaded once per turn
+ * @returns {Object} Caller from policy.loadCaller
+ */
+async function getCaller(context, state) {
+  if (!state.temp.zohoCaller) {
+    const teamsChatId = getTeamsUserId(context);
+    const tokenDoc = await getUserToken(teamsChatId);
+    const portalId = await getActivePortalId(teamsChatId);
+    const users = await getUsers(teamsChatId, portalId);
+    state.temp.zohoCaller = await loadCaller(tokenDoc, users);
+  }
+  return state.temp.zohoCaller;
+}
+
+/**
+ * Tell the user why they were refused if the error is an access denial
+ * @returns {boolean} True if the error was an access denial and has been handled
+ */
+async function handleAccessDenied(context, error) {
+  if (!(error instanceof AccessDeniedError)) {
+    return false;
+  }
+
+  log.info("Access denied", { permission: error.permission, reason: error.message });
+  await sendErrorCard(context, "access-denied", error.message);
+  return true;
+}
+
+// -------------------------
+// ERROR REPLIES
+// -------------------------
+
+// One reply per kind of failure (error.code), each saying what to do next.
+// `outcome` is what the action returns to the planner.
+const ERROR_REPLIES = {
+  "access-denied": {
+    title: "🚫 Not allowed",
+    next: "If you need this, ask your Zoho Projects portal admin.",
+    outcome: "Access denied"
+  },
+  forbidden: {
+    title: "🚫 Zoho Projects refused the request",
+    text: "Your Zoho account doesn't have permission for this.",
+    next: "Ask your portal admin for access, or try a project you're a member of.",
+    outcome: "Forbidden by Zoho"
+  },
+  "not-found": {
+    title: "🔍 Not found in Zoho Projects",
+    text: "I couldn't find that in your active portal. It may have been deleted, or you may not be able to see it.",
+    next: "Check the name, or say \"list portals\" to switch portals.",
+    outcome: "Not found"
+  },
+  "rate-limited": {
+    title: "⏳ Zoho Projects is busy",
+    text: "We've reached Zoho's request limit for your account.",
+    next: "Wait a minute or two, then ask again.",
+    outcome: "Rate limited"
+  },
+  validation: {
+    title: "⚠️ Zoho Projects rejected the request",
+    text: "Zoho didn't accept some of the details.",
+    next: "Check the values and try again.",
+    outcome: "Invalid request"
+  },
+  "upstream-down": {
+    title: "🌩️ Zoho Projects is unavailable",
+    text: "I couldn't reach Zoho Projects just now.",
+    next: "Try again in a few minutes.",
+    outcome: "Zoho unavailable"
+  },
+  unknown: {
+    title: "⚠️ Something went wrong",
+    text: "I couldn't complete that request.",
+    next: "Try again. If it keeps happening, let your admin know.",
+    outcome: "Unexpected error"
+  }
+};
+
+async function sendErrorCard(context, code, text = null) {
+  const reply = ERROR_REPLIES[code] || ERROR_REPLIES.unknown;
+  const card = {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: reply.title,
+        weight: "Bolder",
+        size: "Medium",
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: text || reply.text,
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: reply.next,
+        isSubtle: true,
+        wrap: true,
+      },
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+
+  await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
+  return reply.outcome;
+}
+
+/**
+ * Reply to a failed action with the card for its kind of error. Raw error
+ * messages only go to the logs, never to the user.
+ * @returns {string} Outcome to return from the action
+ */
+async function replyWithError(context, state, error, actionName) {
+  if (await handleAuthError(context, state, error)) return "Authentication required";
+  if (await handleAccessDenied(context, error)) return ERROR_REPLIES["access-denied"].outcome;
+
+  if (ERROR_REPLIES[error.code]) {
+    log.warn("Action failed", { action: actionName, code: error.code, status: error.status, error: error.message });
+    return sendErrorCard(context, error.code);
+  }
+
+  log.error("Action failed unexpectedly", { action: actionName, error });
+  return sendErrorCard(context, "unknown");
+}
+
+/**
+ * Date and time as shown to users, in DISPLAY_TIME_ZONE (India by default),
+ * e.g. "05 Mar 2026, 2:30 PM GMT+5:30"
+ */
+function formatDateTime(date) {
+  const zoneName = (style) => new Intl.DateTimeFormat("en-US", { timeZone: config.displayTimeZone, timeZoneName: style })
+    .formatToParts(new Date(date))
+    .find(part => part.type === "timeZoneName").value;
+  const offset = zoneName("longOffset").replace(/^GMT/, "") || "+00:00";
+  return `${moment(date).utcOffset(offset).format("DD MMM YYYY, h:mm A")} ${zoneName("short")}`;
+}
+
+/**
+ * Tell the user that Zoho didn't answer and what they saw came from earlier
+ * @param {number} staleSince - When the oldest data shown was fetched (ms since epoch)
+ * @returns {string} Note for the planner
+ */
+async function sendStaleDataNote(context, staleSince) {
+  const asOf = formatDateTime(staleSince);
+  await context.sendActivity(
+    MessageFactory.text(`⚠️ Zoho Projects isn't responding right now, so this shows data as of ${asOf}.`)
+  );
+  return `data as of ${asOf}`;
+}
+
+/**
+ * Register an AI action that is checked against the access policy before it runs.
+ * Users without a Zoho token are passed through so the handler can ask them to sign in.
+ * Zoho calls made by the action share the turn's time budget; answers built from
+ * stale data get a "data as of" note.
+ */
+function registerAction(name, handler) {
+  app.ai.action(name, (context, state, parameters) => runWithLogContext({ action: name }, () =>
+    runWithTurnBudget(config.turnBudgetMs, async () => {
+      log.debug("Action called", { parameters });
+      if (!isActionOpenToAll(name)) {
+        try {
+          assertActionAllowed(name, await getCaller(context, state));
+        } catch (error) {
+          // Users without a token fall through to the handler's sign-in prompt
+          if (!(error instanceof AuthRequiredError)) {
+            return replyWithError(context, state, error, name);
+          }
+        }
+      }
 
+      const { value: result, staleSince } = await trackStaleData(() => handler(context, state, parameters));
+      if (!staleSince) return result;
 
-const teamsChatId="11111"
-app.ai.action("GetPendingTasksByOwner", async (context, state, parameters) => {
+      const note = await sendStaleDataNote(context, staleSince);
+      return typeof result === "string" ? `${result} (${note})` : result;
+    })
+  ));
+}
+
+
+registerAction("GetPendingTasksByOwner", async (context, state, parameters) => {
   try {
     const { ownerName } = parameters;
     if (!ownerName) {
@@ -113,71 +420,67 @@ app.ai.action("GetPendingTasksByOwner", async (context, state, parameters) => {
       return "Missing required parameter: ownerName";
     }
 
-    // const teamsChatId = context.activity.from.id;
-
     // 1️⃣ Get user token
-    let tokenDoc;
-    try {
-      tokenDoc = await getUserToken(teamsChatId);
-    } catch (err) {
-      console.error("[GetPendingTasksByOwner] Token error:", err.message);
-      await context.sendActivity("🔒 You need to authenticate with Zoho Projects first.");
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
       return "Authentication required";
     }
-    const token = tokenDoc.accessToken;
-
-    console.log(`Searching for pending tasks for owner: ${ownerName}`);
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
 
     // 2️⃣ Resolve Zoho ownerId with fuzzy matching
-    const owner = await resolveOwnerId(teamsChatId, config.zohoPortalId, ownerName);
+    const owner = await resolveOwnerId(teamsChatId, portalId, ownerName);
     if (!owner) {
       await context.sendActivity(`❌ Could not resolve owner for name: **${ownerName}**.`);
       return `Error: Owner resolution failed for ${ownerName}`;
     }
+    if (owner.multiple) {
+      await context.sendActivity(MessageFactory.text(`⚠️ Multiple users match your query: ${owner.multiple.join(", ")}. Please specify.`));
+      return "Multiple owners found";
+    }
+
+    const caller = await getCaller(context, state);
+    if (String(owner.id) !== caller.zpuid) {
+      assertAllowed(caller, "tasks:read-others");
+    }
 
     // 3️⃣ Fetch pending tasks by ownerName
-    const tasks = await getPendingTasksByOwner(context, state, owner.name);
+    const tasks = await getPendingTasksByOwner(teamsChatId, portalId, owner);
     if (!tasks || tasks.length === 0) {
       await context.sendActivity(`📊 No pending tasks found for **${owner.name}**.`);
       return `No pending tasks for ${owner.name}`;
     }
 
-    // 4️⃣ Format tasks with proper line breaks
-    const formattedTasks = tasks.map((task, i) => {
-      const dueDate = task.dueDate ? moment(task.dueDate).format("DD MMM YYYY") : "N/A";
-      const projectName = task.project || "-";
-      const status = task.status || "-";
-      const priority = task.priority || "none";
-      
-      return `${i + 1}. **${task.name}**\n   Project: ${projectName}\n   Status: ${status}\n   Priority: ${priority}\n   Due: ${dueDate}`;
-    });
-
-    const message = `   Found ${tasks.length} pending task(s) for **${owner.name}**:\n\n${formattedTasks.join("\n\n")}`;
-    await context.sendActivity(message);
+    // 4️⃣ One row per task, with buttons to update it
+    const card = await buildPendingTasksCard(teamsChatId, portalId, owner, tasks);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
 
     return `Successfully retrieved ${tasks.length} pending tasks for ${owner.name}`;
 
   } catch (error) {
-    console.error("[GetPendingTasksByOwner] Unexpected error:", error);
-    await context.sendActivity("⚠️ An unexpected error occurred while retrieving tasks. Please try again.");
-    return "Unexpected error";
+    return replyWithError(context, state, error, "GetPendingTasksByOwner");
   }
 });
 
 
 
 // Action to get project details
-app.ai.action("GetProjectDetails", async (context, state, params) => {
+registerAction("GetProjectDetails", async (context, state, params) => {
   try {
     const projectName = params.projectName;
-    // const teamsChatId = context.activity.from.id;
 
     if (!projectName) {
       await context.sendActivity(MessageFactory.text("❌ Missing required parameter: projectName."));
       return "Missing required parameters";
     }
 
-    const projectResult = await getProjectByName("11111", config.zohoPortalId, projectName);
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+
+    const portalId = await getActivePortalId(tokenDoc.teamsChatId);
+    const projectResult = await getProjectByName(tokenDoc.teamsChatId, portalId, projectName);
 
     if (projectResult.notFound) {
       await context.sendActivity(MessageFactory.text("❌ No project found."));
@@ -190,6 +493,12 @@ app.ai.action("GetProjectDetails", async (context, state, params) => {
       return "Multiple projects found";
     }
 
+    const caller = await getCaller(context, state);
+    if (!can(caller, "projects:read-any") &&
+        !(await isProjectMember(tokenDoc.teamsChatId, portalId, projectResult.id, caller.zpuid))) {
+      assertAllowed(caller, "projects:read-any");
+    }
+
     // Handle specific field query
     if (params.fields && params.fields.length > 0) {
       const field = params.fields[0];
@@ -238,26 +547,27 @@ app.ai.action("GetProjectDetails", async (context, state, params) => {
     return "Successfully retrieved project details";
 
   } catch (err) {
-    console.error("[PROJECT DETAILS ERROR]", err);
-    await context.sendActivity(MessageFactory.text("❌ I couldn’t fetch the data, please try again."));
-    return "Error occurred";
+    return replyWithError(context, state, err, "GetProjectDetails");
   }
 });
 
 
+// Shown when Zoho had more time log entries than the bot fetches
+const TIME_LOGS_TRUNCATED_NOTE = "There were too many time log entries to fetch them all, so these figures are incomplete.";
+
 // -------------------------
 // ShowTimeLogs action - now handles natural language queries
-app.ai.action("ShowTimeLogs", async (context, state, parameters) => {
-  console.log("\n=== SHOW TIME LOGS ACTION CALLED ===");
-  console.log("Parameters:", parameters);
-  
-
-  const teamsChatId = "11111";
+registerAction("ShowTimeLogs", async (context, state, parameters) => {
+  const tokenDoc = await requireZohoToken(context, state);
+  if (!tokenDoc) {
+    return "Authentication required";
+  }
+  const teamsChatId = tokenDoc.teamsChatId;
 
   try {
-    console.log("Fetching all time logs...");
-    const allTimeLogs = await getAllTimeLogs(teamsChatId, config.zohoPortalId);
-    console.log("Total time logs fetched:", allTimeLogs.length);
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const { items: allTimeLogs, truncated } = await getAllTimeLogs(teamsChatId, portalId);
     
     if (!allTimeLogs || allTimeLogs.length === 0) {
       await context.sendActivity(MessageFactory.text("❌ No time logs found in the system."));
@@ -265,7 +575,7 @@ app.ai.action("ShowTimeLogs", async (context, state, parameters) => {
     }
 
     // Get users for reference
-    const users = await getUsers(teamsChatId);
+    const users = await getUsers(teamsChatId, portalId);
     
     // Show summary of available data
     const uniqueUsers = [...new Set(allTimeLogs.map(log => log.userName))];
@@ -277,7 +587,8 @@ app.ai.action("ShowTimeLogs", async (context, state, parameters) => {
     const message = `�� **Time Logs Available**\n\n` +
       `**Users with time logs:** ${uniqueUsers.length}\n` +
       `**Date range:** ${dateRange.earliest} to ${dateRange.latest}\n` +
-      `**Total entries:** ${allTimeLogs.length}\n\n` +
+      `**Total entries:** ${allTimeLogs.length}${truncated ? "+" : ""}\n\n` +
+      (truncated ? `⚠️ ${TIME_LOGS_TRUNCATED_NOTE}\n\n` : "") +
       `**Available users:**\n${uniqueUsers.map((name, index) => `${index + 1}. ${name}`).join('\n')}\n\n` +
       `**Query examples:**\n` +
       `• "time logs for Divakar in May"\n` +
@@ -285,62 +596,32 @@ app.ai.action("ShowTimeLogs", async (context, state, parameters) => {
       `• "time logs for Anuj from 2025-01-01 to 2025-01-31"`;
     
     await context.sendActivity(MessageFactory.text(message));
-    console.log("Time logs summary sent successfully");
   } catch (error) {
-    console.error("Error in ShowTimeLogs:", error);
-    await context.sendActivity(MessageFactory.text(`❌ Error loading time logs data: ${error.message}`));
+    return replyWithError(context, state, error, "ShowTimeLogs");
   }
 });
 
 
-// Debug function to test user resolution
-async function debugUserResolution(teamsChatId, userName) {
-  try {
-    const users = await getUsers(teamsChatId);
-    console.log("All available users:");
-    users.forEach((user, index) => {
-      console.log(`  ${index + 1}. ID: ${user.id}, Name: "${user.name}"`);
-    });
-    
-    console.log(`\nSearching for: "${userName}"`);
-    const foundUser = users.find(u => 
-      u.name.toLowerCase().includes(userName.toLowerCase()) ||
-      u.name.toLowerCase().split(' ')[0] === userName.toLowerCase()
-    );
-    
-    if (foundUser) {
-      console.log(`Found user: ID: ${foundUser.id}, Name: "${foundUser.name}"`);
-    } else {
-      console.log("User not found");
-    }
-    
-    return foundUser;
-  } catch (error) {
-    console.error("Debug user resolution error:", error);
-    return null;
-  }
-}
-
 // -------------------------
 // GetTimeLogs action
-app.ai.action("GetTimeLogs", async (context, state, parameters) => {
-  console.log("\n=== GET TIME LOGS ACTION CALLED ===");
-  console.log("Parameters:", parameters);
-  
-  const teamsChatId = "11111";
-  
+registerAction("GetTimeLogs", async (context, state, parameters) => {
   const { userInput } = parameters || {};
-  console.log("User input:", userInput);
   
   if (!userInput) {
     await context.sendActivity(MessageFactory.text("Please specify which user's time logs you want to see."));
     return;
   }
+
+  const tokenDoc = await requireZohoToken(context, state);
+  if (!tokenDoc) {
+    return "Authentication required";
+  }
+  const teamsChatId = tokenDoc.teamsChatId;
   
   try {
-    // Get users first for debugging
-    const users = await getUsers(teamsChatId);
-    console.log("Available users:", users.map(u => `${u.name} (ID: ${u.id})`));
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const users = await getUsers(teamsChatId, portalId);
     
     // Parse user input first
     const { userName, startDate, endDate, period } = parseTimeLogQuery(userInput, users);
@@ -363,11 +644,12 @@ app.ai.action("GetTimeLogs", async (context, state, parameters) => {
       return;
     }
 
-    console.log(`Fetching time logs for ${userName} (ID: ${targetUser.id}) from ${startDate} to ${endDate}`);
+    const caller = await getCaller(context, state);
+    if (String(targetUser.id) !== caller.zpuid) {
+      assertAllowed(caller, "timelogs:read-others");
+    }
 
-    // Use getTimeLogsForUser instead of getAllTimeLogs
-    const timeLogs = await getTimeLogsForUser(teamsChatId, config.zohoPortalId, targetUser.id, startDate, endDate);
-    console.log(`Found ${timeLogs.length} time log entries`);
+    const { items: timeLogs, truncated } = await getTimeLogsForUser(teamsChatId, portalId, targetUser.id, startDate, endDate);
     
     if (timeLogs.length === 0) {
       await context.sendActivity(
@@ -397,29 +679,20 @@ app.ai.action("GetTimeLogs", async (context, state, parameters) => {
       `• Total Hours: ${stats.totalHours}\n` +
       `• Work Days: ${stats.workDays}\n` +
       `• Average per day: ${stats.averageHours.toFixed(1)} hours\n\n` +
+      (truncated ? `⚠️ ${TIME_LOGS_TRUNCATED_NOTE} Ask for a shorter period to see the full totals.\n\n` : "") +
       `**Daily Logs:**\n${formattedLogs}`;
     
     await context.sendActivity(MessageFactory.text(message));
-    console.log("Time logs response sent successfully");
     
   } catch (error) {
-    console.error("[GetTimeLogs] Error:", error);
-    await context.sendActivity(
-      MessageFactory.text(`Error fetching time logs: ${error.message}`)
-    );
+    return replyWithError(context, state, error, "GetTimeLogs");
   }
 });
 
 // -------------------------
 // GetProjectIssues action
-app.ai.action("GetProjectIssues", async (context, state, parameters) => {
-  console.log("\n=== GET PROJECT ISSUES ACTION CALLED ===");
-  console.log("Parameters:", parameters);
-  
-  const teamsChatId = "11111";
-  
+registerAction("GetProjectIssues", async (context, state, parameters) => {
   const { projectName } = parameters || {};
-  console.log("Project name:", projectName);
   
   if (!projectName) {
     await context.sendActivity(MessageFactory.text("❌ Please specify which project's issues you want to see."));
@@ -428,26 +701,26 @@ app.ai.action("GetProjectIssues", async (context, state, parameters) => {
   
   try {
     // Get user token
-    let tokenDoc;
-    try {
-      tokenDoc = await getUserToken(teamsChatId);
-    } catch (err) {
-      console.error("[GetProjectIssues] Token error:", err.message);
-      await context.sendActivity("🔒 You need to authenticate with Zoho Projects first.");
-      return;
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
     }
+    const teamsChatId = tokenDoc.teamsChatId;
 
-    console.log(`Fetching issues for project: ${projectName}`);
-    
     // Fetch issues for the project
-    const issues = await getProjectIssues(teamsChatId, config.zohoPortalId, projectName);
-    console.log(`Found ${issues.length} issues for project: ${projectName}`);
-    
-    // Debug: Log the first issue to see the data structure
-    if (issues.length > 0) {
-      console.log(`\n=== DEBUG: First issue data ===`);
-      console.log(JSON.stringify(issues[0], null, 2));
+    const portalId = await getActivePortalId(teamsChatId);
+
+    // Client users may only look at projects they are a member of
+    const caller = await getCaller(context, state);
+    if (!can(caller, "projects:read-any")) {
+      const project = await getProjectByName(teamsChatId, portalId, projectName);
+      if (project.notFound || project.multiple ||
+          !(await isProjectMember(teamsChatId, portalId, project.id, caller.zpuid))) {
+        assertAllowed(caller, "projects:read-any");
+      }
     }
+
+    const issues = await getProjectIssues(teamsChatId, portalId, projectName);
     
     if (issues.length === 0) {
       await context.sendActivity(
@@ -537,107 +810,1600 @@ app.ai.action("GetProjectIssues", async (context, state, parameters) => {
     }
 
     await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
-    console.log("Project issues response sent successfully");
     
   } catch (error) {
-    console.error("[GetProjectIssues] Error:", error);
-    await context.sendActivity(
-      MessageFactory.text(`❌ Error fetching issues for project ${projectName}: ${error.message}`)
-    );
+    return replyWithError(context, state, error, "GetProjectIssues");
   }
 });
 
-function parseTimeLogQuery(userInput, users) {
-  const moment = require("moment");
-  const input = userInput.toLowerCase();
-  let userName = null;
-  let startDate = null;
-  let endDate = null;
-  let period = null;
-  
-  console.log("Input:", input);
-  console.log("Available users:", users.map(u => u.name));
-  
-  // Extract the name part from the input - FIXED LOGIC
-  let nameQuery = input
-    .replace(/time logs for /gi, '')
-    .replace(/show me /gi, '')
-    .replace(/'s time logs/gi, '')
-    .replace(/\s+(in|for|during)\s+.*/gi, '') // Remove everything after "in", "for", "during"
-    .trim();
-  
-  console.log("Extracted name query:", nameQuery);
-  
-  // Find user name by matching with available users
-  for (const user of users) {
-    const userFullName = user.name.toLowerCase();
-    const parts = userFullName.split(' ');
-    const userFirstName = parts[0] || "";
-    const userLastName = parts[parts.length - 1] || "";
-    
-    console.log(`Checking user: ${user.name} (${userFirstName}, ${userLastName})`);
-    
-    // Check exact matches first, then partial matches
-    if (userFullName === nameQuery || 
-        userFirstName === nameQuery || 
-        userLastName === nameQuery ||
-        userFullName.includes(nameQuery) ||
-        nameQuery.includes(userFirstName)) {
-      userName = user.name;
-      console.log(`Found matching user: ${userName}`);
-      break;
+// -------------------------
+// SIGN-OUT
+// -------------------------
+
+registerAction("SignOut", async (context, state) => {
+  try {
+    const teamsChatId = getTeamsUserId(context);
+    if (!teamsChatId) {
+      await context.sendActivity("❌ I couldn't identify your Teams account. Please message me from Microsoft Teams.");
+      return "Unknown user";
     }
+
+    const { hadToken, revokedAtZoho, alreadyRevoked } = await signOut(teamsChatId);
+    resetConversationState(state);
+
+    const details = !hadToken
+      ? "Your Zoho Projects account wasn't connected, so there was nothing to remove."
+      : revokedAtZoho
+        ? "Your Zoho access has been revoked and your stored sign-in deleted."
+        : alreadyRevoked
+          ? "Your Zoho access had already been revoked, and your stored sign-in has been deleted."
+          : "Your stored sign-in has been deleted, but Zoho couldn't be reached to revoke access. You can also remove access under Connected Apps in your Zoho account settings.";
+
+    const card = {
+      type: "AdaptiveCard",
+      version: "1.4",
+      body: [
+        {
+          type: "TextBlock",
+          text: "👋 Signed out of Zoho Projects",
+          weight: "Bolder",
+          size: "Medium",
+          wrap: true,
+        },
+        {
+          type: "TextBlock",
+          text: details,
+          wrap: true,
+        },
+        {
+          type: "TextBlock",
+          text: "Ask me anything about Zoho Projects to sign in again.",
+          isSubtle: true,
+          wrap: true,
+        },
+      ],
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+    };
+
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
+    return hadToken ? "Signed out" : "Was not signed in";
+  } catch (error) {
+    return replyWithError(context, state, error, "SignOut");
   }
-  
-  // If no exact match, try more flexible matching
-  if (!userName) {
-    console.log("No exact match found, trying flexible matching...");
-    for (const user of users) {
-      const userFullName = user.name.toLowerCase();
-      const parts = userFullName.split(' ');
-      
-      // Check if any word in the query matches any word in the user name
-      const queryWords = nameQuery.split(' ');
-      const nameWords = parts;
-      
-      const hasMatch = queryWords.some(qWord => 
-        nameWords.some(nWord => 
-          qWord.length > 2 && nWord.includes(qWord)
-        )
-      );
-      
-      if (hasMatch) {
-        userName = user.name;
-        console.log(`Found flexible matching user: ${userName}`);
-        break;
-      }
+});
+
+// -------------------------
+// PORTAL SELECTION
+// -------------------------
+
+function buildPortalsCard(portals, activePortalId) {
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: "🏢 Your Zoho Projects portals",
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      ...portals.map(portal => ({
+        type: "ColumnSet",
+        columns: [
+          {
+            type: "Column",
+            width: "stretch",
+            verticalContentAlignment: "Center",
+            items: [
+              {
+                type: "TextBlock",
+                text: portal.id === activePortalId ? `**${portal.name}** (active)` : portal.name,
+                wrap: true,
+              },
+            ],
+          },
+          {
+            type: "Column",
+            width: "auto",
+            items: portal.id === activePortalId ? [] : [
+              {
+                type: "ActionSet",
+                actions: [
+                  {
+                    type: "Action.Submit",
+                    title: "Switch",
+                    data: { verb: "switchPortal", portalId: portal.id, portalName: portal.name },
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      })),
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+async function switchPortal(context, state, teamsChatId, portal) {
+  await setActivePortal(teamsChatId, portal);
+  // Cached task data belongs to the previous portal
+  state.conversation.lastTasksData = null;
+  state.conversation.formattedTasks = null;
+  state.conversation.lastRawTasksResponse = null;
+  await context.sendActivity(MessageFactory.text(`✅ Switched to portal **${portal.name}**. Your questions will now use this portal.`));
+}
+
+registerAction("ListPortals", async (context, state) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
     }
-  }
-  
-  // Parse date patterns - keeping 2025 as requested
-  const currentYear = 2025;
-  
-  const monthMatch = input.match(/(?:in|for|during)\s+(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i);
-  if (monthMatch) {
-    const monthName = monthMatch[1];
-    const monthNum = moment().month(monthName).month();
-    if (monthNum >= 0) {
-      const targetYear = currentYear;
-      startDate = moment().year(targetYear).month(monthNum).startOf('month').format('YYYY-MM-DD');
-      endDate = moment().year(targetYear).month(monthNum).endOf('month').format('YYYY-MM-DD');
-      period = `${monthName} ${targetYear}`;
-      console.log(`Parsed month: ${monthName} -> ${monthNum} -> ${startDate} to ${endDate}`);
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    const portals = await getPortals(teamsChatId);
+    if (portals.length === 0) {
+      await context.sendActivity(MessageFactory.text("❌ Your Zoho account doesn't belong to any Zoho Projects portal."));
+      return "No portals found";
     }
+
+    const activePortalId = await getActivePortalId(teamsChatId);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildPortalsCard(portals, activePortalId))] });
+    return `Listed ${portals.length} portal(s)`;
+  } catch (error) {
+    return replyWithError(context, state, error, "ListPortals");
   }
-  
-  // Other date parsing patterns...
-  const weekMatch = input.match(/(?:first|second|third|fourth|1st|2nd|3rd|4th)\s+week\s+of\s+(\w+)/);
-  if (weekMatch) {
-    const monthName = weekMatch[1];
-    const monthNum = moment().month(monthName).month();
-    if (monthNum >= 0) {
-      const monthStart = moment().year(currentYear).month(monthNum).startOf('month');
-      startDate = monthStart.format('YYYY-MM-DD');
+});
+
+registerAction("SwitchPortal", async (context, state, parameters) => {
+  try {
+    const { portalName } = parameters || {};
+    if (!portalName) {
+      await context.sendActivity(MessageFactory.text("❌ Please tell me which portal to switch to."));
+      return "Missing required parameter: portalName";
+    }
+
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    const portals = await getPortals(teamsChatId);
+    const query = portalName.toLowerCase().trim();
+    const exact = portals.filter(p => p.id === query || p.name.toLowerCase() === query);
+    const matched = exact.length > 0 ? exact : portals.filter(p => p.name.toLowerCase().includes(query));
+
+    if (matched.length === 0) {
+      await context.sendActivity(MessageFactory.text(`❌ No portal matches **${portalName}**. Here are the portals you can use:`));
+      const activePortalId = await getActivePortalId(teamsChatId);
+      await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildPortalsCard(portals, activePortalId))] });
+      return "No portal found";
+    }
+    if (matched.length > 1) {
+      await context.sendActivity(MessageFactory.text(`⚠️ Multiple portals match your query: ${matched.map(p => p.name).join(", ")}. Please specify.`));
+      return "Multiple portals found";
+    }
+
+    await switchPortal(context, state, teamsChatId, matched[0]);
+    return `Switched to portal ${matched[0].name}`;
+  } catch (error) {
+    return replyWithError(context, state, error, "SwitchPortal");
+  }
+});
+
+// "Switch" button on the portals card
+app.adaptiveCards.actionSubmit("switchPortal", async (context, state, data) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+
+    // Only accept portals the user actually belongs to
+    const portals = await getPortals(tokenDoc.teamsChatId);
+    const portal = portals.find(p => p.id === String(data.portalId));
+    if (!portal) {
+      await context.sendActivity(MessageFactory.text("❌ That portal is no longer available to you."));
+      return;
+    }
+
+    await switchPortal(context, state, tokenDoc.teamsChatId, portal);
+  } catch (error) {
+    await replyWithError(context, state, error, "switchPortal");
+  }
+});
+
+// -------------------------
+// TASK CREATION
+// -------------------------
+
+const TASK_PRIORITIES = ["none", "low", "medium", "high"];
+
+// Previews already turned into tasks, so a second click doesn't create a duplicate
+const MAX_REMEMBERED_PREVIEWS = 20;
+
+/**
+ * Check optional YYYY-MM-DD start and due dates
+ * @returns {{startDate: string|null, dueDate: string|null}|{error: string}}
+ */
+function checkTaskDates(startDate, dueDate) {
+  for (const [label, value] of [["start", startDate], ["due", dueDate]]) {
+    if (value && !moment(value, "YYYY-MM-DD", true).isValid()) {
+      return { error: `❌ The ${label} date **${value}** isn't a valid date. Please use YYYY-MM-DD.` };
+    }
+  }
+  if (startDate && dueDate && moment(dueDate).isBefore(startDate)) {
+    return { error: "❌ The due date can't be before the start date." };
+  }
+  return { startDate: startDate || null, dueDate: dueDate || null };
+}
+
+function formatTaskDate(date) {
+  return date ? moment(date).format("DD MMM YYYY") : "-";
+}
+
+function buildTaskPreviewCard({ portalId, project, tasklists, users, draft, previewId }) {
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: `📝 New task in ${project.name}`,
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: "Check the details and change anything you need, then create the task.",
+        isSubtle: true,
+        wrap: true,
+      },
+      {
+        type: "Input.Text",
+        id: "taskName",
+        label: "Name",
+        value: draft.name,
+        isRequired: true,
+        errorMessage: "The task needs a name",
+      },
+      {
+        type: "Input.Text",
+        id: "taskDescription",
+        label: "Description",
+        value: draft.description || "",
+        isMultiline: true,
+      },
+      ...(tasklists.length > 0 ? [{
+        type: "Input.ChoiceSet",
+        id: "tasklistId",
+        label: "Task list",
+        value: draft.tasklistId || tasklists[0].id,
+        choices: tasklists.map(list => ({ title: list.name, value: list.id })),
+      }] : []),
+      {
+        type: "Input.ChoiceSet",
+        id: "ownerIds",
+        label: "Owners",
+        isMultiSelect: true,
+        value: draft.ownerIds.join(","),
+        choices: users.map(user => ({ title: user.name, value: String(user.id) })),
+      },
+      {
+        type: "ColumnSet",
+        columns: [
+          {
+            type: "Column",
+            width: "stretch",
+            items: [{ type: "Input.Date", id: "startDate", label: "Start date", value: draft.startDate || "" }],
+          },
+          {
+            type: "Column",
+            width: "stretch",
+            items: [{ type: "Input.Date", id: "dueDate", label: "Due date", value: draft.dueDate || "" }],
+          },
+        ],
+      },
+      {
+        type: "Input.ChoiceSet",
+        id: "priority",
+        label: "Priority",
+        value: draft.priority,
+        choices: TASK_PRIORITIES.map(p => ({ title: p.charAt(0).toUpperCase() + p.slice(1), value: p })),
+      },
+    ],
+    actions: [
+      {
+        type: "Action.Submit",
+        title: "Create task",
+        style: "positive",
+        data: { verb: "createTask", portalId, projectId: project.id, projectName: project.name, previewId },
+      },
+      {
+        type: "Action.Submit",
+        title: "Cancel",
+        associatedInputs: "none",
+        data: { verb: "cancelCreateTask", previewId },
+      },
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+function buildCreatedTaskCard(task, projectName, portalId) {
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: `✅ Task created: ${task.name}`,
+        weight: "Bolder",
+        size: "Medium",
+        wrap: true,
+      },
+      {
+        type: "FactSet",
+        facts: [
+          { title: "Project", value: task.project || projectName || "-" },
+          { title: "Task list", value: task.tasklist || "-" },
+          { title: "Owners", value: task.owners.map(o => o.name).join(", ") || "Unassigned" },
+          { title: "Start", value: formatTaskDate(task.startDate) },
+          { title: "Due", value: formatTaskDate(task.dueDate) },
+          { title: "Priority", value: task.priority },
+        ],
+      },
+    ],
+    actions: [
+      {
+        type: "Action.OpenUrl",
+        title: "Open in Zoho Projects",
+        url: task.url,
+      },
+      commentsButton({ portalId, projectId: task.projectId, taskId: task.id, taskName: task.name }),
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+// Replace the card a button was clicked on, or send a new one outside Teams
+async function replaceCard(context, card) {
+  const attachments = [CardFactory.adaptiveCard(card)];
+  if (context.activity.replyToId) {
+    await context.updateActivity({ type: "message", id: context.activity.replyToId, attachments });
+  } else {
+    await context.sendActivity({ attachments });
+  }
+}
+
+registerAction("CreateTask", async (context, state, parameters) => {
+  try {
+    const { projectName, name } = parameters || {};
+    if (!projectName || !name) {
+      await context.sendActivity(MessageFactory.text("❌ Please tell me the project and the name of the task."));
+      return "Missing required parameters";
+    }
+
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const found = await findProject(teamsChatId, portalId, projectName);
+    if (found.notFound) {
+      await context.sendActivity(MessageFactory.text(`❌ No project matches **${projectName}**.`));
+      return "No project found";
+    }
+    if (found.multiple) {
+      await context.sendActivity(MessageFactory.text(`⚠️ Multiple projects match your query: ${found.multiple.join(", ")}. Please specify.`));
+      return "Multiple projects found";
+    }
+    const { project } = found;
+
+    const tasklists = await getTasklists(teamsChatId, portalId, project.id);
+    let tasklist = tasklists.find(l => l.isDefault) || tasklists[0] || null;
+    if (parameters.tasklistName) {
+      const result = await findTasklist(teamsChatId, portalId, project.id, parameters.tasklistName);
+      if (result.notFound) {
+        const available = result.tasklists.map(l => l.name).join(", ") || "none";
+        await context.sendActivity(MessageFactory.text(`❌ **${project.name}** has no task list matching **${parameters.tasklistName}**. Task lists: ${available}.`));
+        return "No task list found";
+      }
+      if (result.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple task lists match your query: ${result.multiple.join(", ")}. Please specify.`));
+        return "Multiple task lists found";
+      }
+      tasklist = result.tasklist;
+    }
+
+    const ownerIds = [];
+    for (const ownerName of [].concat(parameters.owners || [])) {
+      const owner = await resolveOwnerId(teamsChatId, portalId, ownerName);
+      if (!owner) {
+        await context.sendActivity(`❌ Could not resolve owner for name: **${ownerName}**.`);
+        return `Error: Owner resolution failed for ${ownerName}`;
+      }
+      if (owner.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple users match your query: ${owner.multiple.join(", ")}. Please specify.`));
+        return "Multiple owners found";
+      }
+      ownerIds.push(String(owner.id));
+    }
+    // Without named owners the task goes to whoever asked for it
+    const caller = await getCaller(context, state);
+    if (ownerIds.length === 0 && caller.zpuid) {
+      ownerIds.push(caller.zpuid);
+    }
+
+    const dates = checkTaskDates(parameters.startDate, parameters.dueDate);
+    if (dates.error) {
+      await context.sendActivity(MessageFactory.text(dates.error));
+      return "Invalid dates";
+    }
+
+    const priority = String(parameters.priority || "none").toLowerCase();
+    const card = buildTaskPreviewCard({
+      portalId,
+      project,
+      tasklists,
+      users: await getUsers(teamsChatId, portalId),
+      draft: {
+        name,
+        description: parameters.description,
+        tasklistId: tasklist?.id,
+        ownerIds,
+        startDate: dates.startDate,
+        dueDate: dates.dueDate,
+        priority: TASK_PRIORITIES.includes(priority) ? priority : "none",
+      },
+      previewId: crypto.randomUUID(),
+    });
+
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(card)] });
+    return `Showed a preview of task "${name}" in ${project.name}; it is created when the user confirms on the card`;
+  } catch (error) {
+    return replyWithError(context, state, error, "CreateTask");
+  }
+});
+
+// "Create task" button on the preview card
+app.adaptiveCards.actionSubmit("createTask", async (context, state, data) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    if (String(data.portalId) !== await getActivePortalId(teamsChatId)) {
+      await context.sendActivity(MessageFactory.text("⚠️ You've switched portal since this preview was made. Ask me to create the task again."));
+      return;
+    }
+    assertAllowed(await getCaller(context, state), "tasks:create");
+
+    const name = String(data.taskName || "").trim();
+    if (!name) {
+      await context.sendActivity(MessageFactory.text("❌ The task needs a name."));
+      return;
+    }
+    const dates = checkTaskDates(data.startDate, data.dueDate);
+    if (dates.error) {
+      await context.sendActivity(MessageFactory.text(dates.error));
+      return;
+    }
+
+    const created = state.conversation.createdTaskPreviews || [];
+    if (created.includes(data.previewId)) {
+      await context.sendActivity(MessageFactory.text("ℹ️ This task has already been created."));
+      return;
+    }
+    state.conversation.createdTaskPreviews = [...created, data.previewId].slice(-MAX_REMEMBERED_PREVIEWS);
+
+    let task;
+    try {
+      task = await createTask(teamsChatId, data.portalId, data.projectId, {
+        name,
+        description: data.taskDescription,
+        tasklistId: data.tasklistId || null,
+        ownerIds: String(data.ownerIds || "").split(",").filter(Boolean),
+        startDate: dates.startDate,
+        dueDate: dates.dueDate,
+        priority: TASK_PRIORITIES.includes(data.priority) ? data.priority : "none",
+      });
+    } catch (error) {
+      // Nothing was created, so the preview can be submitted again
+      state.conversation.createdTaskPreviews = state.conversation.createdTaskPreviews.filter(id => id !== data.previewId);
+      throw error;
+    }
+
+    await replaceCard(context, buildCreatedTaskCard(task, data.projectName, data.portalId));
+  } catch (error) {
+    await replyWithError(context, state, error, "createTask");
+  }
+});
+
+// "Cancel" button on the preview card
+app.adaptiveCards.actionSubmit("cancelCreateTask", async (context) => {
+  await replaceCard(context, {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: "🗑️ Task not created",
+        weight: "Bolder",
+        wrap: true,
+      },
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  });
+});
+
+// -------------------------
+// TASK UPDATES
+// -------------------------
+
+// Rows on the pending tasks card; Teams rejects cards above about 28 KB
+const MAX_TASK_ROWS = 15;
+const PERCENT_CHOICES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+function taskRow(task, ref, statuses) {
+  const currentStatus = statuses.find(s => s.name === task.status);
+  const saveButton = (verb) => ({ type: "Action.Submit", title: "Save", data: { verb, ...ref } });
+  const showCard = (title, input, verb) => ({
+    type: "Action.ShowCard",
+    title,
+    card: { type: "AdaptiveCard", body: [input], actions: [saveButton(verb)] },
+  });
+
+  return {
+    type: "Container",
+    separator: true,
+    items: [
+      {
+        type: "TextBlock",
+        text: `**${task.name}**`,
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: `${task.project} · ${task.status} · Priority: ${task.priority} · ${task.completionPercentage}% done · Due: ${formatTaskDate(task.endDate)}`,
+        isSubtle: true,
+        spacing: "None",
+        wrap: true,
+      },
+      {
+        type: "ActionSet",
+        actions: [
+          { type: "Action.Submit", title: "Mark complete", data: { verb: "completeTask", ...ref } },
+          showCard("Change status", {
+            type: "Input.ChoiceSet",
+            id: `status-${task.id}`,
+            label: "Status",
+            value: currentStatus?.id,
+            choices: statuses.map(s => ({ title: s.name, value: s.id })),
+          }, "setTaskStatus"),
+          showCard("Set % done", {
+            type: "Input.ChoiceSet",
+            id: `percent-${task.id}`,
+            label: "% done",
+            value: String(task.completionPercentage),
+            choices: PERCENT_CHOICES.map(p => ({ title: `${p}%`, value: String(p) })),
+          }, "setTaskPercent"),
+          showCard("Change due date", {
+            type: "Input.Date",
+            id: `dueDate-${task.id}`,
+            label: "Due date",
+            value: task.endDate ? moment(task.endDate).format("YYYY-MM-DD") : "",
+          }, "setTaskDueDate"),
+          commentsButton(ref),
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Pending tasks of one owner, with buttons to update each task
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {{id: string, name: string}} owner - Owner from resolveOwnerId
+ * @param {Array} tasks - Tasks from getPendingTasksByOwner, latest first
+ * @param {string} notice - Optional line above the tasks, e.g. what just changed
+ */
+async function buildPendingTasksCard(teamsChatId, portalId, owner, tasks, notice = null) {
+  const shown = tasks.slice(0, MAX_TASK_ROWS);
+
+  const statusesByProject = {};
+  for (const projectId of new Set(shown.map(t => t.projectId).filter(Boolean))) {
+    statusesByProject[projectId] = await getTaskStatuses(teamsChatId, portalId, projectId);
+  }
+
+  const rows = shown.map(task => taskRow(task, {
+    portalId,
+    projectId: task.projectId,
+    taskId: task.id,
+    taskName: task.name,
+    ownerId: String(owner.id),
+    ownerName: owner.name,
+  }, statusesByProject[task.projectId] || []));
+
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      ...(notice ? [{ type: "TextBlock", text: notice, wrap: true }] : []),
+      {
+        type: "TextBlock",
+        text: tasks.length > 0
+          ? `📋 ${tasks.length} pending task(s) for ${owner.name}`
+          : `📋 No pending tasks left for ${owner.name}`,
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      ...(tasks.length > shown.length ? [{
+        type: "TextBlock",
+        text: `Showing the latest ${shown.length}.`,
+        isSubtle: true,
+        wrap: true,
+      }] : []),
+      ...rows,
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+/**
+ * Apply a change from a button on the pending tasks card, then redraw the card in place
+ * @param {Function} prepare - async (teamsChatId) => {changes, notice(task)} for updateTask,
+ *   or {error} to tell the user why nothing was changed
+ */
+async function updateTaskFromCard(context, state, data, verb, prepare) {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    if (String(data.portalId) !== await getActivePortalId(teamsChatId)) {
+      await context.sendActivity(MessageFactory.text("⚠️ You've switched portal since this list was shown. Ask me for the tasks again."));
+      return;
+    }
+    // Card data comes from the client, so check who really owns the task
+    const caller = await getCaller(context, state);
+    let owner = { id: data.ownerId, name: data.ownerName };
+    if (!can(caller, "tasks:update-others")) {
+      const current = await getTask(teamsChatId, data.portalId, data.projectId, data.taskId);
+      if (!current.owners.some(o => o.id === caller.zpuid)) {
+        assertAllowed(caller, "tasks:update-others");
+      }
+      owner = { id: caller.zpuid, name: caller.name };
+    }
+
+    const { changes, notice, error } = await prepare(teamsChatId);
+    if (error) {
+      await context.sendActivity(MessageFactory.text(error));
+      return;
+    }
+    const task = await updateTask(teamsChatId, data.portalId, data.projectId, data.taskId, changes);
+
+    const tasks = await getPendingTasksByOwner(teamsChatId, data.portalId, owner);
+    await replaceCard(context, await buildPendingTasksCard(teamsChatId, data.portalId, owner, tasks, notice(task)));
+  } catch (error) {
+    await replyWithError(context, state, error, verb);
+  }
+}
+
+app.adaptiveCards.actionSubmit("completeTask", (context, state, data) =>
+  updateTaskFromCard(context, state, data, "completeTask", async (teamsChatId) => {
+    const statuses = await getTaskStatuses(teamsChatId, data.portalId, data.projectId);
+    const closed = statuses.find(s => s.isClosed);
+    if (!closed) {
+      return { error: "❌ This project has no closed status to move the task to." };
+    }
+    return {
+      changes: { statusId: closed.id },
+      notice: (task) => `✅ Marked **${task.name}** complete.`,
+    };
+  })
+);
+
+app.adaptiveCards.actionSubmit("setTaskStatus", (context, state, data) =>
+  updateTaskFromCard(context, state, data, "setTaskStatus", async (teamsChatId) => {
+    const statuses = await getTaskStatuses(teamsChatId, data.portalId, data.projectId);
+    const status = statuses.find(s => s.id === String(data[`status-${data.taskId}`]));
+    if (!status) {
+      return { error: "❌ Please pick a status first." };
+    }
+    return {
+      changes: { statusId: status.id },
+      notice: (task) => `🔄 **${task.name}** is now **${status.name}**.`,
+    };
+  })
+);
+
+app.adaptiveCards.actionSubmit("setTaskPercent", (context, state, data) =>
+  updateTaskFromCard(context, state, data, "setTaskPercent", async () => {
+    const percent = Number(data[`percent-${data.taskId}`]);
+    if (!PERCENT_CHOICES.includes(percent)) {
+      return { error: "❌ Please pick how much of the task is done." };
+    }
+    return {
+      changes: { completionPercentage: percent },
+      notice: (task) => `📈 **${task.name}** is ${percent}% done.`,
+    };
+  })
+);
+
+app.adaptiveCards.actionSubmit("setTaskDueDate", (context, state, data) =>
+  updateTaskFromCard(context, state, data, "setTaskDueDate", async () => {
+    const dueDate = data[`dueDate-${data.taskId}`];
+    if (!dueDate || !moment(dueDate, "YYYY-MM-DD", true).isValid()) {
+      return { error: "❌ Please pick a valid due date." };
+    }
+    return {
+      changes: { dueDate },
+      notice: (task) => `📅 **${task.name}** is now due ${formatTaskDate(dueDate)}.`,
+    };
+  })
+);
+
+// -------------------------
+// TASK SEARCH
+// -------------------------
+
+const SEARCH_PAGE_SIZE = 10;
+
+// Matched tasks are kept briefly on the server so the page buttons don't run the
+// whole search against Zoho again; conversation state only holds the search ids
+const SEARCH_RESULTS_TTL_MS = 10 * 60 * 1000;
+const MAX_REMEMBERED_SEARCHES = 3;
+const taskSearches = new TtlCache({ ttlMs: SEARCH_RESULTS_TTL_MS, maxEntries: 50 });
+
+/**
+ * Keep a search's results for paging
+ * @param {Object} state - Turn state; the conversation remembers its latest search ids
+ * @param {string} teamsChatId - User who ran the search; only they page from it
+ * @param {{tasks: Array, truncated: boolean}} result - Result of searchTasks
+ * @returns {string} Id the page buttons carry
+ */
+function rememberTaskSearch(state, teamsChatId, { tasks, truncated }) {
+  const searchId = crypto.randomUUID();
+  // Only what the results card shows
+  const rows = tasks.map(({ id, projectId, name, url, project, status, priority, dueDate, owners }) =>
+    ({ id, projectId, name, url, project, status, priority, dueDate, owners: owners.map(o => ({ name: o.name })) }));
+  taskSearches.set(searchId, { teamsChatId, tasks: rows, truncated });
+
+  const remembered = state.conversation.taskSearchIds || [];
+  for (const dropped of remembered.slice(0, -(MAX_REMEMBERED_SEARCHES - 1))) {
+    taskSearches.delete(dropped);
+  }
+  state.conversation.taskSearchIds = [...remembered, searchId].slice(-MAX_REMEMBERED_SEARCHES);
+  return searchId;
+}
+
+/**
+ * Results kept by rememberTaskSearch, or null when expired, from another
+ * conversation or run by someone else
+ */
+function recallTaskSearch(state, teamsChatId, searchId) {
+  if (!(state.conversation.taskSearchIds || []).includes(searchId)) return null;
+  const search = taskSearches.get(searchId);
+  if (!search || search.teamsChatId !== teamsChatId) return null;
+  return { tasks: search.tasks, truncated: search.truncated };
+}
+
+/**
+ * Check an optional YYYY-MM-DD due date range
+ * @returns {{dueFrom: string|null, dueTo: string|null}|{error: string}}
+ */
+function checkDueRange(dueFrom, dueTo) {
+  for (const value of [dueFrom, dueTo]) {
+    if (value && !moment(value, "YYYY-MM-DD", true).isValid()) {
+      return { error: `❌ **${value}** isn't a valid date. Please use YYYY-MM-DD.` };
+    }
+  }
+  if (dueFrom && dueTo && dueTo < dueFrom) {
+    return { error: "❌ The end of the due date range is before its start." };
+  }
+  return { dueFrom: dueFrom || null, dueTo: dueTo || null };
+}
+
+function describeTaskSearch(criteria) {
+  const parts = [];
+  if (criteria.projectName) parts.push(`Project: ${criteria.projectName}`);
+  if (criteria.ownerName) parts.push(`Owner: ${criteria.ownerName}`);
+  if (criteria.status) parts.push(`Status: ${criteria.status}`);
+  if (criteria.priority) parts.push(`Priority: ${criteria.priority}`);
+  if (criteria.tag) parts.push(`Tag: ${criteria.tag}`);
+  if (criteria.dueFrom || criteria.dueTo) {
+    const from = criteria.dueFrom ? formatTaskDate(criteria.dueFrom) : "any time";
+    const to = criteria.dueTo ? formatTaskDate(criteria.dueTo) : "any time";
+    parts.push(`Due: ${from} – ${to}`);
+  }
+  if (criteria.keyword) parts.push(`Keyword: "${criteria.keyword}"`);
+  return parts.join(" · ") || "All tasks";
+}
+
+/**
+ * One page of task search results, with buttons to move between pages
+ * @param {string} portalId - Portal the search ran in
+ * @param {string} searchId - Id of the remembered results, carried by the page buttons
+ * @param {Object} criteria - Criteria passed to searchTasks, carried by the page buttons
+ *   so the search can run again once its results have expired
+ * @param {{tasks: Array, truncated: boolean}} result - Result of searchTasks
+ * @param {number} page - Page to show, from 1
+ */
+function buildTaskSearchCard(portalId, searchId, criteria, { tasks, truncated }, page) {
+  const pageCount = Math.max(1, Math.ceil(tasks.length / SEARCH_PAGE_SIZE));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const shown = tasks.slice((current - 1) * SEARCH_PAGE_SIZE, current * SEARCH_PAGE_SIZE);
+  const pageButton = (title, target) => ({
+    type: "Action.Submit",
+    title,
+    data: { verb: "searchTasksPage", portalId, searchId, criteria, page: target },
+  });
+
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: `🔎 ${tasks.length} task(s) found`,
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      {
+        type: "TextBlock",
+        text: describeTaskSearch(criteria),
+        isSubtle: true,
+        wrap: true,
+      },
+      ...(truncated ? [{
+        type: "TextBlock",
+        text: "⚠️ There were too many tasks to search them all. Add a project or owner to narrow it down.",
+        wrap: true,
+      }] : []),
+      ...shown.map(task => ({
+        type: "Container",
+        separator: true,
+        items: [
+          {
+            type: "TextBlock",
+            text: `**[${task.name}](${task.url})**`,
+            wrap: true,
+          },
+          {
+            type: "TextBlock",
+            text: `${task.project || "-"} · ${task.status} · Priority: ${task.priority} · Due: ${formatTaskDate(task.dueDate)}`,
+            isSubtle: true,
+            spacing: "None",
+            wrap: true,
+          },
+          {
+            type: "TextBlock",
+            text: `Owners: ${task.owners.map(o => o.name).join(", ") || "Unassigned"}`,
+            isSubtle: true,
+            spacing: "None",
+            wrap: true,
+          },
+          {
+            type: "ActionSet",
+            actions: [commentsButton({ portalId, projectId: task.projectId, taskId: task.id, taskName: task.name })],
+          },
+        ],
+      })),
+      ...(pageCount > 1 ? [{
+        type: "TextBlock",
+        text: `Page ${current} of ${pageCount}`,
+        isSubtle: true,
+        horizontalAlignment: "Right",
+        wrap: true,
+      }] : []),
+    ],
+    actions: [
+      ...(current > 1 ? [pageButton("◀ Previous", current - 1)] : []),
+      ...(current < pageCount ? [pageButton("Next ▶", current + 1)] : []),
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+registerAction("SearchTasks", async (context, state, parameters) => {
+  try {
+    const params = parameters || {};
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const criteria = {
+      status: params.status ? String(params.status).trim().toLowerCase() : null,
+      tag: params.tag || null,
+      keyword: params.keyword || null,
+    };
+
+    if (params.priority) {
+      const priority = String(params.priority).toLowerCase();
+      if (!TASK_PRIORITIES.includes(priority)) {
+        await context.sendActivity(MessageFactory.text(`❌ Priority must be one of: ${TASK_PRIORITIES.join(", ")}.`));
+        return "Invalid priority";
+      }
+      criteria.priority = priority;
+    }
+
+    if (params.projectName) {
+      const found = await findProject(teamsChatId, portalId, params.projectName);
+      if (found.notFound) {
+        await context.sendActivity(MessageFactory.text(`❌ No project matches **${params.projectName}**.`));
+        return "No project found";
+      }
+      if (found.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple projects match your query: ${found.multiple.join(", ")}. Please specify.`));
+        return "Multiple projects found";
+      }
+      criteria.projectId = found.project.id;
+      criteria.projectName = found.project.name;
+    }
+
+    if (params.ownerName) {
+      const owner = await resolveOwnerId(teamsChatId, portalId, params.ownerName);
+      if (!owner) {
+        await context.sendActivity(`❌ Could not resolve owner for name: **${params.ownerName}**.`);
+        return `Error: Owner resolution failed for ${params.ownerName}`;
+      }
+      if (owner.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple users match your query: ${owner.multiple.join(", ")}. Please specify.`));
+        return "Multiple owners found";
+      }
+      criteria.ownerId = String(owner.id);
+      criteria.ownerName = owner.name;
+    }
+
+    const range = checkDueRange(params.dueFrom, params.dueTo);
+    if (range.error) {
+      await context.sendActivity(MessageFactory.text(range.error));
+      return "Invalid dates";
+    }
+    Object.assign(criteria, range);
+
+    const scoped = scopeTaskQuery(await getCaller(context, state), criteria);
+    const result = await searchTasks(teamsChatId, portalId, scoped);
+    if (result.tasks.length === 0) {
+      await context.sendActivity(MessageFactory.text(`🔎 No tasks match: ${describeTaskSearch(scoped)}.`));
+      return "No tasks match the search";
+    }
+
+    const searchId = rememberTaskSearch(state, teamsChatId, result);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildTaskSearchCard(portalId, searchId, scoped, result, 1))] });
+    return `Found ${result.tasks.length} task(s) matching the search`;
+  } catch (error) {
+    return replyWithError(context, state, error, "SearchTasks");
+  }
+});
+
+// "Previous" / "Next" buttons on the search results card
+app.adaptiveCards.actionSubmit("searchTasksPage", async (context, state, data) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    if (String(data.portalId) !== await getActivePortalId(teamsChatId)) {
+      await context.sendActivity(MessageFactory.text("⚠️ You've switched portal since this search ran. Ask me to search again."));
+      return;
+    }
+
+    const criteria = scopeTaskQuery(await getCaller(context, state), data.criteria || {});
+    let searchId = data.searchId;
+    let result = recallTaskSearch(state, teamsChatId, searchId);
+    if (!result) {
+      result = await searchTasks(teamsChatId, data.portalId, criteria);
+      searchId = rememberTaskSearch(state, teamsChatId, result);
+    }
+    await replaceCard(context, buildTaskSearchCard(data.portalId, searchId, criteria, result, Number(data.page) || 1));
+  } catch (error) {
+    await replyWithError(context, state, error, "searchTasksPage");
+  }
+});
+
+// -------------------------
+// OVERDUE TASKS
+// -------------------------
+
+// Task rows on the overdue card, each with a Comments button; the full report
+// is available from the REST API
+const MAX_OVERDUE_ROWS = 15;
+
+function buildOverdueTasksCard(portalId, report, scopeText) {
+  const body = [
+    {
+      type: "TextBlock",
+      text: `⏰ ${report.total} overdue task(s)`,
+      weight: "Bolder",
+      size: "Large",
+      wrap: true,
+    },
+    {
+      type: "TextBlock",
+      text: `${scopeText} · as of ${formatTaskDate(report.asOf)}`,
+      isSubtle: true,
+      wrap: true,
+    },
+    ...(report.truncated ? [{
+      type: "TextBlock",
+      text: "⚠️ There were too many tasks to check them all, so this count is incomplete. Add a project or owner to narrow it down.",
+      wrap: true,
+    }] : []),
+  ];
+
+  let rows = 0;
+  let hidden = 0;
+  for (const owner of report.owners) {
+    body.push({
+      type: "TextBlock",
+      text: `**${owner.owner}** — ${owner.count} overdue`,
+      separator: true,
+      wrap: true,
+    });
+    for (const project of owner.projects) {
+      const shown = project.tasks.slice(0, Math.max(0, MAX_OVERDUE_ROWS - rows));
+      hidden += project.tasks.length - shown.length;
+      rows += shown.length;
+      if (shown.length === 0) continue;
+
+      body.push({
+        type: "TextBlock",
+        text: `_${project.project || "No project"}_ (${project.count})`,
+        wrap: true,
+      });
+      body.push(...shown.map(task => ({
+        type: "Container",
+        spacing: "Small",
+        items: [
+          {
+            type: "TextBlock",
+            text: `[${task.name}](${task.url}) — ${task.daysOverdue} day(s) overdue (due ${formatTaskDate(task.dueDate)})`,
+            wrap: true,
+          },
+          {
+            type: "ActionSet",
+            actions: [commentsButton({ portalId, projectId: project.projectId, taskId: task.id, taskName: task.name })],
+          },
+        ],
+      })));
+    }
+  }
+
+  if (hidden > 0) {
+    body.push({
+      type: "TextBlock",
+      text: `…and ${hidden} more. Narrow the report to a project or owner to see them all.`,
+      isSubtle: true,
+      wrap: true,
+    });
+  }
+
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body,
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+registerAction("GetOverdueTasks", async (context, state, parameters) => {
+  try {
+    const { projectName, ownerName } = parameters || {};
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const scope = {};
+    if (projectName) {
+      const found = await findProject(teamsChatId, portalId, projectName);
+      if (found.notFound) {
+        await context.sendActivity(MessageFactory.text(`❌ No project matches **${projectName}**.`));
+        return "No project found";
+      }
+      if (found.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple projects match your query: ${found.multiple.join(", ")}. Please specify.`));
+        return "Multiple projects found";
+      }
+      scope.projectId = found.project.id;
+      scope.projectName = found.project.name;
+    }
+    if (ownerName) {
+      const owner = await resolveOwnerId(teamsChatId, portalId, ownerName);
+      if (!owner) {
+        await context.sendActivity(`❌ Could not resolve owner for name: **${ownerName}**.`);
+        return `Error: Owner resolution failed for ${ownerName}`;
+      }
+      if (owner.multiple) {
+        await context.sendActivity(MessageFactory.text(`⚠️ Multiple users match your query: ${owner.multiple.join(", ")}. Please specify.`));
+        return "Multiple owners found";
+      }
+      scope.ownerId = String(owner.id);
+      scope.ownerName = owner.name;
+    }
+
+    const scoped = scopeTaskQuery(await getCaller(context, state), scope);
+    const scopeText = describeTaskSearch({ projectName: scoped.projectName, ownerName: scoped.ownerName });
+    const report = await getOverdueTasks(teamsChatId, portalId, scoped);
+    if (report.total === 0) {
+      await context.sendActivity(MessageFactory.text(`🎉 Nothing is overdue (${scopeText}).`));
+      return "No overdue tasks";
+    }
+
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildOverdueTasksCard(portalId, report, scopeText))] });
+    return `Found ${report.total} overdue task(s) across ${report.owners.length} owner(s)`;
+  } catch (error) {
+    return replyWithError(context, state, error, "GetOverdueTasks");
+  }
+});
+
+// -------------------------
+// TASK COMMENTS
+// -------------------------
+
+/**
+ * "Comments" button for any card showing a task
+ * @param {{portalId: string, projectId: string, taskId: string, taskName: string}} ref
+ */
+function commentsButton(ref) {
+  return {
+    type: "Action.Submit",
+    title: "💬 Comments",
+    data: {
+      verb: "showTaskComments",
+      portalId: ref.portalId,
+      projectId: ref.projectId,
+      taskId: ref.taskId,
+      taskName: ref.taskName,
+    },
+  };
+}
+
+function formatCommentTime(date) {
+  return date ? formatDateTime(date) : "-";
+}
+
+// What happened to the "@Name" mentions of a new comment
+function describeMentions({ mentioned, unresolved }) {
+  const lines = [];
+  if (mentioned.length > 0) {
+    lines.push(`Mentioned ${mentioned.map(u => u.name).join(", ")}.`);
+  }
+  if (unresolved.length > 0) {
+    lines.push(`⚠️ I couldn't find ${unresolved.join(", ")} in this portal, so they weren't mentioned.`);
+  }
+  return lines.join(" ");
+}
+
+function buildTaskCommentsCard(ref, { comments, total }, notice = null) {
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      ...(notice ? [{ type: "TextBlock", text: notice, wrap: true }] : []),
+      {
+        type: "TextBlock",
+        text: `💬 Comments on ${ref.taskName}`,
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      ...(total > comments.length ? [{
+        type: "TextBlock",
+        text: `Latest ${comments.length} of ${total}`,
+        isSubtle: true,
+        wrap: true,
+      }] : []),
+      ...(comments.length === 0 ? [{
+        type: "TextBlock",
+        text: "No comments yet.",
+        isSubtle: true,
+        wrap: true,
+      }] : []),
+      ...comments.map(comment => ({
+        type: "Container",
+        separator: true,
+        items: [
+          {
+            type: "TextBlock",
+            text: `**${comment.author}** · ${formatCommentTime(comment.postedAt)}`,
+            wrap: true,
+          },
+          {
+            type: "TextBlock",
+            text: comment.content,
+            spacing: "Small",
+            wrap: true,
+          },
+        ],
+      })),
+    ],
+    actions: [
+      {
+        type: "Action.ShowCard",
+        title: "Add comment",
+        card: {
+          type: "AdaptiveCard",
+          body: [
+            {
+              type: "Input.Text",
+              id: "comment",
+              isMultiline: true,
+              placeholder: "Write a comment. Use @Name to mention someone.",
+              isRequired: true,
+              errorMessage: "Write a comment first",
+            },
+          ],
+          actions: [
+            {
+              type: "Action.Submit",
+              title: "Post",
+              data: {
+                verb: "addTaskComment",
+                portalId: ref.portalId,
+                projectId: ref.projectId,
+                taskId: ref.taskId,
+                taskName: ref.taskName,
+              },
+            },
+          ],
+        },
+      },
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+// Client users may only see tasks of projects they are a member of
+async function assertProjectVisible(context, state, teamsChatId, portalId, projectId) {
+  const caller = await getCaller(context, state);
+  if (!can(caller, "projects:read-any") &&
+      !(await isProjectMember(teamsChatId, portalId, projectId, caller.zpuid))) {
+    assertAllowed(caller, "projects:read-any");
+  }
+}
+
+/**
+ * Find a task by project and task name, telling the user if that fails.
+ * Throws AccessDeniedError if the caller can't see the project.
+ * @returns {{ref: Object}|{outcome: string}} Task reference, or the outcome to return from the action
+ */
+async function findTaskForChat(context, state, teamsChatId, portalId, projectName, taskName) {
+  const found = await findProject(teamsChatId, portalId, projectName);
+  if (found.notFound) {
+    await context.sendActivity(MessageFactory.text(`❌ No project matches **${projectName}**.`));
+    return { outcome: "No project found" };
+  }
+  if (found.multiple) {
+    await context.sendActivity(MessageFactory.text(`⚠️ Multiple projects match your query: ${found.multiple.join(", ")}. Please specify.`));
+    return { outcome: "Multiple projects found" };
+  }
+  await assertProjectVisible(context, state, teamsChatId, portalId, found.project.id);
+
+  const result = await findTask(teamsChatId, portalId, found.project.id, taskName);
+  if (result.notFound) {
+    await context.sendActivity(MessageFactory.text(`❌ No task in **${found.project.name}** matches **${taskName}**.`));
+    return { outcome: "No task found" };
+  }
+  if (result.multiple) {
+    await context.sendActivity(MessageFactory.text(`⚠️ Multiple tasks match your query: ${result.multiple.join(", ")}. Please specify.`));
+    return { outcome: "Multiple tasks found" };
+  }
+
+  return {
+    ref: { portalId, projectId: found.project.id, taskId: result.task.id, taskName: result.task.name },
+  };
+}
+
+registerAction("GetTaskComments", async (context, state, parameters) => {
+  try {
+    const { projectName, taskName } = parameters || {};
+    if (!projectName || !taskName) {
+      await context.sendActivity(MessageFactory.text("❌ Please tell me the project and the name of the task."));
+      return "Missing required parameters";
+    }
+
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const { ref, outcome } = await findTaskForChat(context, state, teamsChatId, portalId, projectName, taskName);
+    if (!ref) return outcome;
+
+    const result = await getTaskComments(teamsChatId, portalId, ref.projectId, ref.taskId);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildTaskCommentsCard(ref, result))] });
+    return `Showed ${result.comments.length} of ${result.total} comment(s) on ${ref.taskName}`;
+  } catch (error) {
+    return replyWithError(context, state, error, "GetTaskComments");
+  }
+});
+
+registerAction("AddTaskComment", async (context, state, parameters) => {
+  try {
+    const { projectName, taskName, comment } = parameters || {};
+    if (!projectName || !taskName || !comment || !String(comment).trim()) {
+      await context.sendActivity(MessageFactory.text("❌ Please tell me the project, the task and what to comment."));
+      return "Missing required parameters";
+    }
+
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const { ref, outcome } = await findTaskForChat(context, state, teamsChatId, portalId, projectName, taskName);
+    if (!ref) return outcome;
+
+    const result = await addTaskComment(teamsChatId, portalId, ref.projectId, ref.taskId, String(comment).trim());
+    await context.sendActivity(MessageFactory.text(`💬 Comment added to **${ref.taskName}**. ${describeMentions(result)}`.trim()));
+    return `Comment added to ${ref.taskName}`;
+  } catch (error) {
+    return replyWithError(context, state, error, "AddTaskComment");
+  }
+});
+
+// "Comments" button on task cards
+app.adaptiveCards.actionSubmit("showTaskComments", async (context, state, data) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    if (String(data.portalId) !== await getActivePortalId(teamsChatId)) {
+      await context.sendActivity(MessageFactory.text("⚠️ You've switched portal since this card was shown. Ask me about the task again."));
+      return;
+    }
+    await assertProjectVisible(context, state, teamsChatId, data.portalId, data.projectId);
+
+    const result = await getTaskComments(teamsChatId, data.portalId, data.projectId, data.taskId);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildTaskCommentsCard(data, result))] });
+  } catch (error) {
+    await replyWithError(context, state, error, "showTaskComments");
+  }
+});
+
+// "Post" button under "Add comment" on the comments card
+app.adaptiveCards.actionSubmit("addTaskComment", async (context, state, data) => {
+  try {
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) return;
+    const teamsChatId = tokenDoc.teamsChatId;
+
+    if (String(data.portalId) !== await getActivePortalId(teamsChatId)) {
+      await context.sendActivity(MessageFactory.text("⚠️ You've switched portal since this card was shown. Ask me about the task again."));
+      return;
+    }
+    const text = String(data.comment || "").trim();
+    if (!text) {
+      await context.sendActivity(MessageFactory.text("❌ Please write a comment first."));
+      return;
+    }
+    await assertProjectVisible(context, state, teamsChatId, data.portalId, data.projectId);
+
+    const added = await addTaskComment(teamsChatId, data.portalId, data.projectId, data.taskId, text);
+    const result = await getTaskComments(teamsChatId, data.portalId, data.projectId, data.taskId);
+    const notice = `✅ Comment posted. ${describeMentions(added)}`.trim();
+    await replaceCard(context, buildTaskCommentsCard(data, result, notice));
+  } catch (error) {
+    await replyWithError(context, state, error, "addTaskComment");
+  }
+});
+
+// -------------------------
+// TASK DETAILS
+// -------------------------
+
+function formatHours(hours) {
+  if (hours === null) return "";
+  const whole = Math.floor(hours);
+  const minutes = Math.round((hours - whole) * 60);
+  return minutes ? `${whole}h ${minutes}m` : `${whole}h`;
+}
+
+function sectionHeading(text) {
+  return { type: "TextBlock", text, weight: "Bolder", spacing: "Medium", separator: true, wrap: true };
+}
+
+function listBlock(lines) {
+  return { type: "TextBlock", text: lines.map(line => `- ${line}`).join("\n"), spacing: "Small", wrap: true };
+}
+
+function dependencyLine(task) {
+  return `${task.isCompleted ? "✅" : "⏳"} ${task.name} · ${task.status}`;
+}
+
+function buildTaskDetailsCard(portalId, task) {
+  const doneSubtasks = task.subtasks.filter(t => t.isCompleted).length;
+
+  return {
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "TextBlock",
+        text: `📋 ${task.name}`,
+        weight: "Bolder",
+        size: "Large",
+        wrap: true,
+      },
+      ...(task.isBlocked ? [{
+        type: "TextBlock",
+        text: `⛔ Blocked: waiting on ${task.blockedBy.join(", ")}`,
+        color: "Attention",
+        weight: "Bolder",
+        wrap: true,
+      }] : []),
+      {
+        type: "FactSet",
+        facts: [
+          { title: "Project", value: task.project || "-" },
+          { title: "Task list", value: task.tasklist || "-" },
+          ...(task.parent ? [{ title: "Subtask of", value: task.parent.name }] : []),
+          { title: "Status", value: task.status },
+          { title: "Priority", value: task.priority },
+          { title: "Done", value: `${task.completionPercentage}%` },
+          { title: "Start", value: formatTaskDate(task.startDate) },
+          { title: "Due", value: formatTaskDate(task.dueDate) },
+          { title: "Attachments", value: String(task.attachmentCount) },
+        ],
+      },
+      ...(task.description ? [{ type: "TextBlock", text: task.description, wrap: true }] : []),
+      sectionHeading(task.totalWorkHours !== null ? `Owners (${formatHours(task.totalWorkHours)} planned)` : "Owners"),
+      task.owners.length > 0
+        ? listBlock(task.owners.map(o => o.workHours !== null ? `${o.name} · ${formatHours(o.workHours)}` : o.name))
+        : { type: "TextBlock", text: "Unassigned", isSubtle: true, spacing: "Small", wrap: true },
+      ...(task.subtasks.length > 0 ? [
+        sectionHeading(`Subtasks (${doneSubtasks}/${task.subtasks.length} done)`),
+        listBlock(task.subtasks.map(t => `${t.isCompleted ? "✅" : "⬜"} ${t.name} · ${t.status} · ${t.completionPercentage}%`)),
+      ] : []),
+      ...(task.predecessors.length > 0 ? [
+        sectionHeading("Waits on"),
+        listBlock(task.predecessors.map(dependencyLine)),
+      ] : []),
+      ...(task.successors.length > 0 ? [
+        sectionHeading("Needed by"),
+        listBlock(task.successors.map(dependencyLine)),
+      ] : []),
+    ],
+    actions: [
+      {
+        type: "Action.OpenUrl",
+        title: "Open in Zoho Projects",
+        url: task.url,
+      },
+      commentsButton({ portalId, projectId: task.projectId, taskId: task.id, taskName: task.name }),
+    ],
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+  };
+}
+
+registerAction("GetTaskDetails", async (context, state, parameters) => {
+  try {
+    const { projectName, taskName } = parameters || {};
+    if (!projectName || !taskName) {
+      await context.sendActivity(MessageFactory.text("❌ Please tell me the project and the name of the task."));
+      return "Missing required parameters";
+    }
+
+    const tokenDoc = await requireZohoToken(context, state);
+    if (!tokenDoc) {
+      return "Authentication required";
+    }
+    const teamsChatId = tokenDoc.teamsChatId;
+    const portalId = await getActivePortalId(teamsChatId);
+
+    const { ref, outcome } = await findTaskForChat(context, state, teamsChatId, portalId, projectName, taskName);
+    if (!ref) return outcome;
+
+    const task = await getTaskDetails(teamsChatId, portalId, ref.projectId, ref.taskId);
+    await context.sendActivity({ attachments: [CardFactory.adaptiveCard(buildTaskDetailsCard(portalId, task))] });
+    return task.isBlocked
+      ? `Showed details of ${task.name}; it is blocked by ${task.blockedBy.join(", ")}`
+      : `Showed details of ${task.name}`;
+  } catch (error) {
+    return replyWithError(context, state, error, "GetTaskDetails");
+  }
+});
+
+function parseTimeLogQuery(userInput, users) {
+  const moment = require("moment");
+  const input = userInput.toLowerCase();
+  let userName = null;
+  let startDate = null;
+  let endDate = null;
+  let period = null;
+  
+  // Extract the name part from the input - FIXED LOGIC
+  let nameQuery = input
+    .replace(/time logs for /gi, '')
+    .replace(/show me /gi, '')
+    .replace(/'s time logs/gi, '')
+    .replace(/\s+(in|for|during)\s+.*/gi, '') // Remove everything after "in", "for", "during"
+    .trim();
+  
+  // Find user name by matching with available users
+  for (const user of users) {
+    const userFullName = user.name.toLowerCase();
+    const parts = userFullName.split(' ');
+    const userFirstName = parts[0] || "";
+    const userLastName = parts[parts.length - 1] || "";
+    
+    // Check exact matches first, then partial matches
+    if (userFullName === nameQuery || 
+        userFirstName === nameQuery || 
+        userLastName === nameQuery ||
+        userFullName.includes(nameQuery) ||
+        nameQuery.includes(userFirstName)) {
+      userName = user.name;
+      break;
+    }
+  }
+  
+  // If no exact match, try more flexible matching
+  if (!userName) {
+    for (const user of users) {
+      const userFullName = user.name.toLowerCase();
+      const parts = userFullName.split(' ');
+      
+      // Check if any word in the query matches any word in the user name
+      const queryWords = nameQuery.split(' ');
+      const nameWords = parts;
+      
+      const hasMatch = queryWords.some(qWord => 
+        nameWords.some(nWord => 
+          qWord.length > 2 && nWord.includes(qWord)
+        )
+      );
+      
+      if (hasMatch) {
+        userName = user.name;
+        break;
+      }
+    }
+  }
+  
+  // Parse date patterns - keeping 2025 as requested
+  const currentYear = 2025;
+  
+  const monthMatch = input.match(/(?:in|for|during)\s+(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i);
+  if (monthMatch) {
+    const monthName = monthMatch[1];
+    const monthNum = moment().month(monthName).month();
+    if (monthNum >= 0) {
+      const targetYear = currentYear;
+      startDate = moment().year(targetYear).month(monthNum).startOf('month').format('YYYY-MM-DD');
+      endDate = moment().year(targetYear).month(monthNum).endOf('month').format('YYYY-MM-DD');
+      period = `${monthName} ${targetYear}`;
+    }
+  }
+  
+  // Other date parsing patterns...
+  const weekMatch = input.match(/(?:first|second|third|fourth|1st|2nd|3rd|4th)\s+week\s+of\s+(\w+)/);
+  if (weekMatch) {
+    const monthName = weekMatch[1];
+    const monthNum = moment().month(monthName).month();
+    if (monthNum >= 0) {
+      const monthStart = moment().year(currentYear).month(monthNum).startOf('month');
+      startDate = monthStart.format('YYYY-MM-DD');
       endDate = monthStart.add(6, 'days').format('YYYY-MM-DD');
       period = `first week of ${monthName}`;
     }
@@ -659,41 +2425,10 @@ function parseTimeLogQuery(userInput, users) {
     period = 'last month';
   }
   
-  console.log(`Parsed result - User: ${userName}, Start: ${startDate}, End: ${endDate}`);
+  log.debug("Parsed time log query", { userName, startDate, endDate, period });
   return { userName, startDate, endDate, period };
 }
 
-// Add this test function to debug what endpoints are available
-async function testAvailableEndpoints(teamsChatId, portalId) {
-  const token = await getUserToken(teamsChatId);
-  
-  const endpointsToTest = [
-    'timelogs',
-    'timesheet', 
-    'logs',
-    'projects',
-    'tasks'
-  ];
-  
-  for (const endpoint of endpointsToTest) {
-    try {
-      console.log(`Testing endpoint: ${endpoint}`);
-      const resp = await makeZohoAPICall(
-        `portal/${portalId}/${endpoint}`,
-        token.accessToken,
-        "GET",
-        null,
-        { per_page: 1 },
-        teamsChatId,
-        portalId
-      );
-      console.log(`✅ ${endpoint} works - response keys:`, Object.keys(resp?.data || {}));
-    } catch (error) {
-      console.log(`❌ ${endpoint} failed:`, error.message);
-    }
-  }
-}
-
 // Helper function to calculate time log statistics
 function calculateTimeLogStats(logs, startDate, endDate) {
   
@@ -743,7 +2478,7 @@ function calculateTimeLogStats(logs, startDate, endDate) {
 // FEEDBACK LOOP
 // -------------------------
 app.feedbackLoop(async (context, state, feedbackLoopData) => {
-  console.log("Feedback received: " + JSON.stringify(context.activity.value));
+  log.info("Feedback received", { feedback: context.activity.value });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,107 @@
+// -------------------------
+// TTL CACHE FOR ZOHO METADATA
+// -------------------------
+//
+// Users, projects, statuses and layouts change rarely but are read on almost
+// every question. Entries are keyed by kind, portal and Teams user (what a
+// user can see depends on their Zoho role), and expire after a TTL.
+
+class TtlCache {
+  constructor({ ttlMs = 5 * 60 * 1000, maxEntries = 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.loading = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    // Oldest entries go first once the cache is full
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  /**
+   * Cached value for `key`, or the result of `loader()` (cached on success).
+   * Concurrent misses for the same key share one load.
+   */
+  async getOrLoad(key, loader, ttlMs = this.ttlMs) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+
+    if (this.loading.has(key)) return this.loading.get(key);
+
+    const promise = (async () => {
+      try {
+        return this.set(key, await loader(), ttlMs);
+      } finally {
+        this.loading.delete(key);
+      }
+    })();
+    this.loading.set(key, promise);
+    return promise;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Drop `prefix` and every entry below it, e.g. invalidate("users:123")
+   * removes the users of portal 123 for every Teams user
+   * @returns {number} Number of entries removed
+   */
+  invalidate(prefix) {
+    if (!prefix) return this.flush();
+    return this.deleteWhere(key => key === prefix || key.startsWith(`${prefix}:`));
+  }
+
+  /**
+   * Drop every entry whose key matches `predicate(key)`
+   * @returns {number} Number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (predicate(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  flush() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Cache key for a kind of Zoho metadata, e.g. cacheKey("users", portalId, teamsChatId)
+ */
+function cacheKey(kind, portalId, teamsChatId, ...rest) {
+  return [kind, portalId, teamsChatId, ...rest].filter(part => part !== undefined).join(":");
+}
+
+module.exports = {
+  TtlCache,
+  cacheKey
+};
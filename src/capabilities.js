@@ -0,0 +1,188 @@
+const { createBotStorage } = require("./storage");
+const { ZohoNotFoundError } = require("./errors");
+const log = require("./logger").createLogger("capabilities");
+
+// -------------------------
+// PORTAL CAPABILITIES
+// -------------------------
+//
+// Portals don't all expose the same API shapes: time logs may live under
+// timelogs, timesheet or the older logs report, and issues may be called bugs.
+// The first call that needs a capability tries the candidate shapes in order.
+// Whichever works is remembered for the portal, in memory and in bot storage,
+// so later calls go straight to it and real errors surface instead of being
+// read as "try the next URL".
+//
+// Only a 404 means "try the next shape"; a 400 is a bad request, not a missing
+// endpoint. A capability is recorded as unsupported only by the portal-level
+// probe (probePortalCapabilities), never by a call a user made, since a 404
+// there may just be a missing project or task. Every entry is re-checked once
+// it is older than CAPABILITY_TTL_MS.
+//
+// Bot storage can't list its keys, so an index document names every portal
+// with stored capabilities; forgetting all of them goes through it.
+
+const STORAGE_KEY_PREFIX = "zohoCapabilities";
+const INDEX_KEY = `${STORAGE_KEY_PREFIX}/index`;
+const CAPABILITY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const store = createBotStorage();
+const portals = new Map(); // portalId -> { [capability]: { shape: name, or false if unsupported, checkedAt } }
+const discovering = new Map(); // `${portalId}:${capability}` -> promise
+let storedPortalIds = null; // Set of portal ids in the index, once read
+
+function storageKey(portalId) {
+  return `${STORAGE_KEY_PREFIX}/${portalId}`;
+}
+
+// Documents written before entries had their own checkedAt held bare shape
+// names and one portal-wide checkedAt
+function normalizeStored(stored) {
+  const { eTag, checkedAt, ...capabilities } = stored;
+  return Object.fromEntries(Object.entries(capabilities).map(([capability, entry]) => [
+    capability,
+    entry && typeof entry === "object" ? entry : { shape: entry, checkedAt: checkedAt || null }
+  ]));
+}
+
+async function loadPortal(portalId) {
+  if (!portals.has(portalId)) {
+    const key = storageKey(portalId);
+    portals.set(portalId, normalizeStored((await store.read([key]))[key] || {}));
+  }
+  return portals.get(portalId);
+}
+
+async function loadIndex() {
+  if (!storedPortalIds) {
+    storedPortalIds = new Set((await store.read([INDEX_KEY]))[INDEX_KEY]?.portalIds || []);
+  }
+  return storedPortalIds;
+}
+
+async function writeIndex() {
+  await store.write({ [INDEX_KEY]: { portalIds: [...storedPortalIds], eTag: "*" } });
+}
+
+async function remember(portalId, capability, shapeName) {
+  const capabilities = await loadPortal(portalId);
+  capabilities[capability] = { shape: shapeName, checkedAt: new Date().toISOString() };
+  await store.write({ [storageKey(portalId)]: { ...capabilities, eTag: "*" } });
+
+  const index = await loadIndex();
+  if (!index.has(portalId)) {
+    index.add(portalId);
+    await writeIndex();
+  }
+  log.info("Recorded portal capability", { portalId, capability, shape: shapeName || "unsupported" });
+}
+
+// The remembered entry, unless it is due to be checked again
+async function currentEntry(portalId, capability) {
+  const entry = (await loadPortal(portalId))[capability];
+  if (!entry) return null;
+  const age = entry.checkedAt ? Date.now() - Date.parse(entry.checkedAt) : Infinity;
+  return age < CAPABILITY_TTL_MS ? entry : null;
+}
+
+async function discover(portalId, capability, candidates, attempt, { probe }) {
+  for (const candidate of candidates) {
+    try {
+      const result = await attempt(candidate);
+      await remember(portalId, capability, candidate.name);
+      return result;
+    } catch (error) {
+      if (!(error instanceof ZohoNotFoundError)) throw error;
+      log.debug("Capability shape not supported", { portalId, capability, shape: candidate.name, error: error.message });
+    }
+  }
+
+  if (probe) {
+    await remember(portalId, capability, false);
+  }
+  throw new ZohoNotFoundError(`This portal doesn't support ${capability}`);
+}
+
+/**
+ * Run `attempt` against the shape this portal supports for a capability,
+ * discovering it on first use. Errors other than "endpoint not there" are
+ * thrown as they are and nothing is remembered.
+ * @param {string} portalId - Portal id
+ * @param {string} capability - Capability name, one per endpoint scope, e.g. "timelogs" or "projectIssues"
+ * @param {Array<{name: string}>} candidates - Shapes to try, most likely first
+ * @param {Function} attempt - async (candidate) => result of the real call
+ * @param {Object} options
+ * @param {boolean} options.probe - A portal-level probe: record the capability
+ *   as unsupported if no shape works
+ * @returns Result of `attempt`
+ */
+async function withCapability(portalId, capability, candidates, attempt, { probe = false } = {}) {
+  const entry = await currentEntry(portalId, capability);
+  if (entry?.shape === false && !probe) {
+    throw new ZohoNotFoundError(`This portal doesn't support ${capability}`);
+  }
+
+  const candidate = entry && candidates.find(c => c.name === entry.shape);
+  if (candidate) {
+    return attempt(candidate);
+  }
+
+  // Someone else is already probing this capability: wait, then use what they found
+  const key = `${portalId}:${capability}`;
+  if (discovering.has(key)) {
+    await discovering.get(key).catch(() => {});
+    if (await currentEntry(portalId, capability)) {
+      return withCapability(portalId, capability, candidates, attempt, { probe });
+    }
+  }
+
+  const discovery = discover(portalId, capability, candidates, attempt, { probe })
+    .finally(() => discovering.delete(key));
+  discovering.set(key, discovery);
+  return discovery;
+}
+
+/**
+ * What has been discovered about a portal so far
+ * @returns {Object} capability -> shape name (false if unsupported), plus
+ *   `checkedAt` (capability -> when it was last checked)
+ */
+async function getCapabilities(portalId) {
+  const capabilities = await loadPortal(portalId);
+  const report = { checkedAt: {} };
+  for (const [capability, entry] of Object.entries(capabilities)) {
+    report[capability] = entry.shape;
+    report.checkedAt[capability] = entry.checkedAt;
+  }
+  return report;
+}
+
+/**
+ * Forget a portal's capabilities (all portals if omitted) so they are probed
+ * again, including what other processes have stored
+ */
+async function forgetCapabilities(portalId = null) {
+  if (portalId) {
+    portals.delete(portalId);
+    await store.delete([storageKey(portalId)]);
+    const index = await loadIndex();
+    if (index.delete(portalId)) {
+      await writeIndex();
+    }
+    return;
+  }
+
+  // Re-read the index: other processes may have added portals since it was loaded
+  storedPortalIds = null;
+  const portalIds = new Set([...portals.keys(), ...await loadIndex()]);
+  portals.clear();
+  storedPortalIds = new Set();
+  await store.delete([...[...portalIds].map(storageKey), INDEX_KEY]);
+}
+
+module.exports = {
+  CAPABILITY_TTL_MS,
+  withCapability,
+  getCapabilities,
+  forgetCapabilities
+};
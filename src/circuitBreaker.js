@@ -0,0 +1,91 @@
+// -------------------------
+// CIRCUIT BREAKERS
+// -------------------------
+//
+// After `failureThreshold` outages in a row (network errors, timeouts, 5xx) a
+// breaker opens and calls to that portal/host fail straight away instead of
+// each waiting for a timeout. After `cooldownMs` one trial call is let through:
+// success closes the breaker, another failure keeps it open for a new cooldown.
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half-open" : "open";
+  }
+
+  /**
+   * Whether a call may go out now. In half-open state only one trial call is allowed.
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Milliseconds until a trial call will be allowed (0 if calls may go out)
+  retryInMs() {
+    if (this.openedAt === null) return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+}
+
+/**
+ * One breaker per key, e.g. "<api host>:<portal>", created on first use
+ */
+class CircuitBreakers {
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  get(key) {
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.options);
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  // Keys of breakers that are not closed, with their state
+  openCircuits() {
+    return [...this.breakers]
+      .filter(([, breaker]) => breaker.state !== "closed")
+      .map(([key, breaker]) => ({ key, state: breaker.state, retryInMs: breaker.retryInMs() }));
+  }
+
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakers
+};
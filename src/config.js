@@ -10,10 +10,38 @@ const config = {
   azureOpenAIEndpoint: process.env.AZURE_OPENAI_ENDPOINT,
   azureOpenAIDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
   mongoDBConnectionString: process.env.MONGODB_URL,
+  storageBackend: process.env.STORAGE_BACKEND || "mongo",
+  storageFilePath: process.env.STORAGE_FILE_PATH || ".data/storage.json",
   zohoClientId: process.env.ZOHO_CLIENT_ID,
   zohoClientSecret: process.env.ZOHO_CLIENT_SECRET,
   zohoPortalId: process.env.ZOHO_PORTAL_ID,
   zohoApiBaseUrl: process.env.ZOHO_API_BASE_URL || "https://projectsapi.zoho.in/api/v3",
+  zohoAccountsUrl: process.env.ZOHO_ACCOUNTS_URL || "https://accounts.zoho.in",
+  zohoProjectsWebUrl: process.env.ZOHO_PROJECTS_WEB_URL,
+  zohoRedirectUri: process.env.ZOHO_REDIRECT_URI,
+  zohoRateLimit: Number(process.env.ZOHO_RATE_LIMIT) || 90,
+  zohoRateWindowMs: Number(process.env.ZOHO_RATE_WINDOW_MS) || 120000,
+  zohoMaxConcurrency: Number(process.env.ZOHO_MAX_CONCURRENCY) || 4,
+  zohoMaxQueued: Number(process.env.ZOHO_MAX_QUEUED) || 200,
+  zohoThrottleBackoffMs: Number(process.env.ZOHO_THROTTLE_BACKOFF_MS) || 120000,
+  zohoCacheTtlMs: Number(process.env.ZOHO_CACHE_TTL_MS) || 5 * 60 * 1000,
+  zohoRequestTimeoutMs: Number(process.env.ZOHO_REQUEST_TIMEOUT_MS) || 8000,
+  zohoCircuitFailures: Number(process.env.ZOHO_CIRCUIT_FAILURES) || 5,
+  zohoCircuitCooldownMs: Number(process.env.ZOHO_CIRCUIT_COOLDOWN_MS) || 30000,
+  zohoStaleTtlMs: Number(process.env.ZOHO_STALE_TTL_MS) || 24 * 60 * 60 * 1000,
+  turnBudgetMs: Number(process.env.TURN_BUDGET_MS) || 12000,
+  zohoWebhookSecret: process.env.ZOHO_WEBHOOK_SECRET,
+  zohoScopes: process.env.ZOHO_SCOPES || "ZohoProjects.portals.READ,ZohoProjects.projects.ALL,ZohoProjects.tasklists.ALL,ZohoProjects.tasks.ALL,ZohoProjects.bugs.ALL,ZohoProjects.timesheets.READ,ZohoProjects.users.READ,AaaServer.profile.READ",
+  oauthStateSecret: process.env.OAUTH_STATE_SECRET || process.env.ZOHO_CLIENT_SECRET,
+  tokenEncryptionKeys: process.env.TOKEN_ENCRYPTION_KEYS,
+  tokenEncryptionKeyId: process.env.TOKEN_ENCRYPTION_KEY_ID,
+  apiAuthMode: process.env.API_AUTH_MODE,
+  apiHmacSecret: process.env.API_HMAC_SECRET,
+  apiAuthAudience: process.env.API_AUTH_AUDIENCE || process.env.BOT_ID,
+  apiAuthAllowedClientIds: process.env.API_AUTH_ALLOWED_CLIENT_IDS,
+  entraGroupRoles: process.env.ENTRA_GROUP_ROLES,
+  logLevel: process.env.LOG_LEVEL || "info",
+  displayTimeZone: process.env.DISPLAY_TIME_ZONE || "Asia/Kolkata",
 };
 
 module.exports = config;
@@ -0,0 +1,101 @@
+const config = require("./config");
+
+// -------------------------
+// ZOHO DATA CENTERS
+// -------------------------
+//
+// Zoho runs separate accounts and API hosts per region. A user's region is
+// detected from the OAuth callback / token response and stored with their token.
+
+const DATA_CENTERS = {
+  in: { accountsUrl: "https://accounts.zoho.in", projectsApiUrl: "https://projectsapi.zoho.in", projectsWebUrl: "https://projects.zoho.in" },
+  us: { accountsUrl: "https://accounts.zoho.com", projectsApiUrl: "https://projectsapi.zoho.com", projectsWebUrl: "https://projects.zoho.com" },
+  eu: { accountsUrl: "https://accounts.zoho.eu", projectsApiUrl: "https://projectsapi.zoho.eu", projectsWebUrl: "https://projects.zoho.eu" },
+  uk: { accountsUrl: "https://accounts.zoho.uk", projectsApiUrl: "https://projectsapi.zoho.uk", projectsWebUrl: "https://projects.zoho.uk" },
+  au: { accountsUrl: "https://accounts.zoho.com.au", projectsApiUrl: "https://projectsapi.zoho.com.au", projectsWebUrl: "https://projects.zoho.com.au" },
+  jp: { accountsUrl: "https://accounts.zoho.jp", projectsApiUrl: "https://projectsapi.zoho.jp", projectsWebUrl: "https://projects.zoho.jp" },
+  ca: { accountsUrl: "https://accounts.zohocloud.ca", projectsApiUrl: "https://projectsapi.zohocloud.ca", projectsWebUrl: "https://projects.zohocloud.ca" },
+  sa: { accountsUrl: "https://accounts.zoho.sa", projectsApiUrl: "https://projectsapi.zoho.sa", projectsWebUrl: "https://projects.zoho.sa" },
+  cn: { accountsUrl: "https://accounts.zoho.com.cn", projectsApiUrl: "https://projectsapi.zoho.com.cn", projectsWebUrl: "https://projects.zoho.com.cn" },
+};
+
+// Domain suffix of accounts-server / api_domain hosts, most specific first
+const DOMAIN_SUFFIXES = [
+  ["zoho.com.au", "au"],
+  ["zoho.com.cn", "cn"],
+  ["zohocloud.ca", "ca"],
+  ["zoho.com", "us"],
+  ["zoho.eu", "eu"],
+  ["zoho.in", "in"],
+  ["zoho.uk", "uk"],
+  ["zoho.jp", "jp"],
+  ["zoho.sa", "sa"],
+  ["zohoapis.com.au", "au"],
+  ["zohoapis.com.cn", "cn"],
+  ["zohoapis.ca", "ca"],
+  ["zohoapis.com", "us"],
+  ["zohoapis.eu", "eu"],
+  ["zohoapis.in", "in"],
+  ["zohoapis.uk", "uk"],
+  ["zohoapis.jp", "jp"],
+  ["zohoapis.sa", "sa"],
+];
+
+function dataCenterForUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  const match = DOMAIN_SUFFIXES.find(([suffix]) => hostname === suffix || hostname.endsWith(`.${suffix}`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Work out a user's data center from what Zoho told us during sign-in
+ * @param {Object} hints - { accountsServer, apiDomain } from the callback / token response
+ * @returns {string|null} Data center key (e.g. "eu"), or null if unknown
+ */
+function detectDataCenter({ accountsServer, apiDomain } = {}) {
+  return dataCenterForUrl(accountsServer) || dataCenterForUrl(apiDomain);
+}
+
+/**
+ * Whether a URL is one of Zoho's accounts servers. Used to check the
+ * accounts-server parameter of the OAuth callback before sending secrets to it.
+ */
+function isKnownAccountsServer(url) {
+  return Object.values(DATA_CENTERS).some(dc => dc.accountsUrl === String(url).replace(/\/+$/, ""));
+}
+
+/**
+ * Accounts and Projects API hosts for a stored token
+ * @param {Object} tokenDoc - User token (may be null for the configured default)
+ * @returns {{accountsUrl: string, projectsApiUrl: string, projectsWebUrl: string, apiBaseUrl: string}}
+ */
+function resolveHosts(tokenDoc) {
+  const dataCenter = DATA_CENTERS[tokenDoc?.dataCenter];
+  if (!dataCenter) {
+    const projectsApiUrl = new URL(config.zohoApiBaseUrl).origin;
+    return {
+      accountsUrl: config.zohoAccountsUrl,
+      projectsApiUrl,
+      projectsWebUrl: config.zohoProjectsWebUrl || projectsApiUrl.replace("//projectsapi.", "//projects."),
+      apiBaseUrl: config.zohoApiBaseUrl,
+    };
+  }
+
+  return {
+    ...dataCenter,
+    apiBaseUrl: `${dataCenter.projectsApiUrl}/api/v3`,
+  };
+}
+
+module.exports = {
+  DATA_CENTERS,
+  detectDataCenter,
+  isKnownAccountsServer,
+  resolveHosts
+};
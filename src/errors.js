@@ -0,0 +1,177 @@
+// -------------------------
+// AUTH ERRORS
+// -------------------------
+
+/**
+ * The caller has no usable Zoho token and has to sign in
+ */
+class AuthRequiredError extends Error {
+  constructor(message = "Zoho sign-in required") {
+    super(message);
+    this.name = "AuthRequiredError";
+    this.code = "auth-required";
+  }
+}
+
+/**
+ * Zoho rejected the stored refresh token (revoked, or expired after long disuse)
+ */
+class TokenRevokedError extends AuthRequiredError {
+  constructor(message = "Zoho refresh token has been revoked") {
+    super(message);
+    this.name = "TokenRevokedError";
+  }
+}
+
+// -------------------------
+// ACCESS CONTROL ERRORS
+// -------------------------
+
+/**
+ * The caller's role doesn't allow the requested operation (see policy.js)
+ */
+class AccessDeniedError extends Error {
+  constructor(message, permission = null) {
+    super(message);
+    this.name = "AccessDeniedError";
+    this.code = "access-denied";
+    this.permission = permission;
+  }
+}
+
+// -------------------------
+// ZOHO API ERRORS
+// -------------------------
+
+/**
+ * A Zoho Projects API call failed. `code` says what kind of failure it was;
+ * status, errorType and title are what Zoho answered (when it answered).
+ */
+class ZohoApiError extends Error {
+  constructor(message, { code = "unknown", status = null, errorType = null, title = null, endpoint = null } = {}) {
+    super(message);
+    this.name = "ZohoApiError";
+    this.code = code;
+    this.status = status;
+    this.errorType = errorType;
+    this.title = title;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * The user's Zoho account isn't allowed to do this
+ */
+class ZohoForbiddenError extends ZohoApiError {
+  constructor(message = "Zoho Projects denied access", details = {}) {
+    super(message, { ...details, code: "forbidden" });
+    this.name = "ZohoForbiddenError";
+  }
+}
+
+/**
+ * The portal, project or item doesn't exist (or the user can't see it)
+ */
+class ZohoNotFoundError extends ZohoApiError {
+  constructor(message = "Not found in Zoho Projects", details = {}) {
+    super(message, { ...details, code: "not-found" });
+    this.name = "ZohoNotFoundError";
+  }
+}
+
+/**
+ * Zoho is throttling this user; `retryAfterMs` is how long to back off, if known
+ */
+class ZohoRateLimitedError extends ZohoApiError {
+  constructor(message = "Zoho Projects rate limit reached", details = {}) {
+    super(message, { ...details, code: "rate-limited" });
+    this.name = "ZohoRateLimitedError";
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Zoho rejected the request's input
+ */
+class ZohoValidationError extends ZohoApiError {
+  constructor(message = "Zoho Projects rejected the request", details = {}) {
+    super(message, { ...details, code: "validation" });
+    this.name = "ZohoValidationError";
+  }
+}
+
+/**
+ * Zoho couldn't be reached or failed on its side (network error, timeout, 5xx)
+ */
+class ZohoUnavailableError extends ZohoApiError {
+  constructor(message = "Zoho Projects is unavailable", details = {}) {
+    super(message, { ...details, code: "upstream-down" });
+    this.name = "ZohoUnavailableError";
+  }
+}
+
+// Zoho titles and error types that say more than the HTTP status does
+const THROTTLE_TITLES = ["URL_ROLLING_THROTTLES_LIMIT_EXCEEDED", "RATE_LIMIT_EXCEEDED", "TOO_MANY_REQUESTS"];
+const AUTH_TITLES = ["INVALID_OAUTHTOKEN", "INVALID_TOKEN", "OAUTH_SCOPE_MISMATCH"];
+const AUTH_ERROR_TYPES = ["AUTHENTICATION_ERROR"];
+const FORBIDDEN_ERROR_TYPES = ["AUTHORIZATION_ERROR", "PERMISSION_DENIED"];
+const VALIDATION_ERROR_TYPES = ["OPERATIONAL_VALIDATION_ERROR", "VALIDATION_ERROR", "INVALID_REQUEST"];
+
+/**
+ * Turn a failed Zoho call (axios error) into one of the typed errors above.
+ * Errors that are already typed are returned unchanged.
+ * @param {Error} error - Error thrown by axios
+ * @param {string} endpoint - Endpoint that was called, for logs
+ * @returns {Error} AuthRequiredError or a ZohoApiError subclass
+ */
+function toZohoError(error, endpoint = null) {
+  if (error instanceof AuthRequiredError || error instanceof ZohoApiError) {
+    return error;
+  }
+
+  const response = error.response;
+  if (!response) {
+    return new ZohoUnavailableError(`Zoho Projects could not be reached: ${error.code || error.message}`, { endpoint });
+  }
+
+  const status = response.status;
+  const zohoError = response.data?.error || {};
+  const errorType = zohoError.error_type || null;
+  const title = zohoError.title || (typeof response.data?.error === "string" ? response.data.error : null);
+  const details = { status, errorType, title, endpoint };
+  const description = `Zoho Projects answered ${status}${title ? ` ${title}` : ""}`;
+
+  if (THROTTLE_TITLES.includes(title) || status === 429) {
+    const retryAfter = Number(response.headers?.["retry-after"]);
+    return new ZohoRateLimitedError(description, { ...details, retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null });
+  }
+  if (status === 401 || AUTH_TITLES.includes(title) || AUTH_ERROR_TYPES.includes(errorType)) {
+    return new AuthRequiredError(description);
+  }
+  if (status === 403 || FORBIDDEN_ERROR_TYPES.includes(errorType)) {
+    return new ZohoForbiddenError(description, details);
+  }
+  if (status === 404 || /NOT_FOUND$/.test(title || "")) {
+    return new ZohoNotFoundError(description, details);
+  }
+  if (status >= 500) {
+    return new ZohoUnavailableError(description, details);
+  }
+  if (status === 400 || status === 422 || VALIDATION_ERROR_TYPES.includes(errorType)) {
+    return new ZohoValidationError(description, details);
+  }
+  return new ZohoApiError(description, details);
+}
+
+module.exports = {
+  AuthRequiredError,
+  TokenRevokedError,
+  AccessDeniedError,
+  ZohoApiError,
+  ZohoForbiddenError,
+  ZohoNotFoundError,
+  ZohoRateLimitedError,
+  ZohoValidationError,
+  ZohoUnavailableError,
+  toZohoError
+};
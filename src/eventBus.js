@@ -0,0 +1,46 @@
+const { EventEmitter } = require("events");
+const log = require("./logger").createLogger("events");
+
+// -------------------------
+// INTERNAL EVENT BUS
+// -------------------------
+//
+// Changes reported by Zoho (see zohoWebhook.js) are published here as
+// normalized events. Each event is emitted under its type ("task.updated"),
+// its entity ("task") and "*", so subscribers can listen as broadly as they
+// need. A failing subscriber is logged and never affects the others or the
+// publisher.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+/**
+ * Publish a normalized Zoho event to every subscriber
+ * @param {Object} event - Event from normalizeZohoEvent
+ */
+function publishZohoEvent(event) {
+  for (const name of new Set([event.type, event.entity, "*"])) {
+    bus.emit(name, event);
+  }
+}
+
+/**
+ * Subscribe to Zoho events
+ * @param {string} name - Event type ("task.updated"), entity ("task") or "*"
+ * @param {Function} handler - (event) => void, may be async
+ * @returns {Function} Call to unsubscribe
+ */
+function onZohoEvent(name, handler) {
+  const listener = (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch(error => log.error("Zoho event subscriber failed", { subscribedTo: name, eventId: event.id, error }));
+  };
+  bus.on(name, listener);
+  return () => bus.off(name, listener);
+}
+
+module.exports = {
+  publishZohoEvent,
+  onZohoEvent
+};
@@ -7,30 +7,128 @@ const adapter = require("./adapter");
 // This agent's main dialog.
 const app = require("./app/app");
 
-const MongoDbConnection = require("./mongoose");
-
-// Import MongoDB functions
+// Token storage (MongoDB, in-memory or file, chosen by STORAGE_BACKEND)
+const storage = require("./storage");
 const {
   storeUserToken,
   getUserToken,
   deleteUserToken,
   updateUserToken
-} = require("./mongodb");
+} = storage;
+
+const {
+  getUserToken: getZohoToken,
+  completeAuthorization,
+  getActivePortalId,
+  getUsers,
+  getOverdueTasks,
+  invalidateZohoCache,
+  probePortalCapabilities
+} = require("./zoho");
+const { AuthRequiredError, AccessDeniedError } = require("./errors");
+const { loadCaller, scopeTaskQuery } = require("./policy");
+const { createApiAuth } = require("./apiAuth");
+const { createZohoWebhookHandler } = require("./zohoWebhook");
+const { forgetCapabilities } = require("./capabilities");
+const { createLogger, runWithLogContext, newCorrelationId } = require("./logger");
+const { runWithTurnBudget } = require("./turnBudget");
+const config = require("./config");
+
+const log = createLogger("server");
 
 // Create express application.
 const expressApp = express();
-expressApp.use(express.json());
+expressApp.use(express.json({
+  // Keep the raw body around for HMAC signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Every request, and so every bot turn, gets a correlationId for its log lines.
+// Callers may pass their own in X-Correlation-Id; it is echoed back either way.
+expressApp.use((req, res, next) => {
+  const correlationId = req.get("X-Correlation-Id") || newCorrelationId();
+  res.set("X-Correlation-Id", correlationId);
+  runWithLogContext({ correlationId }, next);
+});
 
-new MongoDbConnection();
+storage.connect();
 
 const server = expressApp.listen(process.env.port || process.env.PORT || 3978, () => {
-  console.log(`\nAgent started, ${expressApp.name} listening to`, server.address());
+  log.info("Agent started", { address: server.address() });
+});
+
+// -------------------------
+// ZOHO OAUTH CALLBACK
+// -------------------------
+
+// Zoho redirects here after the user signs in from the bot's sign-in card
+expressApp.get("/api/auth/zoho/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+
+  if (error || !code || !state) {
+    log.warn("Zoho sign-in was not completed", { reason: error || "missing code or state" });
+    return res
+      .status(400)
+      .send("<p>Zoho sign-in was not completed. Please return to Teams and try again.</p>");
+  }
+
+  try {
+    const result = await completeAuthorization(code, state, req.query["accounts-server"]);
+    log.info("Zoho account connected", { teamsChatId: result.teamsChatId });
+    return res.send("<p>Your Zoho Projects account is connected. You can close this window and return to Teams.</p>");
+  } catch (err) {
+    log.warn("Error completing Zoho sign-in", { error: err.message });
+    return res
+      .status(400)
+      .send("<p>We couldn't connect your Zoho account. The sign-in link may have expired; ask the bot again for a new one.</p>");
+  }
 });
 
+// -------------------------
+// ZOHO WEBHOOKS
+// -------------------------
+
+// Task, issue and comment events from Zoho Projects, checked against
+// ZOHO_WEBHOOK_SECRET and published on the internal event bus
+expressApp.post(
+  "/api/zoho/webhook",
+  express.urlencoded({ extended: true }),
+  createZohoWebhookHandler()
+);
+
 // -------------------------
 // API ENDPOINTS FOR USER CREDENTIALS
 // -------------------------
 
+// Token management, test and debug routes are only reachable by authenticated callers
+expressApp.use(
+  ["/api/auth/token", "/api/test", "/api/debug", "/api/admin", "/api/reports"],
+  createApiAuth()
+);
+
+// Fields callers may change through PUT /api/auth/token/:teamsChatId
+const UPDATABLE_TOKEN_FIELDS = {
+  userId: "string",
+  accessToken: "string",
+  refreshToken: "string",
+  expiresAt: "number"
+};
+
+// Public view of a stored token; never includes the token values themselves
+function toPublicToken(token) {
+  return {
+    teamsChatId: token.teamsChatId,
+    userId: token.userId,
+    expiresAt: token.expiresAt,
+    isExpired: token.expiresAt < Date.now(),
+    hasAccessToken: !!token.accessToken,
+    hasRefreshToken: !!token.refreshToken,
+    updatedAt: token.updatedAt
+  };
+}
+
 // Store user credentials/token
 expressApp.post("/api/auth/token", async (req, res) => {
   try {
@@ -50,14 +148,10 @@ expressApp.post("/api/auth/token", async (req, res) => {
     return res.json({
       success: true,
       message: "User token stored successfully",
-      data: {
-        teamsChatId: result.teamsChatId,
-        userId: result.userId,
-        expiresAt: result.expiresAt
-      }
+      data: toPublicToken(result)
     });
   } catch (error) {
-    console.error("Error storing user token:", error);
+    log.error("Error storing user token", { error });
     return res.status(500).json({
       success: false,
       error: "Failed to store user token",
@@ -89,15 +183,10 @@ expressApp.get("/api/auth/token/:teamsChatId", async (req, res) => {
 
     return res.json({
       success: true,
-      data: {
-        teamsChatId: token.teamsChatId,
-        userId: token.userId,
-        expiresAt: token.expiresAt,
-        isExpired: token.expiresAt < Date.now()
-      }
+      data: toPublicToken(token)
     });
   } catch (error) {
-    console.error("Error getting user token:", error);
+    log.error("Error getting user token", { error });
     return res.status(500).json({
       success: false,
       error: "Failed to get user token",
@@ -110,7 +199,7 @@ expressApp.get("/api/auth/token/:teamsChatId", async (req, res) => {
 expressApp.put("/api/auth/token/:teamsChatId", async (req, res) => {
   try {
     const { teamsChatId } = req.params;
-    const updateData = req.body;
+    const body = req.body || {};
 
     if (!teamsChatId) {
       return res.status(400).json({
@@ -119,9 +208,30 @@ expressApp.put("/api/auth/token/:teamsChatId", async (req, res) => {
       });
     }
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData.teamsChatId;
-    delete updateData.createdAt;
+    // Only copy allowlisted fields of the expected type
+    const rejectedFields = Object.keys(body).filter(
+      field => !UPDATABLE_TOKEN_FIELDS[field] || typeof body[field] !== UPDATABLE_TOKEN_FIELDS[field]
+    );
+    if (rejectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Fields not allowed or of the wrong type: ${rejectedFields.join(", ")}`,
+        allowedFields: Object.keys(UPDATABLE_TOKEN_FIELDS)
+      });
+    }
+
+    const updateData = {};
+    for (const field of Object.keys(UPDATABLE_TOKEN_FIELDS)) {
+      if (body[field] !== undefined) updateData[field] = body[field];
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No updatable fields provided",
+        allowedFields: Object.keys(UPDATABLE_TOKEN_FIELDS)
+      });
+    }
 
     const result = await updateUserToken(teamsChatId, updateData);
 
@@ -135,15 +245,10 @@ expressApp.put("/api/auth/token/:teamsChatId", async (req, res) => {
     return res.json({
       success: true,
       message: "User token updated successfully",
-      data: {
-        teamsChatId: result.teamsChatId,
-        userId: result.userId,
-        expiresAt: result.expiresAt,
-        updatedAt: result.updatedAt
-      }
+      data: toPublicToken(result)
     });
   } catch (error) {
-    console.error("Error updating user token:", error);
+    log.error("Error updating user token", { error });
     return res.status(500).json({
       success: false,
       error: "Failed to update user token",
@@ -178,7 +283,7 @@ expressApp.delete("/api/auth/token/:teamsChatId", async (req, res) => {
       message: "User token deleted successfully"
     });
   } catch (error) {
-    console.error("Error deleting user token:", error);
+    log.error("Error deleting user token", { error });
     res.status(500).json({
       success: false,
       error: "Failed to delete user token",
@@ -200,24 +305,17 @@ expressApp.get("/api/health", (req, res) => {
 expressApp.get("/api/test/token/:teamsChatId", async (req, res) => {
   try {
     const { teamsChatId } = req.params;
-    console.log(`[TEST] Checking token for teamsChatId: ${teamsChatId}`);
 
     const token = await getUserToken(teamsChatId);
 
     res.json({
       success: true,
       teamsChatId,
-      token: token ? {
-        userId: token.userId,
-        expiresAt: token.expiresAt,
-        isExpired: token.expiresAt < Date.now(),
-        hasAccessToken: !!token.accessToken,
-        hasRefreshToken: !!token.refreshToken
-      } : null,
+      token: token ? toPublicToken(token) : null,
       message: token ? "Token found" : "Token not found"
     });
   } catch (error) {
-    console.error("[TEST] Error:", error);
+    log.error("Token check failed", { teamsChatId: req.params.teamsChatId, error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -240,16 +338,7 @@ expressApp.get("/api/debug/token/:teamsChatId", async (req, res) => {
 
     res.json({
       success: true,
-      token: {
-        teamsChatId: token.teamsChatId,
-        userId: token.userId,
-        accessToken: token.accessToken,
-        refreshToken: token.refreshToken,
-        expiresAt: token.expiresAt,
-        isExpired: token.expiresAt < Date.now(),
-        tokenLength: token.accessToken?.length || 0,
-        tokenPrefix: token.accessToken?.substring(0, 10) || 'N/A'
-      }
+      token: toPublicToken(token)
     });
   } catch (error) {
     res.status(500).json({
@@ -263,7 +352,6 @@ expressApp.get("/api/debug/token/:teamsChatId", async (req, res) => {
 expressApp.get("/api/test/zoho/:teamsChatId", async (req, res) => {
   try {
     const { teamsChatId } = req.params;
-    console.log(`[TEST ZOHO] Testing Zoho API for teamsChatId: ${teamsChatId}`);
 
     const token = await getUserToken(teamsChatId);
     if (!token) {
@@ -273,131 +361,88 @@ expressApp.get("/api/test/zoho/:teamsChatId", async (req, res) => {
       });
     }
 
-    const axios = require('axios');
-    const config = require('./config');
-
-    // Test multiple endpoints to find what works
-    const tests = [
-      {
-        name: "Tasks endpoint (current)",
-        url: `${config.zohoApiBaseUrl}/portal/${config.zohoPortalId}/tasks`
-      },
-      {
-        name: "Tasks endpoint (with slash)",
-        url: `${config.zohoApiBaseUrl}/portal/${config.zohoPortalId}/tasks`
-      },
-      {
-        name: "Tasks endpoint (v1)",
-        url: `https://projectsapi.zoho.in/portal/${config.zohoPortalId}/tasks`
-      },
-      {
-        name: "Tasks endpoint (v3)",
-        url: `https://projectsapi.zoho.in/api/v3/portal/${config.zohoPortalId}/tasks`
-      },
-      {
-        name: "Users endpoint (working)",
-        url: `${config.zohoApiBaseUrl}/portal/${config.zohoPortalId}/users`
-      }
-    ];
-
-    const results = [];
-
-    for (const test of tests) {
-      try {
-        console.log(`[TEST ZOHO] Testing ${test.name}: ${test.url}`);
-        const response = await axios.get(test.url, {
-          headers: {
-            'Authorization': `Zoho-oauthtoken ${token.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        results.push({
-          name: test.name,
-          success: true,
-          status: response.status,
-          data: response.data
-        });
-
-        // If one works, return success
-        res.json({
-          success: true,
-          message: `Zoho API test successful with ${test.name}`,
-          data: {
-            workingEndpoint: test.name,
-            status: response.status,
-            response: response.data
-          }
-        });
-        return;
-
-      } catch (error) {
-        console.log(`[TEST ZOHO] ${test.name} failed:`, error.response?.status, error.response?.data?.error?.message);
-        results.push({
-          name: test.name,
-          success: false,
-          error: error.response?.data?.error?.message || error.message,
-          status: error.response?.status
-        });
-      }
-    }
+    // Probe (or with ?refresh=true, re-probe) which endpoints the active portal supports
+    const portalId = await getActivePortalId(teamsChatId);
+    const capabilities = await probePortalCapabilities(teamsChatId, portalId, {
+      refresh: req.query.refresh === "true"
+    });
 
-    // If all tests failed
-    res.status(500).json({
+    res.json({
+      success: true,
+      message: "Zoho API test successful",
+      data: {
+        portalId,
+        capabilities
+      }
+    });
+  } catch (error) {
+    log.warn("Zoho capability probe failed", { teamsChatId: req.params.teamsChatId, error });
+    res.status(error instanceof AuthRequiredError ? 401 : 502).json({
       success: false,
-      message: "All Zoho API tests failed",
-      results: results
+      error: error.message,
+      code: error.code,
+      status: error.status
     });
+  }
+});
+
+// -------------------------
+// ADMIN ENDPOINTS
+// -------------------------
 
+// Flush cached Zoho metadata; optionally narrowed by kind, portalId and teamsChatId.
+// Unless narrowed by kind or user, the portals' discovered capabilities go too.
+expressApp.post("/api/admin/cache/flush", async (req, res) => {
+  try {
+    const { kind, portalId, teamsChatId } = req.body || {};
+    const removed = invalidateZohoCache({ kind, portalId, teamsChatId });
+    if (!kind && !teamsChatId) {
+      await forgetCapabilities(portalId || null);
+    }
+
+    log.info("Cache flushed", { kind, portalId, teamsChatId, removed });
+    res.json({
+      success: true,
+      removed
+    });
   } catch (error) {
-    console.error("[TEST ZOHO] Error:", error.response?.data || error.message);
-    res.status(500).json({
+    log.warn("Cache flush rejected", { error: error.message });
+    res.status(400).json({
       success: false,
-      error: error.response?.data || error.message,
-      status: error.response?.status
+      error: error.message
     });
   }
 });
 
-// Quick endpoint to copy token from 11111 to another teamsChatId
-expressApp.post("/api/copy-token/:fromTeamsChatId/:toTeamsChatId", async (req, res) => {
-  try {
-    const { fromTeamsChatId, toTeamsChatId } = req.params;
-    console.log(`[COPY] Copying token from ${fromTeamsChatId} to ${toTeamsChatId}`);
+// -------------------------
+// REPORTS
+// -------------------------
 
-    // Get the source token
-    const sourceToken = await getUserToken(fromTeamsChatId);
-    if (!sourceToken) {
-      return res.status(404).json({
-        success: false,
-        error: `No token found for source teamsChatId: ${fromTeamsChatId}`
-      });
-    }
+// Overdue tasks in the user's active portal, as the bot's GetOverdueTasks action
+// reports them. Optional ?projectId= and ?ownerId= (a zpuid) narrow the report;
+// the user's role limits it the same way it does in chat.
+expressApp.get("/api/reports/overdue/:teamsChatId", async (req, res) => {
+  try {
+    const { teamsChatId } = req.params;
+    const { projectId, ownerId } = req.query;
 
-    // Store it with the new teamsChatId
-    const result = await storeUserToken(
-      toTeamsChatId,
-      sourceToken.userId,
-      sourceToken.accessToken,
-      sourceToken.refreshToken,
-      Math.floor((sourceToken.expiresAt - Date.now()) / 1000) // Convert back to seconds
-    );
+    const tokenDoc = await getZohoToken(teamsChatId);
+    const portalId = await getActivePortalId(teamsChatId);
+    const caller = await loadCaller(tokenDoc, await getUsers(teamsChatId, portalId));
+    const scope = scopeTaskQuery(caller, { projectId, ownerId });
 
+    const report = await getOverdueTasks(teamsChatId, portalId, scope);
     res.json({
       success: true,
-      message: `Token copied from ${fromTeamsChatId} to ${toTeamsChatId}`,
-      data: {
-        fromTeamsChatId,
-        toTeamsChatId,
-        userId: result.userId,
-        expiresAt: result.expiresAt
-      }
+      data: { portalId, ...report }
     });
   } catch (error) {
-    console.error("[COPY] Error:", error);
-    res.status(500).json({
+    log.warn("Overdue report failed", { teamsChatId: req.params.teamsChatId, error });
+    const status = error instanceof AuthRequiredError ? 401 : error instanceof AccessDeniedError ? 403 : 502;
+    res.status(status).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code
     });
   }
 });
@@ -406,7 +451,21 @@ expressApp.post("/api/copy-token/:fromTeamsChatId/:toTeamsChatId", async (req, r
 expressApp.post("/api/messages", async (req, res) => {
   // Route received a request to adapter for processing
   await adapter.process(req, res, async (context) => {
-    // Dispatch to application for routing
-    await app.run(context);
+    const { activity } = context;
+    // Turn details join the request's correlationId on every log line of the turn
+    await runWithLogContext(
+      { activityId: activity.id, teamsChatId: activity.from?.aadObjectId },
+      async () => {
+        log.debug("Turn started", { activityType: activity.type, conversationId: activity.conversation?.id });
+        // Dispatch to application for routing; Zoho calls share the turn's time budget
+        await runWithTurnBudget(config.turnBudgetMs, () => app.run(context));
+      }
+    );
   });
 });
+
+// The app and its listening server, for tests
+module.exports = {
+  expressApp,
+  server
+};
@@ -0,0 +1,177 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const config = require("./config");
+
+// -------------------------
+// STRUCTURED LOGGING
+// -------------------------
+//
+// One JSON object per line: time, level, component, msg, the fields passed in,
+// and the context of the turn or request being handled (correlationId and
+// friends). The context lives in AsyncLocalStorage, so a Zoho call made deep
+// inside an action logs the same correlationId as the turn that caused it.
+//
+// Everything is redacted on the way out: token, secret and password fields are
+// replaced, emails and phone numbers are masked, and bearer tokens or OAuth
+// query parameters inside strings are scrubbed.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+// Field names whose values are never logged
+const SECRET_FIELD = /token|secret|password|passwd|authorization|api_?key|openaikey|cookie|signature|^key$/i;
+// Field names holding personal data, masked rather than dropped
+const PII_FIELD = /^(e?mail|email_?id|emailAddress|userPrincipalName|upn|phone|mobile|phoneNumber)$/i;
+
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const AUTH_HEADER = /\b(Bearer|Zoho-oauthtoken)\s+[^\s"',]+/gi;
+const OAUTH_PARAM = /\b(access_token|refresh_token|client_secret|code|token)=([^&\s"']+)/gi;
+
+const context = new AsyncLocalStorage();
+
+let writer = (entry, line) => {
+  const stream = entry.level === "error" || entry.level === "warn" ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+function maskEmail(email) {
+  return String(email).replace(EMAIL, "$1***@$2");
+}
+
+function maskPii(value) {
+  if (typeof value !== "string") return REDACTED;
+  if (value.includes("@")) return maskEmail(value);
+  return value.length > 4 ? `***${value.slice(-2)}` : REDACTED;
+}
+
+/**
+ * Scrub secrets and emails out of free text (messages, error messages, URLs)
+ */
+function scrub(text) {
+  return String(text)
+    .replace(AUTH_HEADER, `$1 ${REDACTED}`)
+    .replace(OAUTH_PARAM, `$1=${REDACTED}`)
+    .replace(EMAIL, "$1***@$2");
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: scrub(error.message),
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.endpoint && { endpoint: error.endpoint }),
+    ...(error.stack && { stack: scrub(error.stack) })
+  };
+}
+
+/**
+ * Copy of `value` with secret fields replaced and PII masked, safe to log
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return scrub(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_FIELD.test(key)) {
+      result[key] = item === null || item === undefined ? item : REDACTED;
+    } else if (PII_FIELD.test(key)) {
+      result[key] = item === null || item === undefined ? item : maskPii(item);
+    } else {
+      result[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return result;
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < (LEVELS[config.logLevel] ?? LEVELS.info)) return;
+
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: scrub(message),
+    ...context.getStore(),
+    ...redact(extra)
+  };
+
+  try {
+    writer(entry, JSON.stringify(entry));
+  } catch (error) {
+    // Logging must never break a turn
+  }
+}
+
+/**
+ * Logger for one component, e.g. createLogger("zoho")
+ * @param {string} component - Shown as `component` on every entry
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   Each takes a message and an optional object of fields (or an Error)
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write("debug", component, message, fields),
+    info: (message, fields) => write("info", component, message, fields),
+    warn: (message, fields) => write("warn", component, message, fields),
+    error: (message, fields) => write("error", component, message, fields)
+  };
+}
+
+// -------------------------
+// CORRELATION CONTEXT
+// -------------------------
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Run `fn` with extra fields (e.g. correlationId) added to every log entry it
+ * produces, including from async work it starts. Nested calls add to the
+ * fields of the enclosing context.
+ */
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Correlation id of the current turn or request, if any
+ */
+function getCorrelationId() {
+  return context.getStore()?.correlationId;
+}
+
+/**
+ * Replace where log lines go, e.g. to capture them in tests
+ * @param {Function} fn - (entry, line) => void
+ * @returns {Function} The previous writer
+ */
+function setLogWriter(fn) {
+  const previous = writer;
+  writer = fn;
+  return previous;
+}
+
+module.exports = {
+  createLogger,
+  redact,
+  runWithLogContext,
+  getCorrelationId,
+  newCorrelationId,
+  setLogWriter
+};
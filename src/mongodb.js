@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const config = require('./config');
-console.log(config);
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const log = require('./logger').createLogger('mongodb');
 
 // -------------------------
 // USER TOKEN SCHEMA
@@ -16,18 +17,59 @@ const userTokenSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Zoho account email, used to find the user among portal users
+  email: {
+    type: String,
+    default: null
+  },
+  // Tokens are encrypted on write and decrypted on read (see tokenCrypto.js)
   accessToken: {
     type: String,
-    required: true
+    required: true,
+    set: value => encryptToken(value, 'accessToken'),
+    get: value => decryptToken(value, 'accessToken')
   },
   refreshToken: {
     type: String,
-    required: true
+    required: true,
+    set: value => encryptToken(value, 'refreshToken'),
+    get: value => decryptToken(value, 'refreshToken')
   },
   expiresAt: {
     type: Number,
     required: true
   },
+  // Zoho data center the user signed in to (see dataCenters.js)
+  dataCenter: {
+    type: String,
+    default: null
+  },
+  accountsServer: {
+    type: String,
+    default: null
+  },
+  apiDomain: {
+    type: String,
+    default: null
+  },
+  // Zoho Projects portal the user's questions run against
+  portalId: {
+    type: String,
+    default: null
+  },
+  portalName: {
+    type: String,
+    default: null
+  },
+  // Set when Zoho rejects the refresh token; the user has to sign in again
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -36,6 +78,9 @@ const userTokenSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { getters: true },
+  toObject: { getters: true }
 });
 
 // Update the updatedAt field before saving
@@ -56,19 +101,23 @@ const UserToken = mongoose.model('UserToken', userTokenSchema);
  * @param {string} accessToken - Zoho access token
  * @param {string} refreshToken - Zoho refresh token
  * @param {number} expiresIn - Token expiration time in seconds
+ * @param {Object} extra - Optional additional fields (dataCenter, accountsServer, apiDomain)
  * @returns {Object} Stored token data
  */
-async function storeUserToken(teamsChatId, userId, accessToken, refreshToken, expiresIn) {
+async function storeUserToken(teamsChatId, userId, accessToken, refreshToken, expiresIn, extra = {}) {
   try {
 
     const expiresAt = Date.now() + (expiresIn * 1000);
 
     const tokenData = {
+      ...extra,
       teamsChatId,
       userId,
       accessToken,
       refreshToken,
-      expiresAt
+      expiresAt,
+      revoked: false,
+      revokedAt: null
     };
 
     // Use upsert to either update existing or create new
@@ -81,10 +130,10 @@ async function storeUserToken(teamsChatId, userId, accessToken, refreshToken, ex
       }
     );
 
-    console.log(`Stored/Updated Zoho token for teamsChatId: ${teamsChatId}`);
+    log.info('Stored Zoho token', { teamsChatId });
     return result;
   } catch (error) {
-    console.error('Error storing user token:', error);
+    log.error('Error storing user token', { teamsChatId, error });
     throw error;
   }
 }
@@ -96,20 +145,16 @@ async function storeUserToken(teamsChatId, userId, accessToken, refreshToken, ex
  */
 async function getUserToken(teamsChatId) {
   try {
-    console.log(`[MongoDB] Getting token for teamsChatId: ${teamsChatId}`);
-   
-
     const token = await UserToken.findOne({ teamsChatId });
-    console.log(`[MongoDB] Token query result:`, token ? 'Found' : 'Not found');
 
     if (!token) {
-      console.log(`[MongoDB] No token found for teamsChatId: ${teamsChatId}`);
+      log.debug('No token found', { teamsChatId });
       return null;
     }
 
     return token;
   } catch (error) {
-    console.error('[MongoDB] Error getting user token:', error);
+    log.error('Error getting user token', { teamsChatId, error });
     throw error;
   }
 }
@@ -126,7 +171,7 @@ async function deleteUserToken(teamsChatId) {
     const result = await UserToken.findOneAndDelete({ teamsChatId });
     return result;
   } catch (error) {
-    console.error('Error deleting user token:', error);
+    log.error('Error deleting user token', { teamsChatId, error });
     throw error;
   }
 }
@@ -147,12 +192,12 @@ async function updateUserToken(teamsChatId, updateData) {
     );
 
     if (result) {
-      console.log(`Updated token for teamsChatId: ${teamsChatId}`);
+      log.info('Updated token', { teamsChatId });
     }
 
     return result;
   } catch (error) {
-    console.error('Error updating user token:', error);
+    log.error('Error updating user token', { teamsChatId, error });
     throw error;
   }
 }
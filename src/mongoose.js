@@ -1,6 +1,6 @@
 const mongoose = require("mongoose");
-const chalk = require("cli-color");
 const { mongoDBConnectionString } = require("./config")
+const log = require("./logger").createLogger("mongodb");
 
 /**
  * @description This class handles the mongoDb connection related works
@@ -8,11 +8,11 @@ const { mongoDBConnectionString } = require("./config")
 class MongoDbConnection {
     constructor() {
         mongoose.connect(mongoDBConnectionString);
-        mongoose.connection.once('open', () => console.log(chalk.greenBright.bold.italic('MongoDb connection opened...')));
-        mongoose.connection.on('connected', () => console.log(chalk.cyanBright.bold.italic('MongoDb connected successfully...')));
-        mongoose.connection.on('reconnected', () => console.log(chalk.blueBright.bold.italic('MongoDb reconnected successfully...')));
-        mongoose.connection.on('disconnected', () => console.log(chalk.redBright.bold.italic('MongoDb disconnected!!!')));
-        mongoose.connection.on('error', () => console.log(chalk.redBright.bold.italic('MongoDb connection error!!!')));
+        mongoose.connection.once('open', () => log.info('MongoDb connection opened'));
+        mongoose.connection.on('connected', () => log.info('MongoDb connected'));
+        mongoose.connection.on('reconnected', () => log.info('MongoDb reconnected'));
+        mongoose.connection.on('disconnected', () => log.warn('MongoDb disconnected'));
+        mongoose.connection.on('error', (error) => log.error('MongoDb connection error', { error }));
     }
 }
 
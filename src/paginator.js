@@ -0,0 +1,71 @@
+// -------------------------
+// PAGINATION FOR ZOHO LIST ENDPOINTS
+// -------------------------
+
+function extractItems(data, itemsKey) {
+  if (typeof itemsKey === "function") return itemsKey(data) || [];
+  if (!itemsKey) return Array.isArray(data) ? data : [];
+  return data?.[itemsKey] || [];
+}
+
+// Zoho reports more pages through page_info (has_more_page in the older API,
+// has_next_page in v3). Without it, a full page means there may be another.
+function hasMorePages(data, items, perPage) {
+  const pageInfo = data?.page_info;
+  if (pageInfo && typeof pageInfo.has_more_page === "boolean") return pageInfo.has_more_page;
+  if (pageInfo && typeof pageInfo.has_next_page === "boolean") return pageInfo.has_next_page;
+  return items.length >= perPage;
+}
+
+/**
+ * Iterate the items of a paginated list endpoint, page by page. Errors are
+ * thrown to the caller rather than treated as the last page.
+ * @param {Function} fetchPage - async (params) => axios response for one page
+ * @param {Object} options
+ * @param {string|Function} options.itemsKey - Response field holding the items, or a function returning them
+ * @param {Object} options.params - Extra query parameters sent with every page
+ * @param {number} options.perPage - Page size (default 100)
+ * @param {number} options.maxItems - Stop after this many items
+ */
+async function* paginate(fetchPage, { itemsKey, params = {}, perPage = 100, maxItems = Infinity } = {}) {
+  let yielded = 0;
+
+  for (let page = 1; ; page++) {
+    const response = await fetchPage({ ...params, page, per_page: perPage });
+    const data = response?.data;
+    const items = extractItems(data, itemsKey);
+
+    for (const item of items) {
+      if (yielded >= maxItems) return;
+      yield item;
+      yielded++;
+    }
+
+    if (items.length === 0 || !hasMorePages(data, items, perPage)) return;
+  }
+}
+
+/**
+ * Collect the items of a paginated list endpoint
+ * @param {Function} fetchPage - async (params) => axios response for one page
+ * @param {Object} options - Same as paginate
+ * @returns {{items: Array, truncated: boolean}} truncated is true if maxItems cut the list short
+ */
+async function collectPages(fetchPage, options = {}) {
+  const { maxItems = Infinity } = options;
+  const items = [];
+
+  // Ask for one extra item to know whether the cap actually cut anything off
+  for await (const item of paginate(fetchPage, { ...options, maxItems: maxItems + 1 })) {
+    items.push(item);
+  }
+
+  const truncated = items.length > maxItems;
+  if (truncated) items.length = maxItems;
+  return { items, truncated };
+}
+
+module.exports = {
+  paginate,
+  collectPages
+};
@@ -0,0 +1,252 @@
+const axios = require("axios");
+const config = require("./config");
+const { AccessDeniedError } = require("./errors");
+const log = require("./logger").createLogger("policy");
+
+// -------------------------
+// ROLES
+// -------------------------
+
+// Higher rank can do everything a lower rank can
+const ROLE_RANK = {
+  client: 0,
+  employee: 1,
+  manager: 2,
+  admin: 3
+};
+
+/**
+ * Map a Zoho Projects portal user to one of our roles
+ * @param {Object} user - Portal user as returned by getUsers
+ * @returns {string} admin | manager | employee | client
+ */
+function roleFromZohoUser(user) {
+  if (!user) return "client";
+  if (user.isClientUser) return "client";
+
+  const descriptor = `${user.role || ""} ${user.profileType || ""}`.toLowerCase();
+  if (descriptor.includes("admin")) return "admin";
+  if (descriptor.includes("manager")) return "manager";
+  if (descriptor.includes("client")) return "client";
+  return "employee";
+}
+
+function higherRole(a, b) {
+  return ROLE_RANK[a] >= ROLE_RANK[b] ? a : b;
+}
+
+// -------------------------
+// PERMISSIONS
+// -------------------------
+
+// Lowest role that holds each permission
+const PERMISSIONS = {
+  "account:sign-out": "client",
+  "portals:read": "client",
+  "portals:switch": "client",
+  "tasks:read-others": "employee",
+  "projects:read-any": "employee",
+  "tasks:create": "employee",
+  "tasks:update-others": "employee",
+  "timelogs:read-others": "manager",
+  "timelogs:read-all": "manager"
+};
+
+const DENIAL_MESSAGES = {
+  "account:sign-out": "You can't sign out here.",
+  "portals:read": "You can't list portals.",
+  "portals:switch": "You can't switch portal.",
+  "tasks:read-others": "Client users can only see their own tasks.",
+  "projects:read-any": "Client users can only see projects they are a member of.",
+  "tasks:create": "Client users can't create tasks. Ask someone on the project team to add it.",
+  "tasks:update-others": "Client users can only update their own tasks.",
+  "timelogs:read-others": "Only managers and portal admins can see other people's time logs. You can still ask for your own.",
+  "timelogs:read-all": "Only managers and portal admins can browse the time logs of the whole portal."
+};
+
+// Permission needed to run an action at all. Actions that aren't listed are open
+// to every signed-in user and do finer-grained checks themselves.
+const ACTION_PERMISSIONS = {
+  ShowTimeLogs: "timelogs:read-all",
+  CreateTask: "tasks:create",
+  SignOut: "account:sign-out",
+  ListPortals: "portals:read",
+  SwitchPortal: "portals:switch"
+};
+
+function can(caller, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return ROLE_RANK[caller.role] >= ROLE_RANK[required];
+}
+
+/**
+ * Throw AccessDeniedError unless the caller holds the permission
+ * @param {Object} caller - Caller from loadCaller
+ * @param {string} permission - Key of PERMISSIONS
+ */
+function assertAllowed(caller, permission) {
+  if (!can(caller, permission)) {
+    throw new AccessDeniedError(DENIAL_MESSAGES[permission], permission);
+  }
+}
+
+/**
+ * Action-level check run before an AI action's handler
+ * @param {string} actionName - Name from actions.json
+ * @param {Object} caller - Caller from loadCaller
+ */
+function assertActionAllowed(actionName, caller) {
+  const permission = ACTION_PERMISSIONS[actionName];
+  if (permission) {
+    assertAllowed(caller, permission);
+  }
+}
+
+/**
+ * Whether every role may run an action. Their callers aren't loaded before the
+ * handler runs, so signing out and moving off a portal that no longer works
+ * don't depend on reading that portal's users.
+ * @param {string} actionName - Name from actions.json
+ * @returns {boolean}
+ */
+function isActionOpenToAll(actionName) {
+  const permission = ACTION_PERMISSIONS[actionName];
+  return Boolean(permission) && PERMISSIONS[permission] === "client";
+}
+
+/**
+ * Narrow a task query to what the caller may see: client users only ever get
+ * their own tasks, and asking for someone else's is refused
+ * @param {Object} caller - Caller from loadCaller
+ * @param {Object} query - Task query with an optional ownerId (zpuid) and ownerName
+ * @returns {Object} The query, limited to the caller's own tasks if need be
+ */
+function scopeTaskQuery(caller, query) {
+  if (can(caller, "tasks:read-others")) return query;
+  if (!caller.zpuid || (query.ownerId && String(query.ownerId) !== caller.zpuid)) {
+    assertAllowed(caller, "tasks:read-others");
+  }
+  return { ...query, ownerId: caller.zpuid, ownerName: caller.name };
+}
+
+// -------------------------
+// ENTRA GROUPS (OPTIONAL)
+// -------------------------
+//
+// ENTRA_GROUP_ROLES maps Entra group object ids to roles, e.g.
+// "<groupId>:manager,<groupId>:admin". Members get at least that role,
+// looked up through Microsoft Graph with the bot's own app credentials.
+
+const GROUP_ROLE_TTL = 10 * 60 * 1000;
+const groupRoleCache = new Map();
+let graphToken = null;
+
+function parseGroupRoles() {
+  const groupRoles = {};
+  for (const entry of (config.entraGroupRoles || "").split(",")) {
+    const [groupId, role] = entry.trim().split(":");
+    if (groupId && ROLE_RANK[role] !== undefined) {
+      groupRoles[groupId] = role;
+    }
+  }
+  return groupRoles;
+}
+
+const groupRoles = parseGroupRoles();
+
+async function getGraphToken() {
+  if (graphToken && graphToken.expiresAt > Date.now()) {
+    return graphToken.value;
+  }
+
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: config.MicrosoftAppId,
+    client_secret: config.MicrosoftAppPassword,
+    scope: "https://graph.microsoft.com/.default"
+  });
+  const response = await axios.post(
+    `https://login.microsoftonline.com/${config.MicrosoftAppTenantId}/oauth2/v2.0/token`,
+    body.toString(),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+
+  graphToken = {
+    value: response.data.access_token,
+    expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+  };
+  return graphToken.value;
+}
+
+async function getEntraGroupRole(aadObjectId) {
+  const groupIds = Object.keys(groupRoles);
+  if (!aadObjectId || groupIds.length === 0) {
+    return null;
+  }
+
+  const cached = groupRoleCache.get(aadObjectId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  let role = null;
+  try {
+    const response = await axios.post(
+      `https://graph.microsoft.com/v1.0/users/${aadObjectId}/checkMemberGroups`,
+      { groupIds },
+      { headers: { Authorization: `Bearer ${await getGraphToken()}` } }
+    );
+    for (const groupId of response.data?.value || []) {
+      role = role ? higherRole(role, groupRoles[groupId]) : groupRoles[groupId];
+    }
+  } catch (error) {
+    // Group roles only ever add access, so a Graph outage falls back to the Zoho role
+    log.warn("Entra group lookup failed", { aadObjectId, error: error.message });
+    return null;
+  }
+
+  groupRoleCache.set(aadObjectId, { role, expiresAt: Date.now() + GROUP_ROLE_TTL });
+  return role;
+}
+
+// -------------------------
+// CALLER
+// -------------------------
+
+/**
+ * Work out who is calling and what they may do in the active portal
+ * @param {Object} tokenDoc - Caller's stored Zoho token
+ * @param {Array} portalUsers - Users of the active portal (from getUsers)
+ * @returns {{zpuid: string|null, name: string|null, role: string, zohoRole: string, groupRole: string|null}}
+ */
+async function loadCaller(tokenDoc, portalUsers) {
+  const zohoUser = portalUsers.find(u =>
+    (u.zuid && String(u.zuid) === String(tokenDoc.userId)) ||
+    (u.email && tokenDoc.email && u.email.toLowerCase() === tokenDoc.email.toLowerCase())
+  );
+
+  // Someone we can't find in the portal gets the least privileged role
+  const zohoRole = roleFromZohoUser(zohoUser);
+  const groupRole = await getEntraGroupRole(tokenDoc.teamsChatId);
+
+  return {
+    zpuid: zohoUser ? String(zohoUser.id) : null,
+    name: zohoUser?.name || null,
+    role: groupRole ? higherRole(zohoRole, groupRole) : zohoRole,
+    zohoRole,
+    groupRole
+  };
+}
+
+module.exports = {
+  can,
+  assertAllowed,
+  assertActionAllowed,
+  isActionOpenToAll,
+  scopeTaskQuery,
+  loadCaller,
+  roleFromZohoUser
+};
@@ -0,0 +1,179 @@
+// -------------------------
+// PER-KEY RATE LIMITING
+// -------------------------
+//
+// Zoho enforces request limits per user and portal, so each key (user + portal)
+// gets its own token bucket and concurrency queue. A burst from one user never
+// slows down anyone else, and calls only wait when the bucket is empty.
+
+const { ZohoRateLimitedError } = require("./errors");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket refilled continuously: `capacity` tokens per `windowMs`
+ */
+class TokenBucket {
+  constructor(capacity, windowMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / windowMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until a token can be taken (0 if one is available now)
+   */
+  waitTime() {
+    this.refill();
+    const blocked = Math.max(0, this.blockedUntil - Date.now());
+    const refill = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    return Math.max(blocked, refill);
+  }
+
+  /**
+   * Wait for a token and take it. Fails at once if that would take longer
+   * than `maxWaitMs`, leaving the bucket untouched.
+   */
+  async take(maxWaitMs = Infinity) {
+    let wait = this.waitTime();
+    if (wait > maxWaitMs) {
+      throw new ZohoRateLimitedError("Zoho request budget for this user is used up; try again shortly", { retryAfterMs: wait });
+    }
+    while (wait > 0) {
+      await sleep(wait);
+      wait = this.waitTime();
+    }
+    this.tokens -= 1;
+  }
+
+  /**
+   * Empty the bucket and hold all calls for `ms` (Zoho told us to back off)
+   */
+  block(ms) {
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+
+  isIdle() {
+    this.refill();
+    return this.tokens >= this.capacity && this.blockedUntil <= Date.now();
+  }
+}
+
+/**
+ * Runs at most `concurrency` tasks at a time; at most `maxQueued` may wait
+ */
+class ConcurrencyQueue {
+  constructor(concurrency, maxQueued) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.running >= this.concurrency) {
+      if (this.waiting.length >= this.maxQueued) {
+        throw new ZohoRateLimitedError("Too many Zoho requests queued for this user; try again shortly");
+      }
+      // The finishing task hands its slot straight over, so `running` already counts us
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.running++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.running--;
+      }
+    }
+  }
+
+  isIdle() {
+    return this.running === 0 && this.waiting.length === 0;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Requests allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} options.concurrency - Requests in flight at once per key
+   * @param {number} options.maxQueued - Requests allowed to wait per key
+   */
+  constructor({ capacity, windowMs, concurrency, maxQueued }) {
+    this.options = { capacity, windowMs, concurrency, maxQueued };
+    this.limiters = new Map();
+  }
+
+  get(key) {
+    let limiter = this.limiters.get(key);
+    if (!limiter) {
+      this.evictIdle();
+      const { capacity, windowMs, concurrency, maxQueued } = this.options;
+      limiter = {
+        bucket: new TokenBucket(capacity, windowMs),
+        queue: new ConcurrencyQueue(concurrency, maxQueued),
+      };
+      this.limiters.set(key, limiter);
+    }
+    return limiter;
+  }
+
+  // A fully refilled, unused limiter is the same as a new one, so drop it
+  evictIdle() {
+    for (const [key, limiter] of this.limiters) {
+      if (limiter.queue.isIdle() && limiter.bucket.isIdle()) {
+        this.limiters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Run `task` once the key has both a free slot and a request token
+   * @param {string} key - Limiter key, e.g. "<zoho user>:<portal>"
+   * @param {Function} task - Async function performing the request
+   * @param {Object} options
+   * @param {number} options.maxWaitMs - Fail instead of waiting longer than this for a token
+   */
+  schedule(key, task, { maxWaitMs = Infinity } = {}) {
+    const { bucket, queue } = this.get(key);
+    return queue.run(async () => {
+      await bucket.take(maxWaitMs);
+      return task();
+    });
+  }
+
+  /**
+   * Pause all requests for a key, e.g. after a 429 or throttle error
+   */
+  block(key, ms) {
+    this.get(key).bucket.block(ms);
+  }
+
+  // Forget every key's bucket, queue and block
+  reset() {
+    this.limiters.clear();
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  ConcurrencyQueue
+};
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { MemoryStorage } = require("botbuilder");
+const config = require("../config");
+const { encryptToken, decryptToken } = require("../tokenCrypto");
+const log = require("../logger").createLogger("storage");
+const { MemoryTokenStore } = require("./memory");
+
+// -------------------------
+// FILE BACKEND
+// -------------------------
+//
+// For single-box installs: tokens and bot state live in one JSON file
+// (STORAGE_FILE_PATH). Tokens are encrypted the same way as in MongoDB.
+
+const TOKEN_FIELDS = ["accessToken", "refreshToken"];
+
+const filePath = path.resolve(config.storageFilePath);
+
+function readFile() {
+  if (!fs.existsSync(filePath)) {
+    return { tokens: [], botState: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { tokens: data.tokens || [], botState: data.botState || {} };
+}
+
+const initial = readFile();
+
+const tokenStore = new MemoryTokenStore(
+  initial.tokens.map(record => {
+    const decrypted = { ...record };
+    for (const field of TOKEN_FIELDS) decrypted[field] = decryptToken(record[field], field);
+    return decrypted;
+  })
+);
+
+// Backing object of the bot state storage; MemoryStorage keeps values as JSON strings
+const botState = initial.botState;
+
+// Writes are chained so concurrent changes never interleave on disk
+let pendingWrite = Promise.resolve();
+
+function persist() {
+  const tokens = [...tokenStore.tokens.values()].map(record => {
+    const encrypted = { ...record };
+    for (const field of TOKEN_FIELDS) encrypted[field] = encryptToken(record[field], field);
+    return encrypted;
+  });
+  const contents = JSON.stringify({ tokens, botState }, null, 2);
+
+  const write = async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, contents, { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  // A failed write is reported to its own caller; later writes still run
+  pendingWrite = pendingWrite
+    .catch(() => {})
+    .then(write)
+    .catch(error => {
+      log.error("Could not save the storage file", { filePath, error });
+      throw error;
+    });
+  return pendingWrite;
+}
+
+tokenStore.onChange = persist;
+
+class FileBotStorage extends MemoryStorage {
+  async write(changes) {
+    await super.write(changes);
+    await persist();
+  }
+
+  async delete(keys) {
+    await super.delete(keys);
+    await persist();
+  }
+}
+
+module.exports = {
+  storeUserToken: (...args) => tokenStore.storeUserToken(...args),
+  getUserToken: (...args) => tokenStore.getUserToken(...args),
+  deleteUserToken: (...args) => tokenStore.deleteUserToken(...args),
+  updateUserToken: (...args) => tokenStore.updateUserToken(...args),
+  createBotStorage: () => new FileBotStorage(botState),
+  connect: async () => {
+    log.info("Using file storage", { filePath });
+  }
+};
@@ -0,0 +1,25 @@
+const config = require("../config");
+
+// -------------------------
+// STORAGE BACKEND SELECTION
+// -------------------------
+//
+// Every backend exposes the same functions:
+//   storeUserToken, getUserToken, deleteUserToken, updateUserToken
+//   createBotStorage() - Bot Framework Storage for conversation state
+//   connect()          - called once at startup
+//
+// STORAGE_BACKEND picks one of: mongo (default), memory, file.
+
+const backends = {
+  mongo: () => require("./mongo"),
+  memory: () => require("./memory"),
+  file: () => require("./file"),
+};
+
+const load = backends[config.storageBackend];
+if (!load) {
+  throw new Error(`Unknown STORAGE_BACKEND "${config.storageBackend}". Use one of: ${Object.keys(backends).join(", ")}`);
+}
+
+module.exports = load();
@@ -0,0 +1,130 @@
+const { MemoryStorage } = require("botbuilder");
+
+// -------------------------
+// IN-MEMORY TOKEN STORE
+// -------------------------
+//
+// Keeps token records in a Map. Used for tests and local runs without a
+// database, and as the base of the file backend.
+
+// Same defaults as the mongoose UserToken schema
+const TOKEN_DEFAULTS = {
+  email: null,
+  dataCenter: null,
+  accountsServer: null,
+  apiDomain: null,
+  portalId: null,
+  portalName: null,
+  revoked: false,
+  revokedAt: null
+};
+
+class MemoryTokenStore {
+  constructor(records = []) {
+    this.tokens = new Map(records.map(record => [record.teamsChatId, record]));
+  }
+
+  /**
+   * Called after every change; the file backend persists here
+   */
+  async onChange() {}
+
+  /**
+   * Store or update user token
+   * @param {string} teamsChatId - Teams chat ID
+   * @param {string} userId - User ID
+   * @param {string} accessToken - Zoho access token
+   * @param {string} refreshToken - Zoho refresh token
+   * @param {number} expiresIn - Token expiration time in seconds
+   * @param {Object} extra - Optional additional fields (dataCenter, accountsServer, apiDomain)
+   * @returns {Object} Stored token data
+   */
+  async storeUserToken(teamsChatId, userId, accessToken, refreshToken, expiresIn, extra = {}) {
+    const existing = this.tokens.get(teamsChatId);
+    const now = new Date();
+
+    const record = {
+      ...TOKEN_DEFAULTS,
+      createdAt: now,
+      ...existing,
+      ...extra,
+      teamsChatId,
+      userId,
+      accessToken,
+      refreshToken,
+      expiresAt: Date.now() + (expiresIn * 1000),
+      revoked: false,
+      revokedAt: null,
+      updatedAt: now
+    };
+
+    this.tokens.set(teamsChatId, record);
+    await this.onChange();
+    return { ...record };
+  }
+
+  /**
+   * Get user token
+   * @param {string} teamsChatId - Teams chat ID
+   * @returns {Object|null} Token data or null if not found
+   */
+  async getUserToken(teamsChatId) {
+    const record = this.tokens.get(teamsChatId);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Delete user token
+   * @param {string} teamsChatId - Teams chat ID
+   * @returns {Object|null} Deleted token data or null if not found
+   */
+  async deleteUserToken(teamsChatId) {
+    const record = this.tokens.get(teamsChatId);
+    if (!record) return null;
+
+    this.tokens.delete(teamsChatId);
+    await this.onChange();
+    return record;
+  }
+
+  /**
+   * Update user token (useful for refresh scenarios)
+   * @param {string} teamsChatId - Teams chat ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object|null} Updated token data or null if not found
+   */
+  async updateUserToken(teamsChatId, updateData) {
+    const record = this.tokens.get(teamsChatId);
+    if (!record) return null;
+
+    const updated = { ...record, ...updateData, teamsChatId, updatedAt: new Date() };
+    this.tokens.set(teamsChatId, updated);
+    await this.onChange();
+    return { ...updated };
+  }
+
+  /**
+   * Remove every stored token (tests)
+   */
+  async clear() {
+    this.tokens.clear();
+    await this.onChange();
+  }
+}
+
+// -------------------------
+// BACKEND
+// -------------------------
+
+const store = new MemoryTokenStore();
+
+module.exports = {
+  MemoryTokenStore,
+  storeUserToken: (...args) => store.storeUserToken(...args),
+  getUserToken: (...args) => store.getUserToken(...args),
+  deleteUserToken: (...args) => store.deleteUserToken(...args),
+  updateUserToken: (...args) => store.updateUserToken(...args),
+  clear: () => store.clear(),
+  createBotStorage: () => new MemoryStorage(),
+  connect: async () => {}
+};
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const MongoDbConnection = require("../mongoose");
+const {
+  storeUserToken,
+  getUserToken,
+  deleteUserToken,
+  updateUserToken
+} = require("../mongodb");
+
+// -------------------------
+// BOT STATE SCHEMA
+// -------------------------
+const botStateSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  state: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  eTag: {
+    type: String
+  }
+}, { minimize: false });
+
+const BotState = mongoose.model('BotState', botStateSchema);
+
+/**
+ * Bot Framework storage (conversation/user state) backed by MongoDB,
+ * with the same eTag semantics as MemoryStorage
+ */
+class MongoBotStorage {
+  async read(keys) {
+    if (!keys) {
+      throw new ReferenceError('Keys are required when reading.');
+    }
+
+    const docs = await BotState.find({ _id: { $in: keys } }).lean();
+    const data = {};
+    for (const doc of docs) {
+      data[doc._id] = { ...doc.state, eTag: doc.eTag };
+    }
+    return data;
+  }
+
+  async write(changes) {
+    if (!changes) {
+      throw new ReferenceError('Changes are required when writing.');
+    }
+
+    for (const [key, item] of Object.entries(changes)) {
+      const { eTag, ...state } = item;
+      const newETag = new mongoose.Types.ObjectId().toString();
+
+      if (!eTag || eTag === '*') {
+        await BotState.updateOne({ _id: key }, { state, eTag: newETag }, { upsert: true });
+        continue;
+      }
+
+      const result = await BotState.updateOne({ _id: key, eTag }, { state, eTag: newETag });
+      if (result.matchedCount === 0) {
+        // First write of an item read from elsewhere, or a concurrent update
+        const exists = await BotState.exists({ _id: key });
+        if (exists) {
+          throw new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+        }
+        await BotState.create({ _id: key, state, eTag: newETag });
+      }
+    }
+  }
+
+  async delete(keys) {
+    await BotState.deleteMany({ _id: { $in: keys } });
+  }
+}
+
+module.exports = {
+  storeUserToken,
+  getUserToken,
+  deleteUserToken,
+  updateUserToken,
+  createBotStorage: () => new MongoBotStorage(),
+  connect: async () => {
+    new MongoDbConnection();
+  }
+};
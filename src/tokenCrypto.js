@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+// -------------------------
+// ENVELOPE ENCRYPTION FOR STORED TOKENS
+// -------------------------
+//
+// Each value is sealed with its own random data key (AES-256-GCM), and the data
+// key is in turn sealed with a key-encryption key from config. Stored format:
+//
+//   enc:v1:<keyId>:<wrapped data key>:<sealed value>
+//
+// Rotating keys only means adding a new key id to TOKEN_ENCRYPTION_KEYS and making
+// it active; old values stay readable and are re-wrapped by the migration script.
+
+const PREFIX = "enc:v1:";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function loadKeys() {
+  const keys = new Map();
+  for (const entry of (config.tokenEncryptionKeys || "").split(",")) {
+    const [keyId, encodedKey] = entry.trim().split(":");
+    if (!keyId || !encodedKey) continue;
+
+    const key = Buffer.from(encodedKey, "base64");
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${keyId}" must be 32 bytes (base64 encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+  return keys;
+}
+
+const keys = loadKeys();
+const activeKeyId = config.tokenEncryptionKeyId || keys.keys().next().value;
+
+function getKey(keyId) {
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+  return key;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed, aad) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function parse(value) {
+  const [keyId, wrappedKey, sealedValue] = value.slice(PREFIX.length).split(":");
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, "base64url"),
+    sealedValue: Buffer.from(sealedValue, "base64url"),
+  };
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a token value for storage
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} field - Field name, bound to the ciphertext as associated data
+ * @returns {string} Encrypted value
+ */
+function encryptToken(plaintext, field) {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+  if (!activeKeyId) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not configured; refusing to store tokens in plain text");
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const sealedValue = seal(dataKey, Buffer.from(String(plaintext), "utf8"), field);
+  const wrappedKey = seal(getKey(activeKeyId), dataKey, activeKeyId);
+
+  return `${PREFIX}${activeKeyId}:${wrappedKey.toString("base64url")}:${sealedValue.toString("base64url")}`;
+}
+
+/**
+ * Decrypt a stored token value. Values written before encryption was enabled
+ * are returned unchanged so they keep working until the migration has run.
+ * @param {string} value - Stored value
+ * @param {string} field - Field name the value was encrypted for
+ * @returns {string} Plain-text token
+ */
+function decryptToken(value, field) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, sealedValue } = parse(value);
+  const dataKey = open(getKey(keyId), wrappedKey, keyId);
+  return open(dataKey, sealedValue, field).toString("utf8");
+}
+
+/**
+ * Whether a stored value is plain text or sealed with a key other than the active one
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  return !isEncrypted(value) || parse(value).keyId !== activeKeyId;
+}
+
+/**
+ * Re-wrap a value's data key with the active key. The value itself is not
+ * re-encrypted; plain-text values are encrypted from scratch.
+ * @param {string} value - Stored value
+ * @param {string} field - Field name the value belongs to
+ * @returns {string} Value sealed under the active key
+ */
+function rewrapToken(value, field) {
+  if (!isEncrypted(value)) {
+    return encryptToken(value, field);
+  }
+
+  const { keyId, wrappedKey, sealedValue } = parse(value);
+  if (keyId === activeKeyId) {
+    return value;
+  }
+
+  const dataKey = open(getKey(keyId), wrappedKey, keyId);
+  const rewrapped = seal(getKey(activeKeyId), dataKey, activeKeyId);
+  return `${PREFIX}${activeKeyId}:${rewrapped.toString("base64url")}:${sealedValue.toString("base64url")}`;
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  needsReencryption,
+  rewrapToken
+};
@@ -0,0 +1,64 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// -------------------------
+// TURN TIME BUDGET
+// -------------------------
+//
+// Teams gives up on a bot turn after about 15 seconds, so Zoho calls made for a
+// turn share one deadline. Request timeouts are capped to what is left of it,
+// and a retry or rate-limit wait that would overrun it fails at once instead
+// of sleeping past the point where the user could still get an answer.
+//
+// The same per-turn scope records whether any answer came from the last good
+// response instead of a live call, so the reply can say "data as of ...".
+
+const turns = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a deadline `budgetMs` from now. Inside an existing budget the
+ * outer deadline is kept.
+ */
+function runWithTurnBudget(budgetMs, fn) {
+  if (turns.getStore()) return fn();
+  return turns.run({ deadline: Date.now() + budgetMs, staleSince: null, parent: null }, fn);
+}
+
+/**
+ * Milliseconds left in the current turn's budget (Infinity outside a turn)
+ */
+function remainingTurnTime() {
+  const turn = turns.getStore();
+  return turn ? Math.max(0, turn.deadline - Date.now()) : Infinity;
+}
+
+// -------------------------
+// STALE DATA
+// -------------------------
+
+/**
+ * Record that data fetched at `asOf` (ms since epoch) was served instead of a live answer
+ */
+function noteStaleData(asOf) {
+  for (let scope = turns.getStore(); scope; scope = scope.parent) {
+    scope.staleSince = scope.staleSince ? Math.min(scope.staleSince, asOf) : asOf;
+  }
+}
+
+/**
+ * Run `fn` and report whether anything it served was stale
+ * @returns {Promise<{value: *, staleSince: number|null}>} `staleSince` is the
+ *   oldest `asOf` passed to noteStaleData while `fn` ran, or null
+ */
+async function trackStaleData(fn) {
+  const parent = turns.getStore() || null;
+  const scope = { deadline: parent ? parent.deadline : Infinity, staleSince: null, parent };
+  const value = await turns.run(scope, fn);
+  return { value, staleSince: scope.staleSince };
+}
+
+module.exports = {
+  runWithTurnBudget,
+  remainingTurnTime,
+  noteStaleData,
+  trackStaleData
+};
@@ -1,34 +1,71 @@
 const axios = require("axios");
+const crypto = require("crypto");
 const config = require("./config");
-const {
-  getUserToken: mongoGetUserToken,
-  storeUserToken: mongoStoreUserToken,
-  updateUserToken: mongoUpdateUserToken
-} = require("./mongodb");
+const storage = require("./storage");
 const moment = require("moment");
-
-const { zohoApiBaseUrl, zohoPortalId } = config;
-
-let lastApiCall = 0;
-const API_CALL_DELAY = 1000; // 1 second between calls
-const MAX_REQUESTS_PER_WINDOW = 90; // Stay under 100 limit
-const WINDOW_DURATION = 120000; // 2 minutes in milliseconds
-let requestCount = 0;
-let windowStart = Date.now();
+const {
+  AuthRequiredError,
+  TokenRevokedError,
+  ZohoNotFoundError,
+  ZohoRateLimitedError,
+  ZohoUnavailableError,
+  toZohoError
+} = require("./errors");
+const { detectDataCenter, isKnownAccountsServer, resolveHosts } = require("./dataCenters");
+const { RateLimiter } = require("./rateLimiter");
+const { paginate, collectPages } = require("./paginator");
+const { TtlCache, cacheKey } = require("./cache");
+const { withCapability, getCapabilities, forgetCapabilities } = require("./capabilities");
+const { CircuitBreakers } = require("./circuitBreaker");
+const { remainingTurnTime, noteStaleData, trackStaleData } = require("./turnBudget");
+const { onZohoEvent } = require("./eventBus");
+const log = require("./logger").createLogger("zoho");
+
+const { zohoApiBaseUrl } = config;
+
+const THROTTLE_BACKOFF = config.zohoThrottleBackoffMs; // Zoho's rolling throttle window is 2 minutes
+
+// One token bucket + concurrency queue per Zoho user and portal
+const zohoRateLimiter = new RateLimiter({
+  capacity: config.zohoRateLimit, // stay under Zoho's 100 requests per window
+  windowMs: config.zohoRateWindowMs,
+  concurrency: config.zohoMaxConcurrency,
+  maxQueued: config.zohoMaxQueued,
+});
+
+// Users, projects, statuses and layouts per portal and Teams user
+const zohoCache = new TtlCache({ ttlMs: config.zohoCacheTtlMs });
 
 // -------------------------
 // AUTH HELPERS
 // -------------------------
 
-async function refreshAccessToken(teamsChatId, refreshToken = null) {
+// Refresh a little before expiry so a token never runs out mid-request
+const TOKEN_REFRESH_SKEW = 5 * 60 * 1000;
+
+// Zoho answers these when the refresh token is no longer valid
+const REVOKED_TOKEN_ERRORS = ["invalid_code", "invalid_grant", "invalid_token"];
+
+// One refresh per user at a time; concurrent callers share the same promise
+const refreshesInFlight = new Map();
+
+async function markTokenRevoked(teamsChatId) {
+  await storage.updateUserToken(teamsChatId, { revoked: true, revokedAt: new Date() });
+  log.warn("Refresh token revoked", { teamsChatId });
+}
+
+async function requestTokenRefresh(teamsChatId, tokenDoc) {
   try {
-    if (!refreshToken) {
-      const existingToken = await mongoGetUserToken(teamsChatId);
-      if (!existingToken || !existingToken.refreshToken) {
-        throw new Error("No refresh token found in database");
-      }
-      refreshToken = existingToken.refreshToken;
+    if (!tokenDoc) {
+      tokenDoc = await storage.getUserToken(teamsChatId);
+    }
+    if (!tokenDoc || !tokenDoc.refreshToken) {
+      throw new AuthRequiredError("No refresh token found in database");
+    }
+    if (tokenDoc.revoked) {
+      throw new TokenRevokedError();
     }
+    const { refreshToken } = tokenDoc;
 
     const body = new URLSearchParams({
       grant_type: "refresh_token",
@@ -38,58 +75,314 @@ async function refreshAccessToken(teamsChatId, refreshToken = null) {
     });
 
     // Send POST with body
-    response = await axios.post(
-      "https://accounts.zoho.in/oauth/v2/token",
-      body.toString(),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
+    let response;
+    try {
+      response = await axios.post(
+        `${resolveHosts(tokenDoc).accountsUrl}/oauth/v2/token`,
+        body.toString(),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+    } catch (error) {
+      if (REVOKED_TOKEN_ERRORS.includes(error.response?.data?.error)) {
+        await markTokenRevoked(teamsChatId);
+        throw new TokenRevokedError();
+      }
+      throw error;
+    }
 
+    // Zoho reports a revoked refresh token with a 200 and an error field
+    if (REVOKED_TOKEN_ERRORS.includes(response.data?.error)) {
+      await markTokenRevoked(teamsChatId);
+      throw new TokenRevokedError();
+    }
 
-    const { access_token, expires_in } = response.data;
+    const { access_token, expires_in, api_domain } = response.data;
 
-    console.log("response.data", response.data)
     if (!access_token || !expires_in) {
       throw new Error("Invalid refresh token response");
     }
 
-    const updatedToken = await mongoUpdateUserToken(teamsChatId, {
+    const updatedToken = await storage.updateUserToken(teamsChatId, {
       accessToken: access_token,
       refreshToken,
       expiresAt: Date.now() + expires_in * 1000,
+      ...(api_domain && { apiDomain: api_domain }),
     });
 
     return updatedToken;
   } catch (error) {
-    console.error(`[TOKEN REFRESH] Error refreshing token: ${error}`);
+    log.error("Token refresh failed", { teamsChatId, error });
     throw error;
   }
 }
 
+async function refreshAccessToken(teamsChatId, tokenDoc = null) {
+  if (!refreshesInFlight.has(teamsChatId)) {
+    const refresh = requestTokenRefresh(teamsChatId, tokenDoc)
+      .finally(() => refreshesInFlight.delete(teamsChatId));
+    refreshesInFlight.set(teamsChatId, refresh);
+  }
+  return refreshesInFlight.get(teamsChatId);
+}
+
+// Called after Zoho answered 401. If another request already refreshed the
+// token in the meantime, reuse that one instead of refreshing again.
+async function refreshAfterUnauthorized(teamsChatId, rejectedAccessToken) {
+  if (refreshesInFlight.has(teamsChatId)) {
+    return refreshesInFlight.get(teamsChatId);
+  }
+
+  const current = await storage.getUserToken(teamsChatId);
+  if (current && !current.revoked && current.accessToken !== rejectedAccessToken && current.expiresAt > Date.now()) {
+    return current;
+  }
+  return refreshAccessToken(teamsChatId, current);
+}
+
 async function getUserToken(teamsChatId) {
   try {
-    const token = await mongoGetUserToken(teamsChatId);
+    const token = await storage.getUserToken(teamsChatId);
     if (!token) {
-      throw new Error("Token not found");
+      throw new AuthRequiredError("Token not found");
     }
 
-    if (token.expiresAt < Date.now()) {
-      console.log(
-        `Access token expired. Refreshing for teamsChatId: ${teamsChatId}`
-      );
-      return await refreshAccessToken(teamsChatId, token.refreshToken);
+    if (token.revoked) {
+      throw new TokenRevokedError();
+    }
+
+    if (token.expiresAt - TOKEN_REFRESH_SKEW < Date.now()) {
+      log.debug("Access token expires soon, refreshing", { teamsChatId });
+      try {
+        return await refreshAccessToken(teamsChatId, token);
+      } catch (error) {
+        // An accounts server outage shouldn't fail calls the current token can still make
+        if (error instanceof AuthRequiredError || token.expiresAt <= Date.now()) throw error;
+        log.warn("Early token refresh failed; using the current access token", { teamsChatId, error: error.message });
+      }
     }
 
     return token;
   } catch (error) {
-    console.error(`Error fetching token: ${error.message}`);
+    log.debug("Could not get a usable token", { teamsChatId, error: error.message });
     throw error;
   }
 }
 
+// -------------------------
+// OAUTH SIGN-IN
+// -------------------------
+
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // sign-in links are valid for 10 minutes
+
+function signOAuthState(payload) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto
+    .createHmac("sha256", config.oauthStateSecret)
+    .update(encoded)
+    .digest("base64url");
+  return `${encoded}.${signature}`;
+}
+
+function verifyOAuthState(state) {
+  const [encoded, signature] = String(state || "").split(".");
+  if (!encoded || !signature) {
+    throw new Error("Malformed OAuth state");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", config.oauthStateSecret)
+    .update(encoded)
+    .digest();
+  const received = Buffer.from(signature, "base64url");
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error("Invalid OAuth state signature");
+  }
+
+  const payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"));
+  if (!payload.teamsChatId || Date.now() - payload.issuedAt > OAUTH_STATE_TTL) {
+    throw new Error("OAuth state has expired");
+  }
+  return payload;
+}
+
+/**
+ * Build the Zoho consent URL a Teams user is sent to from the sign-in card
+ * @param {string} teamsChatId - Teams identity (aadObjectId) the token will be stored under
+ * @returns {string} Zoho authorization URL
+ */
+function getAuthorizationUrl(teamsChatId) {
+  const params = new URLSearchParams({
+    scope: config.zohoScopes,
+    client_id: config.zohoClientId,
+    response_type: "code",
+    access_type: "offline",
+    prompt: "consent",
+    redirect_uri: config.zohoRedirectUri,
+    state: signOAuthState({ teamsChatId, issuedAt: Date.now() }),
+  });
+  return `${config.zohoAccountsUrl}/oauth/v2/auth?${params.toString()}`;
+}
+
+/**
+ * Exchange the authorization code from the OAuth callback and store the token
+ * for the Teams user encoded in the signed state
+ * @param {string} code - Authorization code returned by Zoho
+ * @param {string} state - Signed state generated by getAuthorizationUrl
+ * @param {string} accountsServer - accounts-server parameter of the callback (user's data center)
+ * @returns {Object} Stored token data
+ */
+async function completeAuthorization(code, state, accountsServer = null) {
+  const { teamsChatId } = verifyOAuthState(state);
+
+  // Users outside the default region are redirected to their own accounts
+  // server; only ever send the client secret to a genuine Zoho host.
+  if (accountsServer && !isKnownAccountsServer(accountsServer)) {
+    throw new Error(`Unknown Zoho accounts server: ${accountsServer}`);
+  }
+  const accountsUrl = (accountsServer || config.zohoAccountsUrl).replace(/\/+$/, "");
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    client_id: config.zohoClientId,
+    client_secret: config.zohoClientSecret,
+    redirect_uri: config.zohoRedirectUri,
+    code,
+  });
+
+  const response = await axios.post(
+    `${accountsUrl}/oauth/v2/token`,
+    body.toString(),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+
+  const { access_token, refresh_token, expires_in, api_domain, error } = response.data;
+  if (error || !access_token || !refresh_token || !expires_in) {
+    throw new Error(`Authorization code exchange failed: ${error || "incomplete token response"}`);
+  }
+
+  // The Zoho account id identifies the user on the Zoho side; fall back to the
+  // Teams identity if the profile scope was not granted.
+  let zohoUserId = teamsChatId;
+  let email = null;
+  try {
+    const profile = await axios.get(`${accountsUrl}/oauth/user/info`, {
+      headers: { Authorization: `Zoho-oauthtoken ${access_token}` },
+    });
+    zohoUserId = String(profile.data?.ZUID || zohoUserId);
+    email = profile.data?.Email || null;
+  } catch (profileError) {
+    log.warn("Could not read Zoho profile", { teamsChatId, error: profileError.message });
+  }
+
+  // The callback's own accounts-server wins; without one, the api_domain Zoho answered with decides
+  const dataCenter = detectDataCenter({ accountsServer, apiDomain: api_domain });
+  log.info("Detected Zoho data center", { teamsChatId, dataCenter: dataCenter || "default" });
+
+  return storage.storeUserToken(teamsChatId, zohoUserId, access_token, refresh_token, expires_in, {
+    email,
+    dataCenter,
+    accountsServer: accountsUrl,
+    apiDomain: api_domain || null,
+  });
+}
+
+// -------------------------
+// SIGN-OUT
+// -------------------------
+
+/**
+ * Revoke the user's refresh token at Zoho and delete the stored token.
+ * The local token is deleted even if Zoho can't be reached.
+ * @param {string} teamsChatId - Teams identity of the user
+ * @returns {{hadToken: boolean, revokedAtZoho: boolean, alreadyRevoked: boolean}}
+ *   alreadyRevoked is true when Zoho had already rejected the refresh token,
+ *   so there was nothing left to revoke
+ */
+async function signOut(teamsChatId) {
+  const token = await storage.getUserToken(teamsChatId);
+  if (!token) {
+    return { hadToken: false, revokedAtZoho: false, alreadyRevoked: false };
+  }
+
+  let revokedAtZoho = false;
+  if (!token.revoked && token.refreshToken) {
+    try {
+      const params = new URLSearchParams({ token: token.refreshToken });
+      await axios.post(`${resolveHosts(token).accountsUrl}/oauth/v2/token/revoke?${params.toString()}`);
+      revokedAtZoho = true;
+    } catch (error) {
+      log.warn("Zoho token revocation failed", { teamsChatId, error: error.message });
+    }
+  }
+
+  refreshesInFlight.delete(teamsChatId);
+  invalidateZohoCache({ teamsChatId });
+  lastGoodResponses.deleteWhere(key => key.startsWith(`${teamsChatId}:`));
+  await storage.deleteUserToken(teamsChatId);
+  log.info("Zoho disconnected", { teamsChatId });
+
+  return { hadToken: true, revokedAtZoho, alreadyRevoked: Boolean(token.revoked) };
+}
+
 // -------------------------
 // GENERIC API CALL
 // -------------------------
 
+// One breaker per API host and portal, so an outage of one data center or
+// portal doesn't stop calls to the others
+const zohoCircuits = new CircuitBreakers({
+  failureThreshold: config.zohoCircuitFailures,
+  cooldownMs: config.zohoCircuitCooldownMs,
+});
+
+// Last successful GET response per user and request, served (and reported as
+// stale) when Zoho is down or throttling for longer than the turn can wait
+const lastGoodResponses = new TtlCache({ ttlMs: config.zohoStaleTtlMs, maxEntries: 500 });
+
+// Failures that say nothing about the request itself, so an older answer still holds
+function isOutage(error) {
+  return error instanceof ZohoUnavailableError || error instanceof ZohoRateLimitedError;
+}
+
+/**
+ * Send one request through the user's rate limiter and the portal's circuit
+ * breaker, with a timeout that fits in what is left of the turn
+ */
+async function sendZohoRequest(configs, limiterKey, breaker, endpoint) {
+  if (breaker.state === "open") {
+    throw new ZohoUnavailableError("Zoho Projects is not responding; calls are paused", { endpoint });
+  }
+  const remaining = remainingTurnTime();
+  if (remaining <= 0) {
+    throw new ZohoUnavailableError("Ran out of time waiting for Zoho Projects", { endpoint });
+  }
+
+  return zohoRateLimiter.schedule(limiterKey, async () => {
+    if (!breaker.allowRequest()) {
+      throw new ZohoUnavailableError("Zoho Projects is not responding; calls are paused", { endpoint });
+    }
+
+    const timeout = Math.max(1, Math.min(config.zohoRequestTimeoutMs, remainingTurnTime()));
+    const started = Date.now();
+    try {
+      const response = await axios({ ...configs, timeout });
+      breaker.recordSuccess();
+      log.debug("Zoho call", {
+        method: configs.method, endpoint, status: response.status, durationMs: Date.now() - started
+      });
+      return response;
+    } catch (error) {
+      // Any answer below 500 means Zoho itself is up
+      if (!error.response || error.response.status >= 500) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }, { maxWaitMs: remaining });
+}
+
 async function makeZohoAPICall(
   endpoint,
   token,
@@ -99,42 +392,26 @@ async function makeZohoAPICall(
   teamsChatId = null,
   portalId = null
 ) {
+  let lastGoodKey = null;
   try {
-    // Rate limiting logic
-    const now = Date.now();
-    
-    // Reset window if 2 minutes have passed
-    if (now - windowStart > WINDOW_DURATION) {
-      requestCount = 0;
-      windowStart = now;
-    }
-    
-    // Check if we're approaching the limit
-    if (requestCount >= MAX_REQUESTS_PER_WINDOW) {
-      const waitTime = WINDOW_DURATION - (now - windowStart);
-      console.log(`Rate limit approaching. Waiting ${Math.ceil(waitTime / 1000)} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      requestCount = 0;
-      windowStart = Date.now();
-    }
-    
-    // Add delay between calls
-    const timeSinceLastCall = now - lastApiCall;
-    if (timeSinceLastCall < API_CALL_DELAY) {
-      const delay = API_CALL_DELAY - timeSinceLastCall;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-    
-    lastApiCall = Date.now();
-    requestCount++;
-    
-    console.log(`API Call #${requestCount} in current window`);
+    // Route to the user's data center when we have their token document
+    const accessToken = typeof token === "string" ? token : token.accessToken;
+    const apiBaseUrl = typeof token === "string" ? zohoApiBaseUrl : resolveHosts(token).apiBaseUrl;
+
+    // Zoho counts requests per user and portal
+    const zohoUser = (typeof token === "string" ? null : token.userId) || teamsChatId || accessToken;
+    const limiterKey = `${zohoUser}:${portalId || "-"}`;
 
-    const url = `${zohoApiBaseUrl.endsWith("/") ? zohoApiBaseUrl : zohoApiBaseUrl + "/"
+    const url = `${apiBaseUrl.endsWith("/") ? apiBaseUrl : apiBaseUrl + "/"
       }${endpoint}`;
 
+    const breaker = zohoCircuits.get(`${new URL(url).host}:${portalId || "-"}`);
+    if (method.toUpperCase() === "GET" && teamsChatId) {
+      lastGoodKey = `${teamsChatId}:${url}?${JSON.stringify(params || {})}`;
+    }
+
     const headers = {
-      Authorization: `Zoho-oauthtoken ${token}`,
+      Authorization: `Zoho-oauthtoken ${accessToken}`,
       "Content-Type": "application/json",
     };
 
@@ -154,226 +431,439 @@ async function makeZohoAPICall(
     }
 
     let retries = 3;
+    let lastError = null;
     while (retries > 0) {
       try {
-        const response = await axios(configs);
+        const response = await sendZohoRequest(configs, limiterKey, breaker, endpoint);
+        if (lastGoodKey) {
+          lastGoodResponses.set(lastGoodKey, { data: response.data, status: response.status, asOf: Date.now() });
+        }
         return response;
       } catch (error) {
-        // Handle rate limiting specifically
-        if (error.response?.status === 429) {
-          const retryAfter = error.response.headers['retry-after'];
-          const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, 3 - retries) * 1000;
-          console.log(`Rate limited. Waiting ${waitTime / 1000} seconds...`);
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
+        const zohoError = toZohoError(error, endpoint);
+
+        // Rate limited or throttled: hold this user's queue, then retry
+        if (zohoError instanceof ZohoRateLimitedError) {
+          const waitTime = zohoError.retryAfterMs ??
+            (zohoError.status === 429 ? Math.pow(2, 3 - retries) * 1000 : THROTTLE_BACKOFF);
+          zohoRateLimiter.block(limiterKey, waitTime);
+          lastError = zohoError;
+
+          // Waiting out a long throttle would leave the user with no answer at all
+          if (waitTime >= remainingTurnTime()) {
+            log.warn("Zoho rate limited for longer than the turn can wait", {
+              method, endpoint, portalId, teamsChatId, reason: zohoError.title || zohoError.status, waitMs: waitTime
+            });
+            break;
+          }
+          log.warn("Zoho rate limited, backing off", {
+            method, endpoint, portalId, teamsChatId, reason: zohoError.title || zohoError.status, waitMs: waitTime
+          });
           retries--;
           continue;
         }
-        
-        // Handle 400 errors that might be rate limiting
-        if (error.response?.status === 400) {
-          const errorData = error.response.data;
-          if (errorData?.error?.error_type === 'OPERATIONAL_VALIDATION_ERROR' && 
-              errorData?.error?.title === 'URL_ROLLING_THROTTLES_LIMIT_EXCEEDED') {
-            console.log('Rate limit exceeded. Waiting 2 minutes...');
-            await new Promise((resolve) => setTimeout(resolve, 120000)); // Wait 2 minutes
-            retries--;
-            continue;
-          }
-        }
-        
+
         if (error.response?.status === 401 && teamsChatId) {
+          let refreshedToken;
           try {
-            const refreshedToken = await refreshAccessToken(teamsChatId, null);
-            if (refreshedToken && refreshedToken.accessToken) {
-              configs.headers.Authorization = `Zoho-oauthtoken ${refreshedToken.accessToken}`;
-              const response = await axios(configs);
-              return response;
-            }
+            refreshedToken = await refreshAfterUnauthorized(teamsChatId, accessToken);
           } catch (refreshError) {
-            console.error(`[ZOHO API] Token refresh failed:`, refreshError.message);
-            throw error;
+            log.warn("Token refresh after 401 failed", { teamsChatId, error: refreshError.message });
+            throw toZohoError(refreshError);
+          }
+          if (refreshedToken && refreshedToken.accessToken) {
+            configs.headers.Authorization = `Zoho-oauthtoken ${refreshedToken.accessToken}`;
+            return await sendZohoRequest(configs, limiterKey, breaker, endpoint);
           }
         }
-        
-        throw error;
+
+        throw zohoError;
       }
     }
-    throw new Error("Max retries reached for Zoho API");
+    throw lastError;
   } catch (error) {
-    console.error("Error in makeZohoAPICall:", error);
-    throw error;
+    const zohoError = toZohoError(error, endpoint);
+    log.warn("Zoho call failed", {
+      method, endpoint, portalId, code: zohoError.code, status: zohoError.status, title: zohoError.title
+    });
+
+    // Zoho is down or throttling: the last answer we got beats no answer
+    const lastGood = lastGoodKey && isOutage(zohoError) ? lastGoodResponses.get(lastGoodKey) : null;
+    if (lastGood) {
+      log.info("Serving last good response", { endpoint, portalId, asOf: new Date(lastGood.asOf).toISOString() });
+      noteStaleData(lastGood.asOf);
+      return { data: lastGood.data, status: lastGood.status, stale: true, asOf: lastGood.asOf };
+    }
+    throw zohoError;
   }
 }
 
+/**
+ * Close every circuit breaker, lift rate-limit blocks and forget the last good responses
+ */
+function resetZohoResilience() {
+  zohoCircuits.reset();
+  zohoRateLimiter.reset();
+  lastGoodResponses.flush();
+}
+
 // -------------------------
-// OWNER RESOLUTION
+// LIST HELPERS
 // -------------------------
 
-async function resolveOwnerId(teamsChatId, portalId, ownerName) {
-  try {
-    const token = await getUserToken(teamsChatId); // fetch token for the actual Teams user
-    if (!token) throw new Error("Token not found");
+function pageFetcher(endpoint, token, teamsChatId, portalId) {
+  return (params) => makeZohoAPICall(endpoint, token, "GET", null, params, teamsChatId, portalId);
+}
 
-    console.log("ownerNameownerName:", ownerName)
-    const response = await makeZohoAPICall(
-      `portal/${portalId}/users`,
-      token.accessToken,
-      "GET",
-      null,
-      {},
-      teamsChatId,
-      portalId
-    );
+/**
+ * Iterate every item of a paginated Zoho list endpoint
+ * @param {string} endpoint - Zoho API endpoint
+ * @param {Object|string} token - Token document or access token
+ * @param {string} teamsChatId - Teams identity of the user
+ * @param {string} portalId - Portal id
+ * @param {Object} options - itemsKey, params, perPage, maxItems (see paginator.js)
+ */
+function iterateZohoList(endpoint, token, teamsChatId, portalId, options = {}) {
+  return paginate(pageFetcher(endpoint, token, teamsChatId, portalId), options);
+}
+
+/**
+ * Fetch every item of a paginated Zoho list endpoint
+ * @returns {{items: Array, truncated: boolean}}
+ */
+function fetchZohoList(endpoint, token, teamsChatId, portalId, options = {}) {
+  return collectPages(pageFetcher(endpoint, token, teamsChatId, portalId), options);
+}
+
+// v3 returns projects as the root array; older responses wrap them
+function projectItems(data) {
+  return Array.isArray(data) ? data : data?.projects;
+}
+
+// -------------------------
+// CACHE
+// -------------------------
 
-    // console.log("responserespos:", response.data)
-    const users = response?.data?.users || [];
+const CACHE_KINDS = ["users", "projects", "statuses", "layouts", "tasklists"];
 
+// Cached per portal and Teams user; uncached when we don't know the user.
+// Values loaded from stale responses are returned but not cached, so the
+// next call tries Zoho again.
+async function cachedForUser(kind, portalId, teamsChatId, loader, ...rest) {
+  if (!teamsChatId) return loader();
+
+  const key = cacheKey(kind, portalId, teamsChatId, ...rest);
+  const entry = await zohoCache.getOrLoad(key, () => trackStaleData(loader));
+  if (entry.staleSince) {
+    zohoCache.delete(key);
+    noteStaleData(entry.staleSince);
+  }
+  return entry.value;
+}
+
+// Task and issue changes move the open/closed counts cached with each project
+for (const entity of ["task", "issue"]) {
+  onZohoEvent(entity, (event) => invalidateZohoCache({ kind: "projects", portalId: event.portalId }));
+}
+
+/**
+ * Drop cached Zoho metadata. Every filter is optional; with none, the whole
+ * cache is flushed.
+ * @param {Object} filter
+ * @param {string} filter.kind - One of CACHE_KINDS
+ * @param {string} filter.portalId - Portal id
+ * @param {string} filter.teamsChatId - Teams identity of the user
+ * @returns {number} Number of entries removed
+ */
+function invalidateZohoCache({ kind, portalId, teamsChatId } = {}) {
+  if (kind && !CACHE_KINDS.includes(kind)) {
+    throw new Error(`Unknown cache kind: ${kind}`);
+  }
+  if (!kind && !portalId && !teamsChatId) {
+    return zohoCache.flush();
+  }
+
+  const removed = zohoCache.deleteWhere(key => {
+    const [keyKind, keyPortalId, keyTeamsChatId] = key.split(":");
+    return (!kind || keyKind === kind) &&
+      (!portalId || keyPortalId === String(portalId)) &&
+      (!teamsChatId || keyTeamsChatId === teamsChatId);
+  });
+  log.info("Invalidated cache entries", { kind, portalId, teamsChatId, removed });
+  return removed;
+}
+
+// -------------------------
+// ENDPOINT SHAPES
+// -------------------------
+//
+// Alternatives for APIs that differ between portals. capabilities.js finds
+// out once per portal which one works.
+
+// Where time logs live, most likely first
+const TIMELOG_SHAPES = [
+  { name: "timelogs", endpoint: (portalId) => `portal/${portalId}/timelogs`, key: "timelogs", params: {} },
+  { name: "timesheet", endpoint: (portalId) => `portal/${portalId}/timesheet`, key: "timesheet", params: {} },
+  { name: "logs", endpoint: () => "logs", key: "timelogs", params: { bill_status: "All", component_type: "task" } }
+];
+
+// Time log pages are fetched this size; past MAX_TIME_LOGS entries the list is cut short
+const TIMELOG_PAGE_SIZE = 200;
+const MAX_TIME_LOGS = 2000;
+
+// Older portals call issues "bugs"
+const ISSUE_MODULES = [
+  { name: "issues", itemsKey: "issues" },
+  { name: "bugs", itemsKey: "bugs" }
+];
+
+// Time logs come either as a flat list or as the logs report grouped by date
+function timeLogEntries(data) {
+  if (Array.isArray(data)) return data;
+  return (data?.date || []).flatMap(day =>
+    (day.tasklogs || []).map(log => ({ ...log, work_date: day.date }))
+  );
+}
+
+/**
+ * Work out (again, if `refresh`) which endpoint shapes a portal supports
+ * @param {string} teamsChatId - Teams identity of the caller, whose token is used
+ * @param {string} portalId - Portal id
+ * @param {Object} options
+ * @param {boolean} options.refresh - Forget what was discovered before
+ * @returns {Object} capability -> shape name (false if unsupported), plus
+ *   checkedAt (capability -> when it was last checked)
+ */
+async function probePortalCapabilities(teamsChatId, portalId, { refresh = false } = {}) {
+  if (refresh) {
+    await forgetCapabilities(portalId);
+  }
+
+  const token = await getUserToken(teamsChatId);
+  const today = moment();
+  const probes = {
+    timelogs: () => fetchTimeLogs(teamsChatId, portalId, "all", today, today, { probe: true }),
+    issues: () => withCapability(portalId, "issues", ISSUE_MODULES, (module) =>
+      makeZohoAPICall(`portal/${portalId}/${module.name}`, token, "GET", null, { per_page: 1 }, teamsChatId, portalId),
+      { probe: true }
+    )
+  };
+
+  for (const [capability, probe] of Object.entries(probes)) {
+    try {
+      await probe();
+    } catch (error) {
+      // Unsupported is recorded by the probe itself; anything else is a real failure
+      if (!(error instanceof ZohoNotFoundError)) throw error;
+    }
+  }
+
+  return getCapabilities(portalId);
+}
+
+// -------------------------
+// PORTALS
+// -------------------------
+
+/**
+ * List the Zoho Projects portals the user belongs to
+ * @param {string} teamsChatId - Teams identity of the user
+ * @returns {Array<{id: string, name: string, isDefault: boolean}>}
+ */
+async function getPortals(teamsChatId) {
+  const token = await getUserToken(teamsChatId);
+  const response = await makeZohoAPICall(
+    "portals",
+    token,
+    "GET",
+    null,
+    {},
+    teamsChatId
+  );
+
+  const portals = Array.isArray(response?.data) ? response.data : response?.data?.portals || [];
+  return portals.map(p => ({
+    id: String(p.id || p.id_string),
+    name: p.portal_name || p.name,
+    isDefault: !!(p.is_default || p.default)
+  }));
+}
+
+/**
+ * Remember which portal the user's questions should run against
+ * @param {string} teamsChatId - Teams identity of the user
+ * @param {{id: string, name: string}} portal - Portal to activate
+ */
+async function setActivePortal(teamsChatId, portal) {
+  return storage.updateUserToken(teamsChatId, {
+    portalId: portal.id,
+    portalName: portal.name
+  });
+}
+
+/**
+ * Portal the user is currently working in. The first time, pick the configured
+ * portal if the user belongs to it, otherwise their default portal.
+ * @param {string} teamsChatId - Teams identity of the user
+ * @returns {string} Portal id
+ */
+async function getActivePortalId(teamsChatId) {
+  const token = await getUserToken(teamsChatId);
+  if (token.portalId) {
+    return token.portalId;
+  }
 
+  const portals = await getPortals(teamsChatId);
+  if (portals.length === 0) {
+    throw new Error("No Zoho Projects portals found for this account");
+  }
+
+  const portal =
+    portals.find(p => p.id === String(config.zohoPortalId)) ||
+    portals.find(p => p.isDefault) ||
+    portals[0];
+
+  await setActivePortal(teamsChatId, portal);
+  log.info("Active portal set", { teamsChatId, portalId: portal.id });
+  return portal.id;
+}
+
+// -------------------------
+// OWNER RESOLUTION
+// -------------------------
+
+/**
+ * Find a portal user by full name or email, or else by a partial name that
+ * only one user matches
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} ownerName - Name or email as the user typed it
+ * @returns {{id: string, name: string}|{multiple: string[]}|null} `multiple` holds
+ *   the names of every user a partial name matches, for the user to pick from
+ */
+async function resolveOwnerId(teamsChatId, portalId, ownerName) {
+  try {
+    const users = await getUsers(teamsChatId, portalId);
     if (!users.length) return null;
 
-    let owner = users.find(
-      u => u.full_name.toLowerCase() === ownerName.toLowerCase()
+    const searchName = ownerName.toLowerCase().trim();
+    const exact = users.filter(u =>
+      (u.name || "").toLowerCase() === searchName || (u.email || "").toLowerCase() === searchName
     );
-    if (!owner) {
-      owner = users.find(u =>
-        u.full_name.toLowerCase().includes(ownerName.toLowerCase())
-      );
-    }
-    if (!owner) return null;
+    const matched = exact.length > 0 ? exact : users.filter(u => (u.name || "").toLowerCase().includes(searchName));
+    if (matched.length === 0) return null;
+    if (matched.length > 1) return { multiple: matched.map(u => u.name) };
 
-    return { id: owner.zpuid || owner.id, name: owner.full_name };
+    const [owner] = matched;
+    return { id: owner.id, name: owner.name };
   } catch (err) {
-    console.error("[Zoho] Error in resolveOwnerId:", err);
+    if (err instanceof AuthRequiredError) throw err;
+    log.warn("Could not resolve owner", { portalId, error: err });
     return null;
   }
 }
 
 
 
-
 // -------------------------
 // ZOHO PROJECTS FUNCTIONS
 // -------------------------
 
-async function getProjects(token) {
+async function getProjects(token, portalId) {
+  const teamsChatId = typeof token === "string" ? null : token.teamsChatId;
   try {
-    const response = await makeZohoAPICall(
-      `portal/${zohoPortalId}/projects`,
-      token,
-      "GET",
-      null,
-      { per_page: 200 }
-    );
-    return response.data?.projects || [];
+    return await cachedForUser("projects", portalId, teamsChatId, async () => {
+      const { items } = await fetchZohoList(
+        `portal/${portalId}/projects`,
+        token,
+        teamsChatId,
+        portalId,
+        { itemsKey: projectItems }
+      );
+      return items;
+    });
   } catch (error) {
-    console.error("Error fetching Zoho Projects:", error.message);
+    log.debug("Error fetching projects", { portalId, error: error.message });
     throw error;
   }
 }
 
 
 
-async function getPendingTasksByOwner(context, state, ownerName) {
-  const teamsChatId = "11111";
-  const portalId = config.zohoPortalId;
+/**
+ * Zoho v3 task filter for the criteria Zoho can apply itself
+ * @param {Object} criteria
+ * @param {string} criteria.ownerId - Portal user id (zpuid)
+ * @param {string} criteria.status - "open" or "closed"; other status names are left to the caller
+ * @param {string} criteria.priority - none, low, medium or high
+ * @returns {Object|null} Filter for the `filter` query parameter, or null if there is nothing to filter on
+ */
+function taskFilter({ ownerId, status, priority } = {}) {
+  const criteria = [];
+  if (ownerId) {
+    criteria.push({ field_name: "owner", criteria_condition: "contains", value: [String(ownerId)] });
+  }
+  if (status === "open" || status === "closed") {
+    criteria.push({ field_name: "status", criteria_condition: "is", value: [status] });
+  }
+  if (priority) {
+    criteria.push({ field_name: "priority", criteria_condition: "is", value: [priority] });
+  }
+  if (criteria.length === 0) return null;
 
-  const resolvedOwner = await resolveOwnerId(teamsChatId, portalId, ownerName);
-  if (!resolvedOwner) return [];
+  return { criteria, pattern: criteria.map((_, i) => i + 1).join(" AND ") };
+}
 
+// Zoho v3 task filter: open tasks with the given owner
+function pendingTasksFilter(ownerId) {
+  return taskFilter({ ownerId, status: "open" });
+}
+
+/**
+ * Open tasks owned by a portal user, newest first
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {{id: string, name: string}} resolvedOwner - Owner from resolveOwnerId
+ */
+async function getPendingTasksByOwner(teamsChatId, portalId, resolvedOwner) {
   const token = await getUserToken(teamsChatId);
-  
-  console.log(`Searching for pending tasks for owner: ${ownerName}`);
 
   try {
-    // Function to get the last 5 pages of tasks only - FIXED VERSION
-    async function getLatestTasks() {
-      console.log(`\n=== FETCHING LATEST TASKS (LAST 5 PAGES) ===`);
-      
-      let allTasks = [];
-      const perPage = 100;
-      
-      // Start from a high page number and work backwards to find the last 5 pages
-      let currentPage = 90; // Start high
-      let foundPages = 0;
-      let lastValidPage = 0;
-      
-      // First, find the last page by starting high and working down
-      console.log(`Finding the last page...`);
-      while (currentPage > 0 && foundPages < 7) {
-        try {
-          const response = await makeZohoAPICall(
-            `portal/${portalId}/tasks`,
-            token.accessToken,
-            "GET",
-            null,
-            { 
-              per_page: perPage,
-              page: currentPage
-            },
-            teamsChatId,
-            portalId
-          );
-
-          const tasks = response?.data?.tasks || [];
-          if (tasks.length > 0) {
-            lastValidPage = currentPage;
-            foundPages++;
-            console.log(`  Page ${currentPage}: Found ${tasks.length} tasks`);
-            allTasks = allTasks.concat(tasks);
-          }
-          currentPage--;
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 50));
-        } catch (error) {
-          console.log(`  Page ${currentPage} failed: ${error.message}`);
-          currentPage--;
-        }
+    // Let Zoho do the filtering: only open tasks owned by this user, every page
+    const { items: ownerTasks } = await fetchZohoList(
+      `portal/${portalId}/tasks`,
+      token,
+      teamsChatId,
+      portalId,
+      {
+        itemsKey: "tasks",
+        params: { filter: JSON.stringify(pendingTasksFilter(resolvedOwner.id)) }
       }
+    );
 
-      console.log(`Found last valid page: ${lastValidPage}`);
-      console.log(`Total latest tasks fetched: ${allTasks.length}`);
-      return allTasks;
-    }
+    // Guard against a filter the server ignored: keep exact owner id matches only
+    const pendingTasks = ownerTasks.filter(task =>
+      task.is_completed !== true &&
+      (task.owners_and_work?.owners || []).some(owner =>
+        String(owner.zpuid || owner.id) === String(resolvedOwner.id)
+      )
+    );
 
-    // Get latest tasks only
-    const allTasks = await getLatestTasks();
-
-    // Filter for pending tasks assigned to the owner
-    const pendingTasks = allTasks.filter(task => {
-      if (task.is_completed === true) return false;
-      if (!task.owners_and_work?.owners || task.owners_and_work.owners.length === 0) return false;
-
-      return task.owners_and_work.owners.some(owner => {
-        const ownerFullName = `${owner.first_name} ${owner.last_name}`.toLowerCase().trim();
-        const ownerFirstName = owner.first_name.toLowerCase().trim();
-        const ownerLastName = owner.last_name.toLowerCase().trim();
-        const searchName = ownerName.toLowerCase().trim();
-        const resolvedOwnerName = resolvedOwner.name.toLowerCase().trim();
-        
-        return ownerFullName.includes(searchName) || 
-               ownerFirstName.includes(searchName) || 
-               ownerLastName.includes(searchName) ||
-               owner.name.toLowerCase().includes(searchName) ||
-               ownerFullName.includes(resolvedOwnerName) ||
-               ownerFirstName.includes(resolvedOwnerName) ||
-               ownerLastName.includes(resolvedOwnerName) ||
-               owner.name.toLowerCase().includes(resolvedOwnerName);
-      });
-    });
+    // Latest first
+    pendingTasks.sort((a, b) =>
+      new Date(b.last_updated_time || b.created_time || 0) - new Date(a.last_updated_time || a.created_time || 0)
+    );
 
-    // Limit to latest 15 tasks only
-    const limitedPendingTasks = pendingTasks.slice(0, 15);
-    
-    console.log(`Found ${pendingTasks.length} total pending tasks for ${ownerName}`);
-    console.log(`Returning latest ${limitedPendingTasks.length} pending tasks`);
+    log.debug("Found pending tasks", { portalId, ownerId: resolvedOwner.id, count: pendingTasks.length });
 
     // Format tasks for response with proper formatting
-    const formattedTasks = limitedPendingTasks.map(task => ({
+    const formattedTasks = pendingTasks.map(task => ({
       id: task.id,
       name: task.name,
       description: task.description,
       status: task.status?.name || 'Unknown',
+      projectId: task.project?.id ? String(task.project.id) : null,
+      parentTaskId: task.parental_info?.parent_task_id ? String(task.parental_info.parent_task_id) : null,
       priority: task.priority || 'none',
       project: task.project?.name || 'Unknown Project',
       startDate: task.start_date,
@@ -392,8 +882,8 @@ async function getPendingTasksByOwner(context, state, ownerName) {
     return formattedTasks;
 
   } catch (error) {
-    console.error(`Error fetching pending tasks for ${ownerName}:`, error.message);
-    return [];
+    log.debug("Error fetching pending tasks", { portalId, ownerId: resolvedOwner.id, error: error.message });
+    throw error;
   }
 }
 
@@ -404,90 +894,24 @@ async function getProjectByName(teamsChatId, portalId, projectName) {
   const token = await getUserToken(teamsChatId);
   if (!token) throw new Error("No token found for user");
 
-  console.log(`\n=== PROJECT SEARCH DIAGNOSTIC ===`);
-  console.log(`Searching for project: "${projectName}"`);
-
   try {
-    // Function to get ALL projects with pagination
-    async function getAllProjects() {
-      console.log(`\n=== FETCHING ALL PROJECTS WITH PAGINATION ===`);
-      
-      let allProjects = [];
-      let page = 1;
-      const perPage = 100;
-      let hasMore = true;
-
-      while (hasMore) {
-        console.log(`Fetching projects page ${page}...`);
-        
-        try {
-          const response = await makeZohoAPICall(
-            `portal/${portalId}/projects`,
-            token.accessToken,
-            "GET",
-            null,
-            { 
-              per_page: perPage,
-              page: page
-            },
-            teamsChatId,
-            portalId
-          );
-
-          // FIX: Projects are in the root array, not response.data.projects
-          const projects = response?.data || [];
-          console.log(`  Page ${page}: Found ${projects.length} projects`);
-          
-          if (projects.length === 0) {
-            hasMore = false;
-          } else {
-            allProjects = allProjects.concat(projects);
-            page++;
-            
-            // Small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        } catch (error) {
-          console.log(`  Projects page ${page} failed: ${error.message}`);
-          hasMore = false;
-        }
-      }
-
-      console.log(`Total projects fetched: ${allProjects.length}`);
-      
-      // Show all project names for debugging
-      console.log(`\nAll projects found:`);
-      allProjects.forEach((project, index) => {
-        console.log(`  ${index + 1}. "${project.name}" (ID: ${project.id})`);
-      });
-      
-      return allProjects;
-    }
-
-    // Get all projects
-    const allProjects = await getAllProjects();
+    const allProjects = await getProjects(token, portalId);
 
     // Search for matching projects
     const matched = allProjects.filter((p) =>
       p.name.toLowerCase().includes(projectName.toLowerCase())
     );
 
-    console.log(`\nMatching projects for "${projectName}": ${matched.length}`);
-    matched.forEach((project, index) => {
-      console.log(`  ${index + 1}. "${project.name}" (ID: ${project.id})`);
-    });
+    log.debug("Project search", { portalId, projects: allProjects.length, matches: matched.map(p => p.id) });
 
     if (matched.length === 0) {
-      console.log(`No projects found matching "${projectName}"`);
       return { notFound: true };
     }
     if (matched.length > 1) {
-      console.log(`Multiple projects found: ${matched.map(p => p.name).join(', ')}`);
       return { multiple: matched.map((p) => p.name) };
     }
 
     const project = matched[0];
-    console.log(`Found project: "${project.name}" (ID: ${project.id})`);
 
     // Extract project details from the response structure
     let percent = project.percent_complete || "-";
@@ -508,7 +932,7 @@ async function getProjectByName(teamsChatId, portalId, projectName) {
     try {
       const projectDetail = await makeZohoAPICall(
         `portal/${portalId}/projects/${project.id}`,
-        token.accessToken,
+        token,
         "GET",
         null,
         {},
@@ -525,71 +949,34 @@ async function getProjectByName(teamsChatId, portalId, projectName) {
         tag = detail.tag || tag;
       }
     } catch (error) {
-      console.log(`Error fetching additional project details: ${error.message}`);
+      if (error instanceof AuthRequiredError) throw error;
+      log.warn("Error fetching project details", { portalId, projectId: project.id, error: error.message });
     }
 
-// Try to get project issues
-// Try to get project issues
-try {
-  console.log(`\n=== FETCHING PROJECT ISSUES ===`);
-  
-  // Try different possible endpoints
-  const possibleEndpoints = [
-    `portal/${portalId}/projects/${project.id}/issues`,
-    `portal/${portalId}/projects/${project.id}/bugs`,
-    `portal/${portalId}/issues`,
-    `portal/${portalId}/bugs`
-  ];
-  
-  let issuesFound = false;
-  
-  for (const endpoint of possibleEndpoints) {
+    // Latest few issues; portals without an issues module just show none
     try {
-      console.log(`Trying endpoint: ${endpoint}`);
-      const issuesResponse = await makeZohoAPICall(
-        endpoint,
-        token.accessToken,
-        "GET",
-        null,
-        { per_page: 10 },
-        teamsChatId,
-        portalId
-      );
-      
-      if (issuesResponse?.data) {
-        const issues = issuesResponse.data.issues || issuesResponse.data.bugs || issuesResponse.data || [];
-        if (Array.isArray(issues) && issues.length > 0) {
-          issuesList = issues.slice(0, 5).map((issue) => ({
-            title: issue.title || issue.name || issue.subject || "Untitled Issue",
-            status: issue.status?.name || issue.status || "Unknown",
-            priority: issue.priority || issue.severity || "Unknown",
-          }));
-          console.log(`Found ${issuesList.length} issues using ${endpoint}`);
-          issuesFound = true;
-          break;
-        }
-      }
+      // Keyed apart from the portal-wide "issues": a 404 here may just be this project
+      const issues = await withCapability(portalId, "projectIssues", ISSUE_MODULES, async (module) => {
+        const issuesResponse = await makeZohoAPICall(
+          `portal/${portalId}/projects/${project.id}/${module.name}`,
+          token,
+          "GET",
+          null,
+          { per_page: 5 },
+          teamsChatId,
+          portalId
+        );
+        return issuesResponse?.data?.[module.itemsKey] || [];
+      });
+      issuesList = issues.slice(0, 5).map((issue) => ({
+        title: issue.title || issue.name || issue.subject || "Untitled Issue",
+        status: issue.status?.name || issue.status || "Unknown",
+        priority: issue.priority || issue.severity || "Unknown",
+      }));
     } catch (error) {
-      console.log(`Endpoint ${endpoint} failed: ${error.message}`);
+      if (!(error instanceof ZohoNotFoundError)) throw error;
+      log.debug("No issues for project", { portalId, projectId: project.id, error: error.message });
     }
-  }
-  
-  if (!issuesFound) {
-    console.log(`No working issues endpoint found`);
-    issuesList = [];
-  }
-  
-} catch (error) {
-  console.log(`Error fetching project issues: ${error.message}`);
-  issuesList = [];
-}
-
-    console.log(`\nProject details retrieved successfully`);
-    console.log(`Project: ${project.name}`);
-    console.log(`Owner: ${ownerName}`);
-    console.log(`Status: ${statusName}`);
-    console.log(`Completion: ${percent}%`);
-    console.log(`Open Tasks: ${openTasks}, Closed Tasks: ${closedTasks}`);
 
     return {
       id: project.id,
@@ -607,7 +994,7 @@ try {
       issues: issuesList,
     };
   } catch (error) {
-    console.error(`Error in getProjectByName: ${error.message}`);
+    log.debug("Error in getProjectByName", { portalId, error: error.message });
     throw error;
   }
 }
@@ -616,293 +1003,775 @@ try {
 
 
 // Get list of users for dropdown
-async function getUsers(teamsChatId) {
+async function getUsers(teamsChatId, portalId) {
+  return cachedForUser("users", portalId, teamsChatId, async () => {
+    const token = await getUserToken(teamsChatId);
+    const { items: users } = await fetchZohoList(
+      `portal/${portalId}/users`,
+      token,
+      teamsChatId,
+      portalId,
+      { itemsKey: "users" }
+    );
+    return users.map(u => ({
+      id: u.zpuid || u.id || u.id_string,
+      name: u.full_name || u.name,
+      email: u.email || null,
+      zuid: u.zuid || null,
+      role: u.role?.name || u.role || null,
+      profileType: u.profile?.type || u.profile?.name || null,
+      isClientUser: !!(u.is_client_user || u.user_type === "client")
+    }));
+  });
+}
+
+/**
+ * Task layout of a project (fields and status workflow)
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ */
+async function getTaskLayout(teamsChatId, portalId, projectId) {
+  return cachedForUser("layouts", portalId, teamsChatId, async () => {
+    const token = await getUserToken(teamsChatId);
+    const resp = await makeZohoAPICall(
+      `portal/${portalId}/projects/${projectId}/tasklayouts`,
+      token,
+      "GET",
+      null,
+      {},
+      teamsChatId,
+      portalId
+    );
+    return resp?.data || {};
+  }, projectId);
+}
+
+/**
+ * Task statuses available in a project
+ * @returns {Array<{id: string, name: string, isClosed: boolean}>}
+ */
+async function getTaskStatuses(teamsChatId, portalId, projectId) {
+  return cachedForUser("statuses", portalId, teamsChatId, async () => {
+    const layout = await getTaskLayout(teamsChatId, portalId, projectId);
+    const statuses = layout.status_details || layout.statuses || [];
+    return statuses.map(s => ({
+      id: String(s.id),
+      name: s.name,
+      isClosed: s.type === "closed" || s.is_closed_type === true
+    }));
+  }, projectId);
+}
+
+/**
+ * Whether a portal user is a member of a project
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ * @param {string} zpuid - Portal user id to look for
+ * @returns {boolean}
+ */
+async function isProjectMember(teamsChatId, portalId, projectId, zpuid) {
+  if (!zpuid) return false;
+
   const token = await getUserToken(teamsChatId);
-  const resp = await makeZohoAPICall(
-    `portal/${zohoPortalId}/users`,
-    token.accessToken,
-    "GET",
-    null,
-    {},
+  for await (const u of iterateZohoList(
+    `portal/${portalId}/projects/${projectId}/users`,
+    token,
     teamsChatId,
-    zohoPortalId
-  );
-  const users = resp?.data?.users || [];
-  return users.map(u => ({
-    id: u.zpuid || u.id || u.id_string,
-    name: u.full_name || u.name
-  }));
+    portalId,
+    { itemsKey: "users" }
+  )) {
+    if (String(u.zpuid || u.id) === String(zpuid)) return true;
+  }
+  return false;
 }
 
 
 
+/**
+ * Time logs of one user (a zpuid) or "all" users between two dates, every page.
+ * `probe` is set by probePortalCapabilities (see capabilities.js).
+ * @returns {{items: Array, truncated: boolean}} truncated is true past MAX_TIME_LOGS entries
+ */
+async function fetchTimeLogs(teamsChatId, portalId, usersList, fromDate, toDate, { probe = false } = {}) {
+  const token = await getUserToken(teamsChatId);
+  const params = {
+    users_list: usersList,
+    view_type: "custom_date",
+    date: `${moment(fromDate).format("MM-DD-YYYY")} to ${moment(toDate).format("MM-DD-YYYY")}`
+  };
+
+  return withCapability(portalId, "timelogs", TIMELOG_SHAPES, async (shape) => {
+    const { items, truncated } = await fetchZohoList(shape.endpoint(portalId), token, teamsChatId, portalId, {
+      itemsKey: (data) => timeLogEntries(data?.[shape.key]),
+      params: { ...params, ...shape.params },
+      perPage: TIMELOG_PAGE_SIZE,
+      maxItems: MAX_TIME_LOGS
+    });
+    return {
+      items: items.map(e => ({
+        date: e.work_date || e.date,
+        hours: Number(e.hours || e.time_spent || 0) + Number(e.minutes || 0) / 60,
+        userName: e.owner?.name || e.owner_name || "Unknown User",
+        projectName: e.project?.name || "Unknown Project",
+        taskName: e.task?.name || "Unknown Task",
+        description: e.notes || "",
+        billable: (e.bill_status || e.billing_status) === "Billable"
+      })),
+      truncated
+    };
+  }, { probe });
+}
+
+/**
+ * Everyone's time logs for the current month
+ * @returns {{items: Array, truncated: boolean}}
+ */
 async function getAllTimeLogs(teamsChatId, portalId) {
   try {
-    const token = await getUserToken(teamsChatId);
-    if (!token || !token.accessToken) {
-      throw new Error("No valid token found");
-    }
-
-    console.log("\n=== FETCHING ALL TIME LOGS WITH PAGINATION (INDIA REGION) ===");
-    
-    let allTimeLogs = [];
-    
-    // Get current month's data
-    const currentDate = new Date();
-    const currentMonth = String(currentDate.getMonth() + 1).padStart(2, '0');
-    const currentYear = currentDate.getFullYear();
-    const formattedDate = `${currentMonth}-01-${currentYear}`;
-    
-    try {
-      const params = {
-        users_list: 'all',
-        view_type: 'month',
-        date: formattedDate,
-        bill_status: 'All',
-        component_type: 'task'
-      };
-
-      console.log(`Fetching time logs for India region with params:`, params);
-
-      const resp = await makeZohoAPICall(
-        `logs`, // This will use the India REST API endpoint
-        token.accessToken,
-        "GET",
-        null,
-        params,
-        teamsChatId,
-        portalId
-      );
-      
-      console.log(`Response structure:`, Object.keys(resp?.data || {}));
-      console.log(`Response data sample:`, JSON.stringify(resp?.data, null, 2).substring(0, 500));
-      
-      // Parse the response according to the documented structure
-      const timelogsData = resp?.data?.timelogs || {};
-      const dateEntries = timelogsData.date || [];
-      
-      console.log(`Found ${dateEntries.length} date entries`);
-      
-      // Extract logs from the nested structure
-      dateEntries.forEach(dateEntry => {
-        const tasklogs = dateEntry.tasklogs || [];
-        tasklogs.forEach(log => {
-          const processedLog = {
-            date: dateEntry.date,
-            hours: log.hours || 0,
-            minutes: log.minutes || 0,
-            userName: log.owner_name || "Unknown User",
-            projectName: log.project?.name || "Unknown Project",
-            taskName: log.task?.name || "Unknown Task",
-            description: log.notes || "",
-            billable: log.bill_status === "Billable"
-          };
-          allTimeLogs.push(processedLog);
-        });
-      });
+    const result = await fetchTimeLogs(
+      teamsChatId,
+      portalId,
+      "all",
+      moment().startOf("month"),
+      moment().endOf("month")
+    );
+    log.debug("Fetched time logs for this month", { portalId, count: result.items.length, truncated: result.truncated });
+    return result;
+  } catch (error) {
+    log.debug("Error in getAllTimeLogs", { portalId, error: error.message });
+    throw error;
+  }
+}
 
-      console.log(`Total time logs processed: ${allTimeLogs.length}`);
-      
-    } catch (error) {
-      console.error(`Time logs fetch failed for India region: ${error.message}`);
-      console.error(`Error response:`, error.response?.data);
-    }
 
-    return allTimeLogs;
 
+/**
+ * Time logs of one user between two dates
+ * @returns {{items: Array, truncated: boolean}}
+ */
+async function getTimeLogsForUser(teamsChatId, portalId, userId, fromDate, toDate) {
+  try {
+    const result = await fetchTimeLogs(teamsChatId, portalId, userId, fromDate, toDate);
+    log.debug("Fetched time logs for user", { portalId, userId, fromDate, toDate, count: result.items.length, truncated: result.truncated });
+    return result;
   } catch (error) {
-    console.error("[getAllTimeLogs] Error:", error);
+    log.debug("Error in getTimeLogsForUser", { portalId, userId, error: error.message });
     throw error;
   }
 }
 
 
 
-// Get timelogs for user between two dates
-async function getTimeLogsForUser(teamsChatId, portalId, userId, fromDate, toDate) {
-  try {
+// -------------------------
+// TASKS
+// -------------------------
+
+// Exact (case-insensitive) name matches if there are any, otherwise partial ones
+function matchByName(items, query) {
+  const search = query.toLowerCase().trim();
+  const exact = items.filter(item => (item.name || "").toLowerCase() === search);
+  return exact.length > 0 ? exact : items.filter(item => (item.name || "").toLowerCase().includes(search));
+}
+
+/**
+ * Find one project by name without loading its details
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectName - Full or partial name
+ * @returns {{project: {id: string, name: string}}|{notFound: true}|{multiple: string[]}}
+ */
+async function findProject(teamsChatId, portalId, projectName) {
+  const token = await getUserToken(teamsChatId);
+  const matched = matchByName(await getProjects(token, portalId), projectName);
+
+  if (matched.length === 0) return { notFound: true };
+  if (matched.length > 1) return { multiple: matched.map(p => p.name) };
+  return { project: { id: String(matched[0].id), name: matched[0].name } };
+}
+
+/**
+ * Task lists of a project
+ * @returns {Array<{id: string, name: string, isDefault: boolean}>}
+ */
+async function getTasklists(teamsChatId, portalId, projectId) {
+  return cachedForUser("tasklists", portalId, teamsChatId, async () => {
     const token = await getUserToken(teamsChatId);
-    if (!token || !token.accessToken) {
-      throw new Error("No valid token found");
-    }
+    const { items } = await fetchZohoList(
+      `portal/${portalId}/projects/${projectId}/tasklists`,
+      token,
+      teamsChatId,
+      portalId,
+      { itemsKey: "tasklists" }
+    );
+    return items.map(list => ({
+      id: String(list.id),
+      name: list.name,
+      isDefault: list.is_default === true
+    }));
+  }, projectId);
+}
 
-    console.log(`\n=== FETCHING TIME LOGS FOR USER ${userId} ===`);
-    console.log(`Date range: ${fromDate} to ${toDate}`);
+/**
+ * Find one task list of a project by name
+ * @returns {{tasklist: Object}|{notFound: true, tasklists: Array}|{multiple: string[]}}
+ */
+async function findTasklist(teamsChatId, portalId, projectId, tasklistName) {
+  const tasklists = await getTasklists(teamsChatId, portalId, projectId);
+  const matched = matchByName(tasklists, tasklistName);
+
+  if (matched.length === 0) return { notFound: true, tasklists };
+  if (matched.length > 1) return { multiple: matched.map(l => l.name) };
+  return { tasklist: matched[0] };
+}
 
-    // Try multiple API endpoints
-    const endpoints = [
-      {
-        name: 'timelogs',
-        endpoint: `portal/${portalId}/timelogs`,
-        params: {
-          users_list: userId,
-          view_type: "custom_date",
-          date: `${moment(fromDate).format("MM-DD-YYYY")} to ${moment(toDate).format("MM-DD-YYYY")}`,
-          per_page: 200
-        }
-      },
-      {
-        name: 'timesheet',
-        endpoint: `portal/${portalId}/timesheet`,
-        params: {
-          users_list: userId,
-          view_type: "custom_date",
-          date: `${moment(fromDate).format("MM-DD-YYYY")} to ${moment(toDate).format("MM-DD-YYYY")}`,
-          per_page: 200
-        }
-      },
-      {
-        name: 'logs (REST API)',
-        endpoint: 'logs',
-        params: {
-          users_list: userId,
-          view_type: "custom_date",
-          date: `${moment(fromDate).format("MM-DD-YYYY")} to ${moment(toDate).format("MM-DD-YYYY")}`,
-          bill_status: 'All',
-          component_type: 'task'
-        }
-      }
-    ];
+/**
+ * Link to a task in the Zoho Projects web app
+ * @param {Object} token - Token document, for the user's data center
+ * @param {string} portalId - Portal id
+ * @param {Object} task - Task as returned by Zoho
+ */
+function taskWebUrl(token, portalId, task) {
+  if (task.link?.web?.url) return task.link.web.url;
+  const { projectsWebUrl } = resolveHosts(token);
+  return `${projectsWebUrl}/portal/${portalId}#taskdetail/${task.project?.id}/${task.tasklist?.id}/${task.id}`;
+}
 
-    for (const endpointConfig of endpoints) {
-      try {
-        console.log(`Trying ${endpointConfig.name} endpoint...`);
-        
-        const resp = await makeZohoAPICall(
-          endpointConfig.endpoint,
-          token.accessToken,
-          "GET",
-          null,
-          endpointConfig.params,
-          teamsChatId,
-          portalId
-        );
+// The task fields the bot shows, from a v3 task
+function formatTask(task, token, portalId) {
+  return {
+    id: String(task.id),
+    name: task.name,
+    description: task.description || "",
+    status: task.status?.name || "Unknown",
+    priority: task.priority || "none",
+    projectId: task.project?.id ? String(task.project.id) : null,
+    project: task.project?.name || null,
+    tasklistId: task.tasklist?.id ? String(task.tasklist.id) : null,
+    tasklist: task.tasklist?.name || null,
+    parentTaskId: task.parental_info?.parent_task_id ? String(task.parental_info.parent_task_id) : null,
+    startDate: task.start_date || null,
+    dueDate: task.end_date || null,
+    owners: (task.owners_and_work?.owners || []).map(owner => ({
+      id: String(owner.zpuid || owner.id),
+      name: owner.name || owner.full_name
+    })),
+    completionPercentage: task.completion_percentage || 0,
+    isCompleted: task.is_completed || false,
+    tags: (task.tags || []).map(tag => tag.name),
+    url: taskWebUrl(token, portalId, task)
+  };
+}
 
-        console.log(`${endpointConfig.name} response:`, Object.keys(resp?.data || {}));
-
-        // Try different response structures
-        let entries = [];
-        if (resp?.data?.timelogs) {
-          entries = resp.data.timelogs;
-        } else if (resp?.data?.logs) {
-          entries = resp.data.logs;
-        } else if (resp?.data?.timesheet) {
-          entries = resp.data.timesheet;
-        } else if (Array.isArray(resp?.data)) {
-          entries = resp.data;
-        } else if (resp?.data?.date) {
-          // Handle nested structure from logs endpoint
-          const dateEntries = resp.data.date || [];
-          entries = [];
-          dateEntries.forEach(dateEntry => {
-            const tasklogs = dateEntry.tasklogs || [];
-            tasklogs.forEach(log => {
-              entries.push({
-                work_date: dateEntry.date,
-                hours: log.hours || 0,
-                owner: { name: log.owner_name || "Unknown User" },
-                project: { name: log.project?.name || "Unknown Project" }
-              });
-            });
-          });
-        }
+// Dates are picked as YYYY-MM-DD; Zoho wants a full timestamp
+function zohoDate(date) {
+  return date ? moment.utc(date, "YYYY-MM-DD", true).toISOString() : undefined;
+}
 
-        if (entries && entries.length > 0) {
-          console.log(`✅ ${endpointConfig.name} found ${entries.length} entries`);
-          return entries.map(e => ({
-            date: e.work_date || e.date,
-            hours: Number(e.hours || e.time_spent || 0),
-            userName: e.owner?.name || "Unknown User",
-            projectName: e.project?.name || "Unknown Project"
-          }));
-        }
-      } catch (error) {
-        console.log(`❌ ${endpointConfig.name} failed:`, error.message);
+/**
+ * Create a task in a project
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ * @param {Object} task
+ * @param {string} task.name - Task name
+ * @param {string} task.description - Optional description
+ * @param {string} task.tasklistId - Task list; Zoho's default list when omitted
+ * @param {string[]} task.ownerIds - Portal user ids (zpuid) of the owners
+ * @param {string} task.startDate - YYYY-MM-DD
+ * @param {string} task.dueDate - YYYY-MM-DD
+ * @param {string} task.priority - none, low, medium or high
+ * @returns {Object} The created task (see formatTask)
+ */
+async function createTask(teamsChatId, portalId, projectId, task) {
+  const token = await getUserToken(teamsChatId);
+  const body = {
+    name: task.name,
+    description: task.description || undefined,
+    tasklist: task.tasklistId ? { id: task.tasklistId } : undefined,
+    owners_and_work: task.ownerIds?.length
+      ? { owners: task.ownerIds.map(zpuid => ({ zpuid })) }
+      : undefined,
+    start_date: zohoDate(task.startDate),
+    end_date: zohoDate(task.dueDate),
+    priority: task.priority || "none"
+  };
+
+  const resp = await makeZohoAPICall(
+    `portal/${portalId}/projects/${projectId}/tasks`,
+    token,
+    "POST",
+    body,
+    {},
+    teamsChatId,
+    portalId
+  );
+
+  // Open/closed counts of the project just changed
+  invalidateZohoCache({ kind: "projects", portalId });
+
+  const created = resp?.data?.tasks?.[0] || resp?.data?.task || resp?.data;
+  log.info("Task created", { portalId, projectId, taskId: created?.id });
+  return formatTask({ project: { id: projectId }, tasklist: { id: task.tasklistId }, ...created }, token, portalId);
+}
+
+/**
+ * Change a task's status, completion or due date. Only the fields given are sent.
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ * @param {string} taskId - Task id
+ * @param {Object} changes
+ * @param {string} changes.statusId - Status id from getTaskStatuses
+ * @param {number} changes.completionPercentage - 0 to 100
+ * @param {string} changes.dueDate - YYYY-MM-DD
+ * @returns {Object} The updated task (see formatTask)
+ */
+async function updateTask(teamsChatId, portalId, projectId, taskId, changes) {
+  const token = await getUserToken(teamsChatId);
+  const body = {
+    status: changes.statusId ? { id: changes.statusId } : undefined,
+    completion_percentage: changes.completionPercentage,
+    end_date: zohoDate(changes.dueDate)
+  };
+
+  const resp = await makeZohoAPICall(
+    `portal/${portalId}/projects/${projectId}/tasks/${taskId}`,
+    token,
+    "PATCH",
+    body,
+    {},
+    teamsChatId,
+    portalId
+  );
+
+  // A status change moves the project's open/closed counts
+  invalidateZohoCache({ kind: "projects", portalId });
+
+  const updated = resp?.data?.tasks?.[0] || resp?.data?.task || resp?.data;
+  log.info("Task updated", { portalId, projectId, taskId, fields: Object.keys(body).filter(k => body[k] !== undefined) });
+  return formatTask({ id: taskId, project: { id: projectId }, ...updated }, token, portalId);
+}
+
+// Most tasks a search reads from Zoho before filtering the rest itself
+const MAX_SEARCHED_TASKS = 1000;
+
+// Whether a formatted task meets every criterion, including those Zoho can't filter on
+function taskMatches(task, { ownerId, status, priority, tag, dueFrom, dueTo, keyword }) {
+  if (ownerId && !task.owners.some(o => o.id === String(ownerId))) return false;
+  if (status === "open" && task.isCompleted) return false;
+  if (status === "closed" && !task.isCompleted) return false;
+  if (status && status !== "open" && status !== "closed" && task.status.toLowerCase() !== status.toLowerCase()) return false;
+  if (priority && task.priority !== priority) return false;
+  if (tag && !task.tags.some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+
+  const due = task.dueDate ? moment(task.dueDate).format("YYYY-MM-DD") : null;
+  if ((dueFrom || dueTo) && !due) return false;
+  if (dueFrom && due < dueFrom) return false;
+  if (dueTo && due > dueTo) return false;
+
+  if (keyword) {
+    const text = `${task.name} ${task.description}`.toLowerCase();
+    if (!text.includes(keyword.toLowerCase())) return false;
+  }
+  return true;
+}
+
+/**
+ * Tasks meeting every given criterion, soonest due first
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {Object} criteria - All optional
+ * @param {string} criteria.projectId - Only this project
+ * @param {string} criteria.ownerId - Owned by this portal user (zpuid)
+ * @param {string} criteria.status - "open", "closed" or a status name such as "In Progress"
+ * @param {string} criteria.priority - none, low, medium or high
+ * @param {string} criteria.tag - Tag name
+ * @param {string} criteria.dueFrom - Due on or after, YYYY-MM-DD
+ * @param {string} criteria.dueTo - Due on or before, YYYY-MM-DD
+ * @param {string} criteria.keyword - Text in the name or description
+ * @returns {{tasks: Array, truncated: boolean}} Tasks as from formatTask; truncated
+ *   when Zoho had more candidates than a search reads
+ */
+async function searchTasks(teamsChatId, portalId, criteria = {}) {
+  const token = await getUserToken(teamsChatId);
+  const endpoint = criteria.projectId
+    ? `portal/${portalId}/projects/${criteria.projectId}/tasks`
+    : `portal/${portalId}/tasks`;
+  const filter = taskFilter(criteria);
+
+  const { items, truncated } = await fetchZohoList(endpoint, token, teamsChatId, portalId, {
+    itemsKey: "tasks",
+    params: filter ? { filter: JSON.stringify(filter) } : {},
+    maxItems: MAX_SEARCHED_TASKS
+  });
+
+  const tasks = items
+    .map(task => formatTask(task, token, portalId))
+    .filter(task => taskMatches(task, criteria));
+
+  // Soonest due first; tasks without a due date last
+  const dueTime = (task) => (task.dueDate ? new Date(task.dueDate).getTime() : Number.MAX_SAFE_INTEGER);
+  tasks.sort((a, b) => dueTime(a) - dueTime(b));
+
+  log.debug("Task search", { portalId, fetched: items.length, matched: tasks.length, truncated });
+  return { tasks, truncated };
+}
+
+// -------------------------
+// OVERDUE TASKS
+// -------------------------
+
+/**
+ * Open tasks whose due date has passed, grouped by owner and then project
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {Object} scope - Optional projectId and ownerId (zpuid) to narrow the report
+ * @returns {{asOf: string, total: number, truncated: boolean, owners: Array}} Owners with
+ *   the most overdue tasks first; each has projects, each project has tasks with
+ *   `daysOverdue`, most overdue first. A task with two owners is listed under both
+ *   but counted once in `total`.
+ */
+async function getOverdueTasks(teamsChatId, portalId, { projectId, ownerId } = {}) {
+  const today = moment().startOf("day");
+  const { tasks, truncated } = await searchTasks(teamsChatId, portalId, {
+    projectId,
+    ownerId,
+    status: "open",
+    dueTo: today.clone().subtract(1, "day").format("YYYY-MM-DD")
+  });
+
+  const owners = new Map();
+  for (const task of tasks) {
+    const overdue = {
+      id: task.id,
+      name: task.name,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      daysOverdue: today.diff(moment(task.dueDate).startOf("day"), "days"),
+      url: task.url
+    };
+    // In an owner-scoped report, only that owner's group is relevant
+    const taskOwners = task.owners.filter(o => !ownerId || o.id === String(ownerId));
+
+    for (const owner of taskOwners.length ? taskOwners : [{ id: null, name: "Unassigned" }]) {
+      if (!owners.has(owner.id)) {
+        owners.set(owner.id, { ownerId: owner.id, owner: owner.name, count: 0, projects: new Map() });
+      }
+      const group = owners.get(owner.id);
+      if (!group.projects.has(task.projectId)) {
+        group.projects.set(task.projectId, { projectId: task.projectId, project: task.project, count: 0, tasks: [] });
       }
+      const project = group.projects.get(task.projectId);
+      project.tasks.push(overdue);
+      project.count++;
+      group.count++;
     }
+  }
 
-    console.log("All endpoints failed or returned no data");
-    return [];
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    asOf: today.format("YYYY-MM-DD"),
+    total: tasks.length,
+    truncated,
+    owners: [...owners.values()].sort(byCount).map(group => ({
+      ...group,
+      projects: [...group.projects.values()].sort(byCount).map(project => ({
+        ...project,
+        tasks: project.tasks.sort((a, b) => b.daysOverdue - a.daysOverdue)
+      }))
+    }))
+  };
+}
 
-  } catch (error) {
-    console.error("[getTimeLogsForUser] Error:", error);
-    throw error;
+// -------------------------
+// TASK COMMENTS
+// -------------------------
+
+// Comments shown by default; Zoho keeps the full thread
+const DEFAULT_COMMENT_LIMIT = 10;
+
+// Zoho stores a mention as zp[@user:<zpuid>] in the comment text
+const MENTION_MARKUP = /zp\[@user:(\w+)\]/g;
+
+const HTML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'", "&nbsp;": " " };
+
+// Comments come back as HTML; Teams gets plain text
+function commentText(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>|<\/(p|div)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Find one task of a project by name
+ * @returns {{task: Object}|{notFound: true}|{multiple: string[]}} Task as from formatTask
+ */
+async function findTask(teamsChatId, portalId, projectId, taskName) {
+  const { tasks } = await searchTasks(teamsChatId, portalId, { projectId, keyword: taskName });
+  const matched = matchByName(tasks, taskName);
+
+  if (matched.length === 0) return { notFound: true };
+  if (matched.length > 1) return { multiple: matched.map(t => t.name) };
+  return { task: matched[0] };
+}
+
+/**
+ * Turn "@Name" mentions into Zoho mention markup, matching portal users by
+ * full name first and then by a first name only one user has
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} text - Comment as the user wrote it
+ * @returns {{text: string, mentioned: Array<{id: string, name: string}>, unresolved: string[]}}
+ */
+async function resolveMentions(teamsChatId, portalId, text) {
+  if (!text.includes("@")) return { text, mentioned: [], unresolved: [] };
+
+  const users = (await getUsers(teamsChatId, portalId)).filter(u => u.name);
+  const firstNameCounts = {};
+  for (const user of users) {
+    const first = user.name.split(" ")[0].toLowerCase();
+    firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
   }
+
+  // Longest names first, so "@Raj Kumar" isn't taken as "@Raj" followed by text
+  const candidates = [
+    ...users.map(user => ({ user, name: user.name })),
+    ...users
+      .map(user => ({ user, name: user.name.split(" ")[0] }))
+      .filter(({ name }) => firstNameCounts[name.toLowerCase()] === 1)
+  ].sort((a, b) => b.name.length - a.name.length);
+
+  const mentioned = new Map();
+  const unresolved = [];
+  const resolved = text.replace(/(?<![\p{L}\p{N}._-])@([\p{L}\p{N}._-]+(?: [\p{L}\p{N}._-]+)*)/gu, (match, words) => {
+    const lower = words.toLowerCase();
+    const hit = candidates.find(({ name }) => {
+      const candidate = name.toLowerCase();
+      return lower === candidate || lower.startsWith(`${candidate} `);
+    });
+    if (!hit) {
+      unresolved.push(`@${words.split(" ")[0]}`);
+      return match;
+    }
+    mentioned.set(String(hit.user.id), { id: String(hit.user.id), name: hit.user.name });
+    return `zp[@user:${hit.user.id}]${words.slice(hit.name.length)}`;
+  });
+
+  return { text: resolved, mentioned: [...mentioned.values()], unresolved };
 }
 
+// The comment fields the bot shows, with mention markup turned back into names
+function formatComment(comment, users) {
+  const names = new Map(users.map(u => [String(u.id), u.name]));
+  const content = commentText(comment.comment || comment.content)
+    .replace(MENTION_MARKUP, (markup, zpuid) => `@${names.get(zpuid) || "someone"}`);
+
+  return {
+    id: String(comment.id),
+    content,
+    author: comment.created_by?.name || comment.added_by?.name || comment.author?.name || "Unknown",
+    postedAt: comment.created_time || comment.posted_on || null
+  };
+}
 
+/**
+ * Latest comments on a task, newest first
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ * @param {string} taskId - Task id
+ * @param {number} limit - Most comments to return
+ * @returns {{comments: Array, total: number}}
+ */
+async function getTaskComments(teamsChatId, portalId, projectId, taskId, limit = DEFAULT_COMMENT_LIMIT) {
+  const token = await getUserToken(teamsChatId);
+  const { items } = await fetchZohoList(
+    `portal/${portalId}/projects/${projectId}/tasks/${taskId}/comments`,
+    token,
+    teamsChatId,
+    portalId,
+    { itemsKey: "comments" }
+  );
+  const users = await getUsers(teamsChatId, portalId);
+
+  const comments = items
+    .map(comment => formatComment(comment, users))
+    .sort((a, b) => new Date(b.postedAt || 0) - new Date(a.postedAt || 0));
+  return { comments: comments.slice(0, limit), total: comments.length };
+}
+
+/**
+ * Post a comment on a task. "@Name" mentions of portal users are turned into
+ * Zoho mentions, so they are notified.
+ * @returns {{comment: Object, mentioned: Array, unresolved: string[]}} comment as
+ *   from formatComment; unresolved lists mentions that matched no portal user
+ */
+async function addTaskComment(teamsChatId, portalId, projectId, taskId, text) {
+  const token = await getUserToken(teamsChatId);
+  const { text: content, mentioned, unresolved } = await resolveMentions(teamsChatId, portalId, text);
+
+  const resp = await makeZohoAPICall(
+    `portal/${portalId}/projects/${projectId}/tasks/${taskId}/comments`,
+    token,
+    "POST",
+    { comment: content },
+    {},
+    teamsChatId,
+    portalId
+  );
+
+  const created = resp?.data?.comments?.[0] || resp?.data?.comment || resp?.data;
+  log.info("Task comment added", { portalId, projectId, taskId, commentId: created?.id, mentions: mentioned.length });
+  return {
+    comment: formatComment({ comment: content, ...created }, await getUsers(teamsChatId, portalId)),
+    mentioned,
+    unresolved
+  };
+}
 
 // -------------------------
-// ISSUES FUNCTIONS
+// TASK DETAILS
 // -------------------------
 
-async function getProjectIssues(teamsChatId, portalId, projectName) {
-  try {
-    const token = await getUserToken(teamsChatId);
-    if (!token) throw new Error("No token found for user");
+// Owners' work comes as "HH:MM" (work hours) or a plain number of hours
+function workHours(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = String(value).match(/^(\d+):(\d{2})$/);
+  const hours = match ? Number(match[1]) + Number(match[2]) / 60 : Number(value);
+  return Number.isFinite(hours) ? Math.round(hours * 100) / 100 : null;
+}
 
-    console.log(`\n=== FETCHING ISSUES FOR PROJECT: ${projectName} ===`);
+async function getTaskRecord(token, teamsChatId, portalId, projectId, taskId) {
+  const resp = await makeZohoAPICall(
+    `portal/${portalId}/projects/${projectId}/tasks/${taskId}`,
+    token,
+    "GET",
+    null,
+    {},
+    teamsChatId,
+    portalId
+  );
+  return resp?.data?.tasks?.[0] || resp?.data?.task || resp?.data;
+}
 
-    // Function to get ALL issues with pagination
-    async function getAllIssues() {
-      console.log(`\n=== FETCHING ALL ISSUES WITH PAGINATION ===`);
-      
-      let allIssues = [];
-      let page = 1;
-      const perPage = 100;
-      let hasMore = true;
-
-      while (hasMore) {
-        console.log(`Fetching issues page ${page}...`);
-        
-        try {
-          const response = await makeZohoAPICall(
-            `portal/${portalId}/issues`,
-            token.accessToken,
-            "GET",
-            null,
-            { 
-              per_page: perPage,
-              page: page
-            },
-            teamsChatId,
-            portalId
-          );
-
-          const issues = response?.data?.issues || [];
-          console.log(`  Page ${page}: Found ${issues.length} issues`);
-          
-          if (issues.length === 0) {
-            hasMore = false;
-          } else {
-            allIssues = allIssues.concat(issues);
-            page++;
-            
-            // Small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        } catch (error) {
-          console.log(`  Issues page ${page} failed: ${error.message}`);
-          hasMore = false;
-        }
-      }
+/**
+ * One task by id
+ * @returns {Object} Task as from formatTask
+ */
+async function getTask(teamsChatId, portalId, projectId, taskId) {
+  const token = await getUserToken(teamsChatId);
+  return formatTask(await getTaskRecord(token, teamsChatId, portalId, projectId, taskId), token, portalId);
+}
 
-      console.log(`Total issues fetched: ${allIssues.length}`);
-      return allIssues;
+// Status of each task a dependency points at; a deleted task no longer blocks anything
+async function resolveDependencies(token, teamsChatId, portalId, projectId, links = []) {
+  const resolved = [];
+  for (const link of links) {
+    const id = String(link.id || link.task_id);
+    let task = null;
+    try {
+      task = await getTaskRecord(token, teamsChatId, portalId, link.project_id || projectId, id);
+    } catch (error) {
+      if (!(error instanceof ZohoNotFoundError)) throw error;
     }
+    resolved.push({
+      id,
+      name: task?.name || link.name || id,
+      status: task?.status?.name || "Deleted",
+      isCompleted: task ? task.is_completed === true : true,
+      type: link.dependency_type || link.type || null
+    });
+  }
+  return resolved;
+}
 
-    // Get all issues
-    const allIssues = await getAllIssues();
+/**
+ * One task in full: the fields of formatTask plus owners' work hours,
+ * subtasks, parent task, dependencies and attachment count. A task is blocked
+ * while any predecessor is still open.
+ * @param {string} teamsChatId - Teams identity of the caller
+ * @param {string} portalId - Portal id
+ * @param {string} projectId - Project id
+ * @param {string} taskId - Task id
+ * @returns {Object} Task as from formatTask, with `owners[].workHours`,
+ *   `totalWorkHours`, `parent`, `subtasks`, `predecessors`, `successors`,
+ *   `attachmentCount`, `isBlocked` and `blockedBy`
+ */
+async function getTaskDetails(teamsChatId, portalId, projectId, taskId) {
+  const token = await getUserToken(teamsChatId);
+  const task = await getTaskRecord(token, teamsChatId, portalId, projectId, taskId);
+  const listOf = (what, itemsKey) => fetchZohoList(
+    `portal/${portalId}/projects/${projectId}/tasks/${taskId}/${what}`,
+    token,
+    teamsChatId,
+    portalId,
+    { itemsKey }
+  );
 
-    // Debug: Log all unique project names found in issues
-    const uniqueProjectNames = [...new Set(allIssues.map(issue => 
-      issue.project?.name || issue.project_name || "No Project"
-    ))];
-    console.log(`\n=== DEBUG: All unique project names in issues ===`);
-    uniqueProjectNames.forEach((name, index) => {
-      console.log(`  ${index + 1}. "${name}"`);
-    });
-    console.log(`Searching for: "${projectName}"`);
+  const { items: subtasks } = await listOf("subtasks", "tasks");
+  const { items: attachments } = await listOf("attachments", "attachments");
+  const predecessors = await resolveDependencies(token, teamsChatId, portalId, projectId, task.dependency?.predecessors);
+  const successors = await resolveDependencies(token, teamsChatId, portalId, projectId, task.dependency?.successors);
+
+  const parentId = task.parental_info?.parent_task_id;
+  const parent = parentId ? (await resolveDependencies(token, teamsChatId, portalId, projectId, [{
+    id: parentId,
+    name: task.parental_info.parent_task_name
+  }]))[0] : null;
+
+  const details = formatTask(task, token, portalId);
+  const owners = (task.owners_and_work?.owners || []).map(owner => ({
+    id: String(owner.zpuid || owner.id),
+    name: owner.name || owner.full_name,
+    workHours: workHours(owner.work ?? owner.working_hours)
+  }));
+  const worked = owners.filter(o => o.workHours !== null);
+  const blockedBy = predecessors.filter(p => !p.isCompleted);
+
+  return {
+    ...details,
+    owners,
+    totalWorkHours: worked.length > 0 ? worked.reduce((sum, o) => sum + o.workHours, 0) : null,
+    parent: parent && { id: parent.id, name: parent.name, status: parent.status },
+    subtasks: subtasks.map(subtask => ({
+      id: String(subtask.id),
+      name: subtask.name,
+      status: subtask.status?.name || "Unknown",
+      completionPercentage: subtask.completion_percentage || 0,
+      isCompleted: subtask.is_completed === true
+    })),
+    predecessors,
+    successors,
+    attachmentCount: attachments.length,
+    isBlocked: blockedBy.length > 0,
+    blockedBy: blockedBy.map(p => p.name)
+  };
+}
+
+// -------------------------
+// ISSUES FUNCTIONS
+// -------------------------
+
+async function getProjectIssues(teamsChatId, portalId, projectName) {
+  try {
+    const token = await getUserToken(teamsChatId);
+    if (!token) throw new Error("No token found for user");
+
+    const { items: allIssues } = await withCapability(portalId, "issues", ISSUE_MODULES, (module) =>
+      fetchZohoList(
+        `portal/${portalId}/${module.name}`,
+        token,
+        teamsChatId,
+        portalId,
+        { itemsKey: module.itemsKey }
+      )
+    );
 
     // Filter issues by project name with improved matching
     const projectIssues = allIssues.filter(issue => {
@@ -913,16 +1782,11 @@ async function getProjectIssues(teamsChatId, portalId, projectName) {
       const normalizedSearchProject = projectName.toLowerCase().replace(/\s+/g, ' ').trim();
       
       // Check for exact match or if the issue project contains the search term
-      const matches = normalizedIssueProject.includes(normalizedSearchProject) || 
+      return normalizedIssueProject.includes(normalizedSearchProject) || 
                      normalizedSearchProject.includes(normalizedIssueProject);
-      
-      if (matches) {
-        console.log(`✅ Match found: "${issueProjectName}" matches "${projectName}"`);
-      }
-      return matches;
     });
 
-    console.log(`Found ${projectIssues.length} issues for project: ${projectName}`);
+    log.debug("Filtered project issues", { portalId, fetched: allIssues.length, matched: projectIssues.length });
 
 
     // Format issues for response
@@ -943,7 +1807,7 @@ async function getProjectIssues(teamsChatId, portalId, projectName) {
     return formattedIssues;
 
   } catch (error) {
-    console.error(`Error in getProjectIssues: ${error.message}`);
+    log.debug("Error in getProjectIssues", { portalId, error: error.message });
     throw error;
   }
 }
@@ -954,13 +1818,37 @@ async function getProjectIssues(teamsChatId, portalId, projectName) {
 
 module.exports = {
   getUserToken,
-  storeUserToken: mongoStoreUserToken,
+  storeUserToken: storage.storeUserToken,
+  getAuthorizationUrl,
+  completeAuthorization,
+  signOut,
+  getPortals,
+  getActivePortalId,
+  setActivePortal,
   getPendingTasksByOwner,
   getProjects,
   getProjectByName,
   resolveOwnerId,
   getUsers,
+  getTaskLayout,
+  getTaskStatuses,
+  invalidateZohoCache,
+  resetZohoResilience,
+  probePortalCapabilities,
+  isProjectMember,
   getTimeLogsForUser,
   getAllTimeLogs,
-  getProjectIssues
+  getProjectIssues,
+  findProject,
+  getTasklists,
+  findTasklist,
+  getTask,
+  createTask,
+  updateTask,
+  searchTasks,
+  getOverdueTasks,
+  findTask,
+  getTaskComments,
+  addTaskComment,
+  getTaskDetails
 };
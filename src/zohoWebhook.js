@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const config = require("./config");
+const { TtlCache } = require("./cache");
+const { publishZohoEvent } = require("./eventBus");
+const log = require("./logger").createLogger("zoho-webhook");
+
+// -------------------------
+// ZOHO PROJECTS WEBHOOKS
+// -------------------------
+//
+// Zoho Projects webhooks can't sign their payloads, but each webhook can send
+// custom headers or URL parameters. Configure every webhook with the shared
+// secret from ZOHO_WEBHOOK_SECRET, either as an X-Zoho-Webhook-Secret header or
+// as ?secret=... on the URL, and with a body (JSON or form) carrying at least:
+//   event       e.g. "task_created", "Task Updated", "issue.deleted", "comment_added"
+//   portal_id, project_id
+//   task_id, issue_id (or bug_id) or comment_id, depending on the entity
+// Optional: event_id, modified_time, modified_by, name/title.
+
+// Checked in this order: "task_comment_added" is a comment event, not a task event
+const ENTITIES = {
+  comment: "comment",
+  issue: "issue",
+  bug: "issue",
+  task: "task",
+};
+
+const ACTIONS = [
+  { action: "created", pattern: /creat|add/i },
+  { action: "deleted", pattern: /delet|remov/i },
+  { action: "updated", pattern: /updat|edit|modif|chang|complet|close|reopen|status/i },
+];
+
+// Zoho retries deliveries it thinks failed; remember recent events for an hour
+const DEDUPE_TTL = 60 * 60 * 1000;
+const seenEvents = new TtlCache({ ttlMs: DEDUPE_TTL, maxEntries: 5000 });
+
+function secretMatches(received) {
+  if (!received || !config.zohoWebhookSecret) return false;
+  const expected = crypto.createHash("sha256").update(config.zohoWebhookSecret).digest();
+  const actual = crypto.createHash("sha256").update(String(received)).digest();
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function firstOf(...values) {
+  const value = values.find(v => v !== undefined && v !== null && v !== "");
+  return value === undefined ? null : String(value);
+}
+
+function parseEntity(body) {
+  const text = `${body.event || body.event_type || ""} ${body.module || body.entity_type || ""}`.toLowerCase();
+  const name = Object.keys(ENTITIES).find(entity => text.includes(entity));
+  return name ? ENTITIES[name] : null;
+}
+
+function parseAction(body) {
+  const text = body.event || body.event_type || body.operation || body.action || "";
+  return ACTIONS.find(({ pattern }) => pattern.test(text))?.action || "updated";
+}
+
+/**
+ * Turn a webhook body into the event shape published on the bus
+ * @param {Object} body - Parsed JSON or form body
+ * @returns {Object|null} Event, or null if the body isn't a task, issue or comment event
+ * @throws {Error} If a supported event is missing the ids needed to act on it
+ */
+function normalizeZohoEvent(body = {}) {
+  const entity = parseEntity(body);
+  if (!entity) return null;
+
+  const action = parseAction(body);
+  const taskId = firstOf(body.task_id, body.taskId, body.task?.id);
+  const issueId = firstOf(body.issue_id, body.bug_id, body.issueId, body.bug?.id, body.issue?.id);
+  const commentId = firstOf(body.comment_id, body.commentId, body.comment?.id);
+  const entityId = { task: taskId, issue: issueId, comment: commentId }[entity] || firstOf(body.id);
+  const portalId = firstOf(body.portal_id, body.portalId, config.zohoPortalId);
+
+  if (!entityId || !portalId) {
+    throw new Error(`Zoho ${entity} event is missing its ${entityId ? "portal" : entity} id`);
+  }
+
+  const occurredAt = firstOf(body.modified_time, body.last_modified_time, body.created_time, body.time);
+
+  return {
+    id: firstOf(body.event_id, body.eventId),
+    type: `${entity}.${action}`,
+    entity,
+    action,
+    portalId,
+    projectId: firstOf(body.project_id, body.projectId, body.project?.id),
+    entityId,
+    taskId,
+    issueId,
+    name: firstOf(body.name, body.title, body.task_name, body.issue_name),
+    changedBy: firstOf(body.modified_by, body.updated_by?.name, body.user_name, body.created_by?.name),
+    occurredAt: occurredAt && !Number.isNaN(Date.parse(occurredAt)) ? new Date(occurredAt).toISOString() : null,
+    receivedAt: new Date().toISOString(),
+    data: body,
+  };
+}
+
+// Zoho's event id when it sends one, otherwise what changed and when
+function dedupeKey(event, body) {
+  if (event.id) return `id:${event.id}`;
+  const digest = crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+  return `body:${event.type}:${event.entityId}:${digest}`;
+}
+
+/**
+ * Normalize, de-duplicate and publish one webhook delivery
+ * @param {Object} body - Parsed webhook body
+ * @returns {{status: "published"|"duplicate"|"ignored", event: Object|null}}
+ */
+function receiveZohoWebhook(body) {
+  const event = normalizeZohoEvent(body);
+  if (!event) {
+    return { status: "ignored", event: null };
+  }
+
+  const key = dedupeKey(event, body);
+  if (seenEvents.get(key)) {
+    return { status: "duplicate", event };
+  }
+  seenEvents.set(key, true);
+  event.id = event.id || key;
+
+  publishZohoEvent(event);
+  return { status: "published", event };
+}
+
+/**
+ * Express handler for POST /api/zoho/webhook
+ */
+function createZohoWebhookHandler() {
+  return (req, res) => {
+    if (!config.zohoWebhookSecret) {
+      log.error("Zoho webhook received but ZOHO_WEBHOOK_SECRET is not set");
+      return res.status(503).json({ success: false, error: "Webhooks are not configured" });
+    }
+    if (!secretMatches(req.get("X-Zoho-Webhook-Secret") || req.query.secret)) {
+      log.warn("Rejected Zoho webhook with a wrong or missing secret");
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+
+    try {
+      const { status, event } = receiveZohoWebhook(req.body || {});
+      log.info("Zoho webhook received", { status, type: event?.type, eventId: event?.id, portalId: event?.portalId });
+      return res.json({ success: true, status, eventId: event?.id || null });
+    } catch (error) {
+      log.warn("Rejected Zoho webhook", { error: error.message });
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Forget which events were seen, so redeliveries are published again
+function resetSeenEvents() {
+  seenEvents.flush();
+}
+
+module.exports = {
+  normalizeZohoEvent,
+  receiveZohoWebhook,
+  createZohoWebhookHandler,
+  resetSeenEvents
+};
@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+const { startTestEnvironment, signIn } = require("./helpers");
+const { PORTAL_ID } = require("./mockZoho/fixtures");
+
+const HMAC_SECRET = "test-api-secret";
+
+let mock;
+let zoho;
+let storage;
+let capabilities;
+let server;
+let baseUrl;
+let users;
+
+before(async () => {
+  mock = await startTestEnvironment();
+  Object.assign(process.env, { PORT: "0", API_AUTH_MODE: "hmac", API_HMAC_SECRET: HMAC_SECRET });
+  zoho = require("../src/zoho");
+  storage = require("../src/storage");
+  capabilities = require("../src/capabilities");
+
+  ({ server } = require("../src/index"));
+  if (!server.listening) {
+    await new Promise(resolve => server.once("listening", resolve));
+  }
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const [asha, raj, rajesh, carla, manoj] = mock.fixtures.users;
+  users = { asha, raj, rajesh, carla, manoj };
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.close();
+});
+
+beforeEach(async () => {
+  mock.reset();
+  storage.clear();
+  zoho.invalidateZohoCache();
+  zoho.resetZohoResilience();
+  await capabilities.forgetCapabilities();
+});
+
+// Call a REST route, signed the way apiAuth.js's hmac strategy expects unless `signed` is false
+function request(method, path, { signed = true, body } = {}) {
+  const timestamp = String(Date.now());
+  const rawBody = body === undefined ? "" : JSON.stringify(body);
+  const signature = crypto.createHmac("sha256", HMAC_SECRET).update(`${timestamp}.${method}.${path}.${rawBody}`).digest("hex");
+  return axios.request({
+    method,
+    url: `${baseUrl}${path}`,
+    data: rawBody || undefined,
+    headers: {
+      ...(rawBody ? { "Content-Type": "application/json" } : {}),
+      ...(signed ? { "X-Api-Timestamp": timestamp, "X-Api-Signature": signature } : {})
+    },
+    validateStatus: () => true
+  });
+}
+
+const get = (path, options) => request("GET", path, options);
+
+describe("GET /api/reports/overdue/:teamsChatId", () => {
+  it("requires API authentication", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const res = await get("/api/reports/overdue/teams-manoj", { signed: false });
+    assert.equal(res.status, 401);
+    assert.equal(mock.requests.length, 0);
+  });
+
+  it("returns the overdue report for the user's portal", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const res = await get("/api/reports/overdue/teams-manoj");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.data.data.portalId, PORTAL_ID);
+    assert.equal(res.data.data.total, 4);
+    assert.deepEqual(res.data.data.owners.map(o => o.owner), ["Rajesh Nair", "Raj Kumar"]);
+  });
+
+  it("narrows the report by project", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const res = await get("/api/reports/overdue/teams-manoj?projectId=2001");
+    assert.equal(res.status, 200);
+    assert.equal(res.data.data.total, 1);
+  });
+
+  it("answers 401 for a user who hasn't signed in to Zoho", async () => {
+    const res = await get("/api/reports/overdue/teams-nobody");
+    assert.equal(res.status, 401);
+    assert.equal(res.data.success, false);
+  });
+
+  it("limits client users to their own tasks", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+
+    const own = await get("/api/reports/overdue/teams-carla");
+    assert.equal(own.status, 200);
+    assert.equal(own.data.data.total, 0);
+
+    const others = await get(`/api/reports/overdue/teams-carla?ownerId=${users.raj.zpuid}`);
+    assert.equal(others.status, 403);
+    assert.match(others.data.error, /Client users can only see their own tasks/);
+  });
+
+  it("answers 502 when Zoho fails", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    // Load the portal and its users first, so only the task list fails
+    await get("/api/reports/overdue/teams-manoj?projectId=2001");
+    mock.failNext({ path: "/projects/2002/tasks", status: 500, times: 10 });
+
+    const res = await get("/api/reports/overdue/teams-manoj?projectId=2002");
+    assert.equal(res.status, 502);
+    assert.equal(res.data.success, false);
+  });
+});
+
+describe("token routes", () => {
+  it("has no route that copies one user's Zoho tokens to another", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const res = await request("POST", "/api/copy-token/teams-raj/teams-intruder");
+
+    assert.equal(res.status, 404);
+    assert.equal(await storage.getUserToken("teams-intruder"), null);
+  });
+});
+
+describe("POST /api/admin/cache/flush", () => {
+  it("forgets the portals' discovered capabilities", async () => {
+    await capabilities.withCapability(PORTAL_ID, "timelogs", [{ name: "timelogs" }], async () => "ok");
+
+    const res = await request("POST", "/api/admin/cache/flush", { body: {} });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await capabilities.getCapabilities(PORTAL_ID), { checkedAt: {} });
+  });
+
+  it("keeps capabilities when only one kind of metadata is flushed", async () => {
+    await capabilities.withCapability(PORTAL_ID, "timelogs", [{ name: "timelogs" }], async () => "ok");
+
+    const res = await request("POST", "/api/admin/cache/flush", { body: { kind: "users" } });
+    assert.equal(res.status, 200);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, "timelogs");
+  });
+});
@@ -0,0 +1,683 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestEnvironment, signIn, createTurnContext, createTurnState, submitCard } = require("./helpers");
+const { PORTAL_ID, OTHER_PORTAL_ID } = require("./mockZoho/fixtures");
+
+let mock;
+let app;
+let storage;
+let zoho;
+let capabilities;
+let users;
+
+before(async () => {
+  mock = await startTestEnvironment();
+  app = require("../src/app/app");
+  storage = require("../src/storage");
+  zoho = require("../src/zoho");
+  capabilities = require("../src/capabilities");
+  const [asha, raj, rajesh, carla, manoj] = mock.fixtures.users;
+  users = { asha, raj, rajesh, carla, manoj };
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  storage.clear();
+  zoho.invalidateZohoCache();
+  zoho.resetZohoResilience();
+  await capabilities.forgetCapabilities();
+});
+
+// Run an AI action the way the planner would
+async function runAction(teamsChatId, action, parameters = {}) {
+  const context = createTurnContext(teamsChatId);
+  const state = createTurnState();
+  const result = await app.ai.doAction(context, state, action, parameters);
+  return { context, state, result };
+}
+
+describe("sign-in", () => {
+  it("sends a sign-in card when the user has no Zoho token", async () => {
+    const { context, result } = await runAction("teams-new", "ListPortals");
+    assert.equal(result, "Authentication required");
+    assert.match(context.cards[0].body[0].text, /Sign in to Zoho Projects/);
+    assert.equal(new URL(context.cards[0].actions[0].url).origin, mock.url);
+  });
+
+  it("asks to sign in again when the refresh token was revoked", async () => {
+    const stored = await signIn(mock, "teams-raj", users.raj);
+    mock.expireAccessTokens();
+    mock.revokeRefreshToken(stored.refreshToken);
+
+    const { context, result } = await runAction("teams-raj", "ListPortals");
+    assert.equal(result, "Authentication required");
+    assert.match(context.cards[0].body[1].text, /expired or was revoked/);
+  });
+});
+
+describe("GetPendingTasksByOwner", () => {
+  it("lists the owner's open tasks", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+
+    assert.equal(result, "Successfully retrieved 2 pending tasks for Raj Kumar");
+    assert.match(JSON.stringify(context.cards[0]), /Design home page/);
+    assert.doesNotMatch(JSON.stringify(context.cards[0]), /Set up hosting/);
+  });
+
+  it("asks which owner was meant when the name is ambiguous", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj" });
+
+    assert.equal(result, "Multiple owners found");
+    assert.match(context.text, /Multiple users match your query: Raj Kumar, Rajesh Nair/);
+    assert.equal(context.cards.length, 0);
+  });
+
+  it("reports an unknown owner", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Nobody" });
+    assert.match(context.text, /Could not resolve owner/);
+  });
+
+  it("keeps client users to their own tasks", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { context, result } = await runAction("teams-carla", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    assert.equal(result, "Access denied");
+    assert.equal(context.cards[0].body[0].text, "🚫 Not allowed");
+    assert.match(context.cards[0].body[1].text, /Client users can only see their own tasks/);
+  });
+});
+
+describe("task buttons", () => {
+  // Press a button on a task row of the pending tasks card, with any inputs it carries
+  async function pressTaskButton(teamsChatId, card, taskName, title, inputs = {}) {
+    const row = card.body.find(item => item.type === "Container" && item.items[0].text === `**${taskName}**`);
+    const action = row.items[2].actions.find(a => a.title === title);
+    const data = action.type === "Action.ShowCard" ? action.card.actions[0].data : action.data;
+    const context = createTurnContext(teamsChatId, { replyToId: "tasks-card", value: { ...data, ...inputs } });
+    await submitCard(app, context, createTurnState());
+    return context;
+  }
+
+  async function pendingTasksCard(teamsChatId, ownerName) {
+    const { context } = await runAction(teamsChatId, "GetPendingTasksByOwner", { ownerName });
+    return context.cards[0];
+  }
+
+  it("shows a row with buttons for each task", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+    const rows = card.body.filter(item => item.type === "Container");
+    assert.equal(rows.length, 2);
+    assert.deepEqual(rows[0].items[2].actions.map(a => a.title), ["Mark complete", "Change status", "Set % done", "Change due date", "💬 Comments"]);
+  });
+
+  it("marks a task complete and redraws the card in place", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+
+    const context = await pressTaskButton("teams-raj", card, "Design home page", "Mark complete");
+    const [request] = mock.requestsTo("/projects/2001/tasks/3001");
+    assert.equal(request.method, "PATCH");
+    assert.deepEqual(request.body, { status: { id: "13" } });
+
+    assert.equal(context.updated[0].id, "tasks-card");
+    const updated = context.updated[0].attachments[0].content;
+    assert.equal(updated.body[0].text, "✅ Marked **Design home page** complete.");
+    assert.doesNotMatch(JSON.stringify(updated.body.slice(1)), /Design home page/);
+  });
+
+  it("changes status, % done and due date", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+
+    let context = await pressTaskButton("teams-raj", card, "Write copy", "Change status", { "status-3002": "12" });
+    assert.equal(context.updated[0].attachments[0].content.body[0].text, "🔄 **Write copy** is now **In Progress**.");
+
+    context = await pressTaskButton("teams-raj", card, "Write copy", "Set % done", { "percent-3002": "40" });
+    assert.match(context.updated[0].attachments[0].content.body[0].text, /40% done/);
+
+    context = await pressTaskButton("teams-raj", card, "Write copy", "Change due date", { "dueDate-3002": "2030-01-15" });
+    assert.match(context.updated[0].attachments[0].content.body[0].text, /now due 15 Jan 2030/);
+
+    const task = mock.fixtures.tasks.find(t => t.id === "3002");
+    assert.equal(task.status.name, "In Progress");
+    assert.equal(task.completion_percentage, 40);
+    assert.equal(task.end_date, "2030-01-15T00:00:00.000Z");
+  });
+
+  it("asks for a value instead of sending an empty change", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+    const context = await pressTaskButton("teams-raj", card, "Write copy", "Change due date", { "dueDate-3002": "" });
+    assert.match(context.text, /pick a valid due date/);
+    assert.equal(mock.requestsTo("/projects/2001/tasks/3002").length, 0);
+  });
+
+  it("keeps client users to their own tasks", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+    await signIn(mock, "teams-carla", users.carla);
+
+    const context = await pressTaskButton("teams-carla", card, "Write copy", "Mark complete");
+    assert.match(context.cards[0].body[1].text, /Client users can only update their own tasks/);
+    assert.equal(mock.requestsTo("/projects/2001/tasks/3002").filter(r => r.method === "PATCH").length, 0);
+  });
+
+  it("checks the task's real owners, not the owner on the card", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+    await signIn(mock, "teams-carla", users.carla);
+
+    const forged = { ownerId: users.carla.zpuid, ownerName: users.carla.full_name };
+    const context = await pressTaskButton("teams-carla", card, "Write copy", "Mark complete", forged);
+    assert.match(context.cards[0].body[1].text, /Client users can only update their own tasks/);
+    assert.equal(mock.requestsTo("/projects/2001/tasks/3002").filter(r => r.method === "PATCH").length, 0);
+  });
+
+  it("lets client users update tasks they own", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const card = await pendingTasksCard("teams-raj", "Raj Kumar");
+    const task = mock.fixtures.tasks.find(t => t.id === "3002");
+    task.owners_and_work.owners.push({ zpuid: users.carla.zpuid, name: users.carla.full_name });
+    await signIn(mock, "teams-carla", users.carla);
+
+    const context = await pressTaskButton("teams-carla", card, "Write copy", "Set % done", { "percent-3002": "40" });
+    assert.match(context.updated[0].attachments[0].content.body[0].text, /40% done/);
+    assert.equal(task.completion_percentage, 40);
+  });
+});
+
+describe("GetProjectDetails", () => {
+  it("sends a project card", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetProjectDetails", { projectName: "Website" });
+
+    assert.equal(result, "Successfully retrieved project details");
+    assert.equal(context.cards[0].body[0].text, "📌 Website Redesign");
+  });
+
+  it("asks which project when the name is ambiguous", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetProjectDetails", { projectName: "Mobile" });
+    assert.equal(result, "Multiple projects found");
+    assert.match(context.text, /Mobile App, Mobile Backend/);
+  });
+
+  it("hides projects a client isn't a member of", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { result } = await runAction("teams-carla", "GetProjectDetails", { projectName: "Mobile App" });
+    assert.equal(result, "Access denied");
+  });
+});
+
+describe("ShowTimeLogs", () => {
+  it("summarises the portal's time logs for managers", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const { context } = await runAction("teams-manoj", "ShowTimeLogs");
+    assert.match(context.text, /Time Logs Available/);
+    assert.match(context.text, /Total entries:\*\* 3/);
+  });
+
+  it("is refused to employees", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { result } = await runAction("teams-raj", "ShowTimeLogs");
+    assert.equal(result, "Access denied");
+  });
+});
+
+describe("GetTimeLogs", () => {
+  it("shows a user's own time logs", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context } = await runAction("teams-raj", "GetTimeLogs", { userInput: "time logs for Raj Kumar last 7 days" });
+    assert.match(context.text, /Total Hours: 9.5/);
+  });
+
+  it("warns when there were too many entries to fetch them all", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const [entry] = mock.fixtures.timelogs;
+    for (let i = 0; i < 2001; i++) mock.fixtures.timelogs.push({ ...entry, id: String(20000 + i) });
+
+    const { context } = await runAction("teams-raj", "GetTimeLogs", { userInput: "time logs for Raj Kumar last 7 days" });
+    assert.match(context.text, /too many time log entries to fetch them all/);
+  });
+
+  it("keeps employees away from other people's time logs", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { result } = await runAction("teams-raj", "GetTimeLogs", { userInput: "time logs for Manoj last 7 days" });
+    assert.equal(result, "Access denied");
+  });
+});
+
+describe("GetProjectIssues", () => {
+  it("sends an issues card", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context } = await runAction("teams-raj", "GetProjectIssues", { projectName: "Website Redesign" });
+    assert.equal(context.cards[0].body[1].text, "Found 2 issue(s)");
+  });
+});
+
+describe("SearchTasks", () => {
+  it("combines filters", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "SearchTasks", { projectName: "website", priority: "High", ownerName: "raj kumar" });
+
+    assert.equal(result, "Found 1 task(s) matching the search");
+    const card = context.cards[0];
+    assert.equal(card.body[1].text, "Project: Website Redesign · Owner: Raj Kumar · Priority: high");
+    assert.match(card.body[2].items[0].text, /\*\*\[Design home page\]\(.+#taskdetail\/2001\/5101\/3001\)\*\*/);
+    assert.deepEqual(card.actions, []);
+  });
+
+  it("pages through the results in place", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, state } = await runAction("teams-raj", "SearchTasks", { ownerName: "Rajesh", status: "open" });
+    const card = context.cards[0];
+    assert.equal(card.body[0].text, "🔎 120 task(s) found");
+    assert.equal(card.body.at(-1).text, "Page 1 of 12");
+    const searches = mock.requestsTo("/tasks").length;
+
+    const next = createTurnContext("teams-raj", { replyToId: "search-card", value: card.actions[0].data });
+    await submitCard(app, next, state);
+    const page2 = next.updated[0].attachments[0].content;
+    assert.equal(page2.body.at(-1).text, "Page 2 of 12");
+    assert.deepEqual(page2.actions.map(a => a.title), ["◀ Previous", "Next ▶"]);
+    assert.equal(mock.requestsTo("/tasks").length, searches);
+    // The matched tasks stay on the server; the conversation only keeps the search id
+    assert.deepEqual(state.conversation.taskSearchIds, [card.actions[0].data.searchId]);
+    assert.doesNotMatch(JSON.stringify(state.conversation), /Rajesh|taskdetail/);
+  });
+
+  it("searches again when the remembered results have expired", async (t) => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, state } = await runAction("teams-raj", "SearchTasks", { ownerName: "Rajesh", status: "open" });
+    const searches = mock.requestsTo("/tasks").length;
+
+    const later = Date.now() + 11 * 60 * 1000;
+    t.mock.method(Date, "now", () => later);
+    const next = createTurnContext("teams-raj", { replyToId: "search-card", value: context.cards[0].actions[0].data });
+    await submitCard(app, next, state);
+    assert.equal(next.updated[0].attachments[0].content.body.at(-1).text, "Page 2 of 12");
+    assert.ok(mock.requestsTo("/tasks").length > searches);
+  });
+
+  it("rejects an unknown priority", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { result } = await runAction("teams-raj", "SearchTasks", { priority: "urgent" });
+    assert.equal(result, "Invalid priority");
+  });
+
+  it("keeps client users to their own tasks", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { result } = await runAction("teams-carla", "SearchTasks", { ownerName: "Raj Kumar" });
+    assert.equal(result, "Access denied");
+
+    const { context } = await runAction("teams-carla", "SearchTasks", { projectName: "website" });
+    assert.match(context.text, /No tasks match: Project: Website Redesign · Owner: Carla Client/);
+  });
+});
+
+describe("GetOverdueTasks", () => {
+  it("reports overdue tasks by owner and project", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const { context, result } = await runAction("teams-manoj", "GetOverdueTasks");
+
+    assert.equal(result, "Found 4 overdue task(s) across 2 owner(s)");
+    const body = context.cards[0].body;
+    assert.equal(body[0].text, "⏰ 4 overdue task(s)");
+    assert.equal(body[2].text, "**Rajesh Nair** — 3 overdue");
+    assert.equal(body[3].text, "_Mobile App_ (3)");
+    assert.match(body[4].items[0].text, /^\[Mobile screen 3\]\(.+\) — 3 day\(s\) overdue/);
+  });
+
+  it("opens a task's comments from the report", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const { context: reportContext } = await runAction("teams-manoj", "GetOverdueTasks", { projectName: "website" });
+    const row = reportContext.cards[0].body.find(item => item.type === "Container");
+    const [button] = row.items[1].actions;
+    assert.deepEqual(button.data, { verb: "showTaskComments", portalId: PORTAL_ID, projectId: "2001", taskId: "3001", taskName: "Design home page" });
+
+    const context = createTurnContext("teams-manoj", { value: button.data });
+    await submitCard(app, context, createTurnState());
+    assert.equal(context.cards[0].body[0].text, "💬 Comments on Design home page");
+  });
+
+  it("says when there were too many tasks to check", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const [template] = mock.fixtures.tasks.filter(t => t.name.startsWith("Mobile screen"));
+    for (let i = 0; i < 1000; i++) mock.fixtures.tasks.push({ ...template, id: String(50000 + i) });
+
+    const { context } = await runAction("teams-manoj", "GetOverdueTasks");
+    assert.match(context.cards[0].body[2].text, /too many tasks to check them all/);
+  });
+
+  it("caps the rows on the card", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    for (const task of mock.fixtures.tasks.filter(t => t.name.startsWith("Mobile screen")).slice(0, 20)) {
+      task.end_date = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    }
+    const { context } = await runAction("teams-manoj", "GetOverdueTasks");
+    const body = context.cards[0].body;
+    assert.equal(body.filter(item => item.type === "Container").length, 15);
+    assert.match(body.at(-1).text, /…and 6 more/);
+  });
+
+  it("narrows the report to a project", async () => {
+    await signIn(mock, "teams-manoj", users.manoj);
+    const { result } = await runAction("teams-manoj", "GetOverdueTasks", { projectName: "website" });
+    assert.equal(result, "Found 1 overdue task(s) across 1 owner(s)");
+  });
+
+  it("shows client users only their own overdue tasks", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { context, result } = await runAction("teams-carla", "GetOverdueTasks");
+    assert.equal(result, "No overdue tasks");
+    assert.match(context.text, /Nothing is overdue \(Owner: Carla Client\)/);
+  });
+});
+
+describe("CreateTask", () => {
+  const request = {
+    projectName: "website",
+    name: "Add FAQ page",
+    tasklistName: "launch",
+    owners: ["asha"],
+    dueDate: "2026-11-30",
+    priority: "High"
+  };
+
+  // Press "Create task" on a preview card, with its inputs as Teams would send them
+  async function confirmPreview(teamsChatId, card, state, inputs = {}) {
+    const values = Object.fromEntries(card.body.flatMap(item =>
+      item.type === "ColumnSet" ? item.columns.flatMap(c => c.items) : [item]
+    ).filter(item => item.id).map(item => [item.id, item.value]));
+    const context = createTurnContext(teamsChatId, {
+      replyToId: "preview-1",
+      value: { ...values, ...card.actions[0].data, ...inputs }
+    });
+    await submitCard(app, context, state);
+    return context;
+  }
+
+  it("shows an editable preview without creating anything", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "CreateTask", request);
+
+    assert.match(result, /preview/);
+    const inputs = Object.fromEntries(context.cards[0].body.filter(i => i.id).map(i => [i.id, i.value]));
+    assert.equal(inputs.taskName, "Add FAQ page");
+    assert.equal(inputs.tasklistId, "5102");
+    assert.equal(inputs.ownerIds, users.asha.zpuid);
+    assert.equal(inputs.priority, "high");
+    assert.equal(mock.requestsTo("/projects/2001/tasks").length, 0);
+  });
+
+  it("creates the task from the preview, once", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context: previewContext } = await runAction("teams-raj", "CreateTask", request);
+    const state = createTurnState();
+
+    const context = await confirmPreview("teams-raj", previewContext.cards[0], state, { taskName: "Add FAQ and contact pages" });
+    const card = context.updated[0].attachments[0].content;
+    assert.equal(context.updated[0].id, "preview-1");
+    assert.equal(card.body[0].text, "✅ Task created: Add FAQ and contact pages");
+    assert.match(card.actions[0].url, /#taskdetail\/2001\/5102\/\d+$/);
+
+    const again = await confirmPreview("teams-raj", previewContext.cards[0], state);
+    assert.match(again.text, /already been created/);
+    assert.equal(mock.requestsTo("/projects/2001/tasks").length, 1);
+  });
+
+  it("defaults the owner to the caller", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context } = await runAction("teams-raj", "CreateTask", { projectName: "website", name: "Fix footer" });
+    assert.equal(context.cards[0].body.find(i => i.id === "ownerIds").value, users.raj.zpuid);
+  });
+
+  it("rejects a due date before the start date", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "CreateTask", { ...request, startDate: "2026-12-01" });
+    assert.equal(result, "Invalid dates");
+    assert.match(context.text, /due date can't be before the start date/);
+  });
+
+  it("is refused to client users", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { context, result } = await runAction("teams-carla", "CreateTask", request);
+    assert.equal(result, "Access denied");
+    assert.match(context.cards[0].body[1].text, /Client users can't create tasks/);
+  });
+});
+
+describe("task comments", () => {
+  it("shows the latest comments on a task", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetTaskComments", { projectName: "website", taskName: "home page" });
+
+    assert.equal(result, "Showed 2 of 2 comment(s) on Design home page");
+    const card = context.cards[0];
+    assert.equal(card.body[0].text, "💬 Comments on Design home page");
+    const comments = card.body.filter(item => item.type === "Container");
+    assert.match(comments[0].items[0].text, /^\*\*Asha Admin\*\* · /);
+    assert.equal(comments[0].items[1].text, "Looks good, @Raj Kumar. Ship it & move on.");
+    assert.equal(card.actions[0].card.actions[0].data.verb, "addTaskComment");
+  });
+
+  it("shows comment times in the display time zone", async (t) => {
+    await signIn(mock, "teams-raj", users.raj);
+    const config = require("../src/config");
+    const timeZone = config.displayTimeZone;
+    config.displayTimeZone = "America/New_York";
+    t.after(() => { config.displayTimeZone = timeZone; });
+    mock.fixtures.comments["3001"][1].created_time = "2099-01-15T17:30:00.000Z";
+
+    const { context } = await runAction("teams-raj", "GetTaskComments", { projectName: "website", taskName: "home page" });
+    const [latest] = context.cards[0].body.filter(item => item.type === "Container");
+    assert.match(latest.items[0].text, /· 15 Jan 2099, 12:30 PM EST$/);
+  });
+
+  it("adds a comment and resolves @mentions", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "AddTaskComment", {
+      projectName: "website",
+      taskName: "Write copy",
+      comment: "@Asha Admin can you review? cc @nobody"
+    });
+
+    assert.equal(result, "Comment added to Write copy");
+    assert.match(context.text, /Comment added to \*\*Write copy\*\*\. Mentioned Asha Admin\./);
+    assert.match(context.text, /couldn't find @nobody/);
+    const [request] = mock.requestsTo("/tasks/3002/comments");
+    assert.equal(request.body.comment, "zp[@user:1001] can you review? cc @nobody");
+  });
+
+  it("opens and posts comments from a task card button", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context: tasksContext } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    const row = tasksContext.cards[0].body.find(item => item.type === "Container" && item.items[0].text === "**Write copy**");
+    const button = row.items[2].actions.find(a => a.title === "💬 Comments");
+
+    const context = createTurnContext("teams-raj", { value: button.data });
+    await submitCard(app, context, createTurnState());
+    const card = context.cards[0];
+    assert.match(JSON.stringify(card.body), /No comments yet/);
+
+    const post = createTurnContext("teams-raj", {
+      replyToId: "comments-card",
+      value: { ...card.actions[0].card.actions[0].data, comment: "Draft is ready, @Raj" }
+    });
+    await submitCard(app, post, createTurnState());
+    const updated = post.updated[0].attachments[0].content;
+    assert.equal(post.updated[0].id, "comments-card");
+    assert.equal(updated.body[0].text, "✅ Comment posted. Mentioned Raj Kumar.");
+    assert.match(JSON.stringify(updated.body), /Draft is ready, @Raj Kumar/);
+  });
+
+  it("hides tasks of projects a client isn't a member of", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { result } = await runAction("teams-carla", "GetTaskComments", { projectName: "Mobile App", taskName: "Mobile screen 1" });
+    assert.equal(result, "Access denied");
+    assert.equal(mock.requestsTo("/comments").length, 0);
+  });
+});
+
+describe("GetTaskDetails", () => {
+  it("shows owners, subtasks, dependencies and attachments", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetTaskDetails", { projectName: "website", taskName: "home page" });
+
+    assert.equal(result, "Showed details of Design home page");
+    const card = JSON.stringify(context.cards[0]);
+    assert.match(card, /Owners \(16h planned\)/);
+    assert.match(card, /Subtasks \(1\/2 done\)/);
+    assert.match(card, /Navigation menu · In Progress · 50%/);
+    assert.match(card, /Needed by/);
+    assert.match(card, /"title":"Attachments","value":"2"/);
+    assert.doesNotMatch(card, /Blocked/);
+  });
+
+  it("flags a blocked task", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "GetTaskDetails", { projectName: "website", taskName: "Write copy" });
+
+    assert.match(result, /blocked by Design home page/);
+    assert.equal(context.cards[0].body[1].text, "⛔ Blocked: waiting on Design home page");
+    assert.match(JSON.stringify(context.cards[0]), /Raj Kumar · 4h.*Asha Admin · 2h 30m/);
+  });
+
+  it("hides tasks of projects a client isn't a member of", async () => {
+    await signIn(mock, "teams-carla", users.carla);
+    const { result } = await runAction("teams-carla", "GetTaskDetails", { projectName: "Mobile App", taskName: "Mobile screen 1" });
+    assert.equal(result, "Access denied");
+  });
+});
+
+describe("portals", () => {
+  it("lists portals with the active one marked", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "ListPortals");
+    assert.equal(result, "Listed 2 portal(s)");
+    assert.match(JSON.stringify(context.cards[0]), /\*\*Acme\*\* \(active\)/);
+  });
+
+  it("notes when the portal list comes from before a Zoho outage", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    await runAction("teams-raj", "ListPortals");
+    zoho.invalidateZohoCache();
+    mock.failNext({ path: "/portals", status: 502 });
+
+    const { context, result } = await runAction("teams-raj", "ListPortals");
+    assert.match(result, /^Listed 2 portal\(s\) \(data as of .+\)$/);
+    assert.match(context.text, /isn't responding right now, so this shows data as of/);
+  });
+
+  it("switches portal even when the active portal's users can't be read", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.failNext({ path: `/portal/${PORTAL_ID}/users`, status: 403, body: { error: { title: "FORBIDDEN" } } });
+
+    const { result } = await runAction("teams-raj", "SwitchPortal", { portalName: "acme labs" });
+    assert.equal(result, "Switched to portal Acme Labs");
+  });
+
+  it("switches portal by name", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { result } = await runAction("teams-raj", "SwitchPortal", { portalName: "acme labs" });
+    assert.equal(result, "Switched to portal Acme Labs");
+    assert.equal(await zoho.getActivePortalId("teams-raj"), OTHER_PORTAL_ID);
+  });
+
+  it("switches portal from the card button", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const context = createTurnContext("teams-raj", { value: { verb: "switchPortal", portalId: OTHER_PORTAL_ID } });
+    await submitCard(app, context, createTurnState());
+
+    assert.match(context.text, /Switched to portal \*\*Acme Labs\*\*/);
+    assert.equal(await zoho.getActivePortalId("teams-raj"), OTHER_PORTAL_ID);
+  });
+
+  it("refuses a portal the user doesn't belong to", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const context = createTurnContext("teams-raj", { value: { verb: "switchPortal", portalId: "99999" } });
+    await submitCard(app, context, createTurnState());
+
+    assert.match(context.text, /no longer available/);
+    assert.equal(await zoho.getActivePortalId("teams-raj"), PORTAL_ID);
+  });
+});
+
+describe("SignOut", () => {
+  it("revokes the token and forgets the user", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    const { context, result } = await runAction("teams-raj", "SignOut");
+
+    assert.equal(result, "Signed out");
+    assert.match(context.cards[0].body[1].text, /revoked/);
+    assert.equal(await storage.getUserToken("teams-raj"), null);
+  });
+
+  it("says access was already revoked when Zoho had revoked the token", async () => {
+    const stored = await signIn(mock, "teams-raj", users.raj, { expiresIn: 60 });
+    mock.revokeRefreshToken(stored.refreshToken);
+    await assert.rejects(zoho.getUserToken("teams-raj"));
+
+    const { context, result } = await runAction("teams-raj", "SignOut");
+    assert.equal(result, "Signed out");
+    assert.match(context.cards[0].body[1].text, /had already been revoked/);
+    assert.doesNotMatch(context.cards[0].body[1].text, /couldn't be reached/);
+  });
+});
+
+describe("resilience", () => {
+  it("answers after Zoho rate limits a request", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.rateLimitNext({ path: "/tasks" });
+    const { result } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    assert.equal(result, "Successfully retrieved 2 pending tasks for Raj Kumar");
+  });
+
+  it("tells the user when Zoho is down", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.failNext({ path: "/tasks", status: 500, body: { error: { title: "INTERNAL_ERROR" } } });
+    const { context, result } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    assert.equal(result, "Zoho unavailable");
+    assert.equal(context.cards[0].body[0].text, "🌩️ Zoho Projects is unavailable");
+  });
+
+  it("falls back to the last answer with a data-as-of note", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    mock.failNext({ path: "/tasks", status: 502 });
+
+    const { context, result } = await runAction("teams-raj", "GetPendingTasksByOwner", { ownerName: "Raj Kumar" });
+    assert.match(result, /^Successfully retrieved 2 pending tasks for Raj Kumar \(data as of .+\)$/);
+    assert.match(JSON.stringify(context.cards[0]), /Design home page/);
+    assert.match(context.text, /isn't responding right now, so this shows data as of/);
+  });
+
+  it("tells the user to wait when Zoho keeps throttling", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.throttleNext({ path: "/issues", times: 5 });
+    const { context, result } = await runAction("teams-raj", "GetProjectIssues", { projectName: "Website Redesign" });
+    assert.equal(result, "Rate limited");
+    assert.match(context.cards[0].body[2].text, /Wait a minute/);
+  });
+
+  it("keeps Zoho error details out of replies", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.failNext({ path: "/timelogs", status: 403, body: { error: { error_type: "AUTHORIZATION_ERROR", title: "FORBIDDEN" } } });
+    mock.failNext({ path: "/logs", status: 403, body: { error: { error_type: "AUTHORIZATION_ERROR", title: "FORBIDDEN" } } });
+    const { context } = await runAction("teams-raj", "GetTimeLogs", { userInput: "time logs for Raj Kumar last 7 days" });
+    assert.doesNotMatch(JSON.stringify(context.sent), /403|FORBIDDEN/);
+  });
+
+  it("never shows raw error messages", async () => {
+    await signIn(mock, "teams-raj", users.raj);
+    mock.failNext({ path: /\/(issues|bugs)$/, status: 404, body: { error: { title: "URL_NOT_FOUND" } }, times: 2 });
+    const { context, result } = await runAction("teams-raj", "GetProjectIssues", { projectName: "Website Redesign" });
+    assert.equal(result, "Not found");
+    assert.doesNotMatch(JSON.stringify(context.sent), /URL_NOT_FOUND|404/);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Capabilities live in bot storage; the file backend lets two copies of the
+// module share it, as two processes would
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zoho-bot-capabilities-"));
+Object.assign(process.env, {
+  STORAGE_BACKEND: "file",
+  STORAGE_FILE_PATH: path.join(dir, "storage.json"),
+  LOG_LEVEL: process.env.LOG_LEVEL || "silent"
+});
+
+let storage;
+
+// A fresh copy of the module with nothing held in memory, like another process
+function loadCapabilities() {
+  delete require.cache[require.resolve("../src/capabilities")];
+  return require("../src/capabilities");
+}
+
+const TIMELOGS = [{ name: "timelogs" }];
+const found = async () => "ok";
+
+async function storedKeys(...keys) {
+  return Object.keys(await storage.createBotStorage().read(keys));
+}
+
+before(() => {
+  storage = require("../src/storage");
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await loadCapabilities().forgetCapabilities();
+});
+
+describe("forgetCapabilities", () => {
+  it("forgets capabilities stored by another process", async () => {
+    const other = loadCapabilities();
+    await other.withCapability("p-1", "timelogs", TIMELOGS, found);
+    await other.withCapability("p-2", "timelogs", TIMELOGS, found);
+
+    await loadCapabilities().forgetCapabilities();
+
+    assert.deepEqual(await storedKeys("zohoCapabilities/p-1", "zohoCapabilities/p-2", "zohoCapabilities/index"), []);
+    assert.deepEqual(await loadCapabilities().getCapabilities("p-1"), { checkedAt: {} });
+  });
+
+  it("forgets one portal and keeps the others", async () => {
+    const capabilities = loadCapabilities();
+    await capabilities.withCapability("p-1", "timelogs", TIMELOGS, found);
+    await capabilities.withCapability("p-2", "timelogs", TIMELOGS, found);
+
+    await capabilities.forgetCapabilities("p-1");
+
+    assert.deepEqual(await storedKeys("zohoCapabilities/p-1", "zohoCapabilities/p-2"), ["zohoCapabilities/p-2"]);
+    assert.equal((await loadCapabilities().getCapabilities("p-2")).timelogs, "timelogs");
+
+    // A later flush of everything still finds p-2 through the index
+    await loadCapabilities().forgetCapabilities();
+    assert.deepEqual(await storedKeys("zohoCapabilities/p-2"), []);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AuthRequiredError,
+  ZohoApiError,
+  ZohoForbiddenError,
+  ZohoNotFoundError,
+  ZohoRateLimitedError,
+  ZohoValidationError,
+  ZohoUnavailableError,
+  toZohoError
+} = require("../src/errors");
+
+// Shape of an axios error for a Zoho response
+function zohoResponse(status, error = {}, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, headers, data: { error } };
+  return err;
+}
+
+describe("toZohoError", () => {
+  it("maps HTTP statuses", () => {
+    assert.ok(toZohoError(zohoResponse(401)) instanceof AuthRequiredError);
+    assert.ok(toZohoError(zohoResponse(403)) instanceof ZohoForbiddenError);
+    assert.ok(toZohoError(zohoResponse(404)) instanceof ZohoNotFoundError);
+    assert.ok(toZohoError(zohoResponse(429)) instanceof ZohoRateLimitedError);
+    assert.ok(toZohoError(zohoResponse(422)) instanceof ZohoValidationError);
+    assert.ok(toZohoError(zohoResponse(503)) instanceof ZohoUnavailableError);
+    assert.equal(toZohoError(zohoResponse(409)).constructor, ZohoApiError);
+  });
+
+  it("reads Zoho's error_type and title over the status", () => {
+    const throttled = toZohoError(zohoResponse(400, { error_type: "OPERATIONAL_VALIDATION_ERROR", title: "URL_ROLLING_THROTTLES_LIMIT_EXCEEDED" }));
+    assert.ok(throttled instanceof ZohoRateLimitedError);
+    assert.equal(throttled.title, "URL_ROLLING_THROTTLES_LIMIT_EXCEEDED");
+
+    assert.ok(toZohoError(zohoResponse(400, { error_type: "AUTHENTICATION_ERROR", title: "INVALID_OAUTHTOKEN" })) instanceof AuthRequiredError);
+    assert.ok(toZohoError(zohoResponse(400, { error_type: "AUTHORIZATION_ERROR" })) instanceof ZohoForbiddenError);
+    assert.ok(toZohoError(zohoResponse(400, { title: "PROJECT_NOT_FOUND" })) instanceof ZohoNotFoundError);
+    assert.ok(toZohoError(zohoResponse(400, { error_type: "OPERATIONAL_VALIDATION_ERROR", title: "INVALID_DATE" })) instanceof ZohoValidationError);
+  });
+
+  it("keeps the retry-after hint", () => {
+    assert.equal(toZohoError(zohoResponse(429, {}, { "retry-after": "30" })).retryAfterMs, 30000);
+    assert.equal(toZohoError(zohoResponse(429)).retryAfterMs, null);
+  });
+
+  it("treats network failures as Zoho being down", () => {
+    const err = new Error("connect ECONNREFUSED");
+    err.code = "ECONNREFUSED";
+    const mapped = toZohoError(err, "portal/1/tasks");
+    assert.ok(mapped instanceof ZohoUnavailableError);
+    assert.equal(mapped.code, "upstream-down");
+    assert.equal(mapped.endpoint, "portal/1/tasks");
+  });
+
+  it("leaves typed errors alone", () => {
+    const err = new ZohoNotFoundError();
+    assert.equal(toZohoError(err), err);
+  });
+});
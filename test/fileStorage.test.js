@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The file backend reads its path and keys from the config when it loads, so
+// point them at a scratch directory before requiring it
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zoho-bot-storage-"));
+const filePath = path.join(dir, "storage.json");
+Object.assign(process.env, {
+  STORAGE_FILE_PATH: filePath,
+  TOKEN_ENCRYPTION_KEYS: `k1:${crypto.randomBytes(32).toString("base64")}`,
+  LOG_LEVEL: process.env.LOG_LEVEL || "silent"
+});
+
+let storage;
+
+before(() => {
+  storage = require("../src/storage/file");
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  for (const teamsChatId of ["teams-raj", "teams-asha"]) {
+    await storage.deleteUserToken(teamsChatId);
+  }
+});
+
+function readStoredFile() {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// A fresh copy of the backend, loaded from the file as after a restart
+function reloadStorage() {
+  delete require.cache[require.resolve("../src/storage/file")];
+  return require("../src/storage/file");
+}
+
+describe("file storage", () => {
+  it("encrypts tokens on disk and decrypts them on load", async () => {
+    await storage.storeUserToken("teams-raj", "5002", "access-raj", "refresh-raj", 3600, { email: "raj@example.com" });
+
+    const [onDisk] = readStoredFile().tokens;
+    assert.equal(onDisk.teamsChatId, "teams-raj");
+    assert.equal(onDisk.email, "raj@example.com");
+    assert.match(onDisk.accessToken, /^enc:v1:k1:/);
+    assert.match(onDisk.refreshToken, /^enc:v1:k1:/);
+    assert.doesNotMatch(fs.readFileSync(filePath, "utf8"), /access-raj|refresh-raj/);
+
+    const reloaded = reloadStorage();
+    const token = await reloaded.getUserToken("teams-raj");
+    assert.equal(token.accessToken, "access-raj");
+    assert.equal(token.refreshToken, "refresh-raj");
+  });
+
+  it("keeps bot state across a reload", async () => {
+    await storage.createBotStorage().write({ "conversation/1": { portalId: "p-1" } });
+
+    const state = await reloadStorage().createBotStorage().read(["conversation/1"]);
+    assert.equal(state["conversation/1"].portalId, "p-1");
+  });
+
+  it("drops deleted tokens from the file", async () => {
+    await storage.storeUserToken("teams-raj", "5002", "access-raj", "refresh-raj", 3600);
+    await storage.deleteUserToken("teams-raj");
+
+    assert.deepEqual(readStoredFile().tokens, []);
+    assert.equal(await reloadStorage().getUserToken("teams-raj"), null);
+  });
+
+  it("keeps saving after a failed write", async (t) => {
+    const rename = fs.promises.rename;
+    let failures = 1;
+    t.mock.method(fs.promises, "rename", async (...args) => {
+      if (failures-- > 0) throw Object.assign(new Error("no space left on device"), { code: "ENOSPC" });
+      return rename(...args);
+    });
+
+    await assert.rejects(storage.storeUserToken("teams-raj", "5002", "access-1", "refresh-1", 3600), /no space left/);
+    await storage.storeUserToken("teams-asha", "5001", "access-2", "refresh-2", 3600);
+
+    const stored = readStoredFile().tokens.map(token => token.teamsChatId);
+    assert.deepEqual(stored.sort(), ["teams-asha", "teams-raj"]);
+  });
+});
@@ -0,0 +1,148 @@
+// -------------------------
+// SHARED TEST SETUP
+// -------------------------
+//
+// Each test file runs in its own process: start the mock, point the config at
+// it through the environment, and only then require anything from src/.
+
+const { startMockZoho } = require("./mockZoho/server");
+const { PORTAL_ID } = require("./mockZoho/fixtures");
+
+/**
+ * Start a mock Zoho server and configure the bot to use it
+ * @returns {Object} The running mock (see mockZoho/server.js)
+ */
+async function startTestEnvironment() {
+  const mock = await startMockZoho();
+
+  Object.assign(process.env, {
+    STORAGE_BACKEND: "memory",
+    ZOHO_ACCOUNTS_URL: mock.url,
+    ZOHO_API_BASE_URL: mock.apiBaseUrl,
+    ZOHO_PORTAL_ID: PORTAL_ID,
+    ZOHO_CLIENT_ID: "test-client-id",
+    ZOHO_CLIENT_SECRET: "test-client-secret",
+    ZOHO_REDIRECT_URI: "http://localhost:3978/api/auth/zoho/callback",
+    OAUTH_STATE_SECRET: "test-state-secret",
+    ZOHO_RATE_LIMIT: "100000",
+    ZOHO_THROTTLE_BACKOFF_MS: "10",
+    AZURE_OPENAI_API_KEY: "test-key",
+    AZURE_OPENAI_ENDPOINT: "https://openai.test.invalid",
+    AZURE_OPENAI_DEPLOYMENT_NAME: "test-deployment",
+    ZOHO_WEBHOOK_SECRET: "test-webhook-secret",
+    // Keep test output readable; LOG_LEVEL=debug npm test shows everything
+    LOG_LEVEL: process.env.LOG_LEVEL || "silent"
+  });
+
+  return mock;
+}
+
+/**
+ * Store a Zoho token for a Teams user, as if they had completed sign-in
+ * @param {Object} mock - Running mock server
+ * @param {string} teamsChatId - Teams identity to store the token under
+ * @param {Object} user - Fixture user to sign in as (default: Raj Kumar, an employee)
+ * @param {Object} overrides - Token fields to override, e.g. { expiresIn: 1 }
+ */
+async function signIn(mock, teamsChatId, user = mock.fixtures.users[1], overrides = {}) {
+  const storage = require("../src/storage");
+  const tokens = mock.issueTokens(user);
+  return storage.storeUserToken(
+    teamsChatId,
+    user.zuid,
+    overrides.accessToken || tokens.accessToken,
+    overrides.refreshToken || tokens.refreshToken,
+    overrides.expiresIn || tokens.expiresIn,
+    { email: user.email, ...overrides.extra }
+  );
+}
+
+/**
+ * Minimal TurnContext: records everything the bot sends
+ * @param {string} aadObjectId - Teams user the message comes from
+ * @param {Object} activity - Extra activity fields, e.g. { value } for card submits
+ */
+function createTurnContext(aadObjectId, activity = {}) {
+  const sent = [];
+  const updated = [];
+
+  return {
+    activity: {
+      type: "message",
+      channelId: "msteams",
+      from: { id: `29:${aadObjectId}`, aadObjectId, name: "Test User" },
+      conversation: { id: `conversation-${aadObjectId}` },
+      recipient: { id: "bot" },
+      ...activity
+    },
+    sent,
+    updated,
+    async sendActivity(activityOrText) {
+      const activity = typeof activityOrText === "string" ? { type: "message", text: activityOrText } : activityOrText;
+      sent.push(activity);
+      return { id: `activity-${sent.length}` };
+    },
+    async updateActivity(activity) {
+      updated.push(activity);
+      return { id: activity.id };
+    },
+    // Text of every message sent, joined for easy matching
+    get text() {
+      return sent.map(a => a.text || "").join("\n");
+    },
+    // Adaptive cards sent, in order
+    get cards() {
+      return sent.flatMap(a => (a.attachments || []).map(att => att.content));
+    }
+  };
+}
+
+/**
+ * Collect log entries written while `fn` runs, at debug level
+ * @returns {Promise<Object[]>} The entries, as written
+ */
+async function captureLogs(fn) {
+  const config = require("../src/config");
+  const { setLogWriter } = require("../src/logger");
+  const entries = [];
+  const level = config.logLevel;
+  const previous = setLogWriter((entry, line) => entries.push(JSON.parse(line)));
+  config.logLevel = "debug";
+  try {
+    await fn();
+  } finally {
+    config.logLevel = level;
+    setLogWriter(previous);
+  }
+  return entries;
+}
+
+function createTurnState() {
+  return {
+    conversation: {},
+    user: {},
+    temp: {}
+  };
+}
+
+/**
+ * Run the route an Action.Submit card button would trigger. The context's
+ * activity value must carry the button's data, including its verb.
+ */
+async function submitCard(app, context, state) {
+  for (const route of app._routes) {
+    if (await route.selector(context)) {
+      return route.handler(context, state);
+    }
+  }
+  throw new Error(`No route handles card submit ${JSON.stringify(context.activity.value)}`);
+}
+
+module.exports = {
+  startTestEnvironment,
+  signIn,
+  createTurnContext,
+  createTurnState,
+  submitCard,
+  captureLogs
+};
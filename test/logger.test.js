@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestEnvironment, signIn, captureLogs } = require("./helpers");
+const { PORTAL_ID } = require("./mockZoho/fixtures");
+
+let mock;
+let logger;
+let zoho;
+let storage;
+
+before(async () => {
+  mock = await startTestEnvironment();
+  logger = require("../src/logger");
+  zoho = require("../src/zoho");
+  storage = require("../src/storage");
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  mock.reset();
+  storage.clear();
+  zoho.invalidateZohoCache();
+});
+
+describe("redact", () => {
+  it("replaces token and secret fields", () => {
+    const redacted = logger.redact({
+      accessToken: "access.123",
+      refresh_token: "refresh.456",
+      MicrosoftAppPassword: "pw",
+      azureOpenAIKey: "sk-1",
+      headers: { Authorization: "Zoho-oauthtoken access.123" },
+      portalId: "60001"
+    });
+
+    assert.equal(redacted.accessToken, "[REDACTED]");
+    assert.equal(redacted.refresh_token, "[REDACTED]");
+    assert.equal(redacted.MicrosoftAppPassword, "[REDACTED]");
+    assert.equal(redacted.azureOpenAIKey, "[REDACTED]");
+    assert.equal(redacted.headers.Authorization, "[REDACTED]");
+    assert.equal(redacted.portalId, "60001");
+  });
+
+  it("masks emails and phone numbers", () => {
+    const redacted = logger.redact({ email: "raj@example.com", phone: "+91 98450 12345", note: "ask asha@example.com" });
+    assert.equal(redacted.email, "r***@example.com");
+    assert.equal(redacted.phone, "***45");
+    assert.equal(redacted.note, "ask a***@example.com");
+  });
+
+  it("scrubs bearer tokens and OAuth parameters out of text", () => {
+    const text = logger.redact("GET /revoke?token=refresh.456&x=1 with Zoho-oauthtoken access.123");
+    assert.doesNotMatch(text, /refresh\.456|access\.123/);
+  });
+
+  it("keeps only the safe parts of errors", () => {
+    const error = new Error("failed for raj@example.com");
+    error.config = { headers: { Authorization: "Zoho-oauthtoken access.123" } };
+    const redacted = logger.redact({ error });
+    assert.equal(redacted.error.message, "failed for r***@example.com");
+    assert.equal(redacted.error.config, undefined);
+  });
+});
+
+describe("structured logger", () => {
+  it("writes one JSON entry per call with level and component", async () => {
+    const entries = await captureLogs(() => logger.createLogger("test").warn("Something happened", { count: 2 }));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, "warn");
+    assert.equal(entries[0].component, "test");
+    assert.equal(entries[0].msg, "Something happened");
+    assert.equal(entries[0].count, 2);
+  });
+
+  it("drops entries below the configured level", async () => {
+    const config = require("../src/config");
+    const entries = await captureLogs(() => {
+      config.logLevel = "warn";
+      const log = logger.createLogger("test");
+      log.debug("hidden");
+      log.info("hidden");
+      log.error("shown");
+    });
+    assert.deepEqual(entries.map(e => e.msg), ["shown"]);
+  });
+
+  it("carries the correlation id through async work", async () => {
+    const entries = await captureLogs(() =>
+      logger.runWithLogContext({ correlationId: "turn-1" }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        await logger.runWithLogContext({ action: "Test" }, async () => {
+          assert.equal(logger.getCorrelationId(), "turn-1");
+          logger.createLogger("test").info("inside");
+        });
+      })
+    );
+    assert.equal(entries[0].correlationId, "turn-1");
+    assert.equal(entries[0].action, "Test");
+  });
+});
+
+describe("Zoho call logging", () => {
+  it("tags every Zoho call with the turn's correlation id", async () => {
+    await signIn(mock, "teams-raj");
+    const entries = await captureLogs(() =>
+      logger.runWithLogContext({ correlationId: "turn-2" }, () => zoho.getUsers("teams-raj", PORTAL_ID))
+    );
+
+    const calls = entries.filter(e => e.msg === "Zoho call");
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].correlationId, "turn-2");
+    assert.equal(calls[0].status, 200);
+  });
+
+  it("never logs tokens while refreshing them", async () => {
+    const stored = await signIn(mock, "teams-raj", undefined, { expiresIn: 60 });
+    mock.expireAccessTokens();
+    let refreshed;
+    const entries = await captureLogs(async () => {
+      refreshed = await zoho.getUserToken("teams-raj");
+      await zoho.getPortals("teams-raj");
+    });
+
+    const logged = JSON.stringify(entries);
+    assert.ok(entries.length > 0);
+    for (const secret of [stored.accessToken, stored.refreshToken, refreshed.accessToken, "test-client-secret"]) {
+      assert.ok(!logged.includes(secret), "a token or secret was logged");
+    }
+  });
+});
@@ -0,0 +1,243 @@
+// -------------------------
+// FIXTURE DATA FOR THE ZOHO MOCK
+// -------------------------
+//
+// Shapes follow the Zoho Projects v3 responses the bot reads. Every call
+// returns fresh copies so tests can change them freely.
+
+const PORTAL_ID = "60001";
+const OTHER_PORTAL_ID = "60002";
+
+const days = (n) => new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+
+// Format used by the v3 time log endpoints
+const logDate = (n) => {
+  const d = new Date(Date.now() + n * 24 * 60 * 60 * 1000);
+  return `${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}-${d.getFullYear()}`;
+};
+
+function createUsers() {
+  return [
+    { zpuid: "1001", zuid: "5001", full_name: "Asha Admin", email: "asha@example.com", role: { name: "Administrator" }, profile: { type: "admin" } },
+    { zpuid: "1002", zuid: "5002", full_name: "Raj Kumar", email: "raj@example.com", role: { name: "Employee" }, profile: { type: "employee" } },
+    { zpuid: "1003", zuid: "5003", full_name: "Rajesh Nair", email: "rajesh@example.com", role: { name: "Employee" }, profile: { type: "employee" } },
+    { zpuid: "1004", zuid: "5004", full_name: "Carla Client", email: "carla@example.com", role: { name: "Client" }, is_client_user: true },
+    { zpuid: "1005", zuid: "5005", full_name: "Manoj Manager", email: "manoj@example.com", role: { name: "Manager" }, profile: { type: "manager" } }
+  ];
+}
+
+function owner(user) {
+  const [first_name, last_name = ""] = user.full_name.split(" ");
+  return { zpuid: user.zpuid, id: user.zpuid, name: user.full_name, first_name, last_name, email: user.email };
+}
+
+function createProjects() {
+  return [
+    { id: "2001", key: "WEB", name: "Website Redesign", description: "New marketing site", owner: { full_name: "Asha Admin" }, status: { name: "Active" }, percent_complete: 40, tasks: { open_count: 6, closed_count: 4 }, start_date: days(-60), end_date: days(30) },
+    { id: "2002", key: "MOB", name: "Mobile App", description: "iOS and Android app", owner: { full_name: "Manoj Manager" }, status: { name: "Active" }, percent_complete: 10, tasks: { open_count: 120, closed_count: 2 }, start_date: days(-20), end_date: days(90) },
+    { id: "2003", key: "MBE", name: "Mobile Backend", description: "APIs for the app", owner: { full_name: "Manoj Manager" }, status: { name: "Planning" }, percent_complete: 0, tasks: { open_count: 0, closed_count: 0 }, start_date: days(-5), end_date: days(120) }
+  ];
+}
+
+function createProjectMembers() {
+  return {
+    2001: ["1001", "1002", "1004", "1005"],
+    2002: ["1001", "1003", "1005"],
+    2003: ["1001", "1005"]
+  };
+}
+
+function createTasklists() {
+  return {
+    2001: [
+      { id: "5101", name: "Design", is_default: true },
+      { id: "5102", name: "Launch", is_default: false }
+    ],
+    2002: [{ id: "5201", name: "Screens", is_default: true }],
+    2003: [{ id: "5301", name: "General", is_default: true }]
+  };
+}
+
+function createTasks(users, projects, tasklists) {
+  const [asha, raj, rajesh] = users;
+  const [website, mobile] = projects;
+  const project = (p) => ({ id: p.id, name: p.name });
+  const [design, launch] = tasklists[website.id];
+  const [screens] = tasklists[mobile.id];
+  const tasklist = (l) => ({ id: l.id, name: l.name });
+
+  const tasks = [
+    { id: "3001", name: "Design home page", status: { name: "In Progress", type: "open" }, is_completed: false, priority: "high", project: project(website), tasklist: tasklist(design), owners: [raj], start: -10, end: -2, percent: 60, tags: ["frontend"], work: ["16:00"] },
+    { id: "3002", name: "Write copy", status: { name: "Open", type: "open" }, is_completed: false, priority: "medium", project: project(website), tasklist: tasklist(design), owners: [raj, asha], start: -3, end: 5, percent: 0, tags: ["content"], work: ["04:00", "02:30"], after: ["3001"] },
+    { id: "3003", name: "Set up hosting", status: { name: "Closed", type: "closed" }, is_completed: true, priority: "low", project: project(website), tasklist: tasklist(launch), owners: [raj], start: -20, end: -15, percent: 100 },
+    { id: "3004", name: "Review sitemap", status: { name: "Open", type: "open" }, is_completed: false, priority: "none", project: project(website), tasklist: tasklist(launch), owners: [asha], start: -1, end: 10, percent: 0, tags: ["content", "seo"], after: ["3003"] }
+  ];
+
+  // Enough open tasks for Rajesh to span more than one page
+  for (let i = 0; i < 120; i++) {
+    tasks.push({
+      id: String(4000 + i),
+      name: `Mobile screen ${i + 1}`,
+      status: { name: "Open", type: "open" },
+      is_completed: false,
+      priority: "medium",
+      project: project(mobile),
+      tasklist: tasklist(screens),
+      owners: [rajesh],
+      start: -30,
+      end: i < 3 ? -i - 1 : 20,
+      percent: 0
+    });
+  }
+
+  // Finish-to-start dependencies: `after` lists a task's predecessors
+  const link = (id) => ({ id, name: tasks.find(t => t.id === id).name, dependency_type: "FS" });
+  const successors = (id) => tasks.filter(t => (t.after || []).includes(id)).map(t => link(t.id));
+
+  return tasks.map((t, i) => ({
+    id: t.id,
+    name: t.name,
+    description: `${t.name} for ${t.project.name}`,
+    status: t.status,
+    is_completed: t.is_completed,
+    priority: t.priority,
+    project: t.project,
+    tasklist: t.tasklist,
+    start_date: days(t.start),
+    end_date: days(t.end),
+    created_time: days(t.start),
+    last_updated_time: days(-i / 1000),
+    completion_percentage: t.percent,
+    tags: (t.tags || []).map((name, n) => ({ id: `${t.id}${n}`, name })),
+    owners_and_work: {
+      work_type: "work_hours",
+      owners: t.owners.map((user, n) => ({ ...owner(user), ...(t.work && { work: t.work[n] }) }))
+    },
+    ...((t.after || successors(t.id).length) && {
+      dependency: { predecessors: (t.after || []).map(link), successors: successors(t.id) }
+    })
+  }));
+}
+
+// Subtasks live apart from `tasks`, so they don't show up in task lists
+function createSubtasks(users, tasks) {
+  const [asha] = users;
+  const parent = tasks.find(t => t.id === "3001");
+  const subtask = (id, name, status, percent) => ({
+    id,
+    name,
+    description: "",
+    status,
+    is_completed: status.type === "closed",
+    priority: "none",
+    project: parent.project,
+    tasklist: parent.tasklist,
+    start_date: parent.start_date,
+    end_date: parent.end_date,
+    created_time: parent.created_time,
+    completion_percentage: percent,
+    tags: [],
+    owners_and_work: { owners: [owner(asha)] },
+    parental_info: { parent_task_id: parent.id, parent_task_name: parent.name }
+  });
+  return [
+    subtask("3101", "Hero banner", { name: "Closed", type: "closed" }, 100),
+    subtask("3102", "Navigation menu", { name: "In Progress", type: "open" }, 50)
+  ];
+}
+
+function createAttachments() {
+  return {
+    3001: [
+      { id: "6501", name: "home-v2.fig", type: "application/octet-stream", size: "2048" },
+      { id: "6502", name: "moodboard.png", type: "image/png", size: "512" }
+    ]
+  };
+}
+
+function createIssues(users, projects) {
+  const [asha, raj] = users;
+  const [website, mobile] = projects;
+  return [
+    { id: "7001", title: "Broken nav on Safari", project: { id: website.id, name: website.name }, status: { name: "Open" }, severity: { value: "Major" }, created_by: { first_name: "Asha" }, assignee: { full_name: raj.full_name }, created_time: days(-4), due_date: days(3) },
+    { id: "7002", title: "Typo in footer", project: { id: website.id, name: website.name }, status: { name: "Closed" }, severity: { value: "Minor" }, created_by: { first_name: "Raj" }, assignee: { full_name: asha.full_name }, created_time: days(-8), last_closed: days(-1) },
+    { id: "7003", title: "App crashes on login", project: { id: mobile.id, name: mobile.name }, status: { name: "Open" }, severity: { value: "Critical" }, created_by: { first_name: "Manoj" }, created_time: days(-2) }
+  ];
+}
+
+function createTimeLogs(users, projects) {
+  const [, raj, rajesh] = users;
+  const [website, mobile] = projects;
+  return [
+    { id: "8001", work_date: logDate(0), hours: "6", owner: { id: raj.zpuid, name: raj.full_name }, project: { name: website.name }, task: { name: "Design home page" } },
+    { id: "8002", work_date: logDate(0), hours: "2", owner: { id: rajesh.zpuid, name: rajesh.full_name }, project: { name: mobile.name }, task: { name: "Mobile screen 1" } },
+    { id: "8003", work_date: logDate(0), hours: "3.5", owner: { id: raj.zpuid, name: raj.full_name }, project: { name: website.name }, task: { name: "Write copy" } }
+  ];
+}
+
+function createComments(users) {
+  const [asha, raj] = users;
+  const by = (user) => ({ zpuid: user.zpuid, name: user.full_name });
+  return {
+    3001: [
+      { id: "6001", comment: "<div>First draft is up for review.</div>", created_by: by(raj), created_time: days(-3) },
+      { id: "6002", comment: "<div>Looks good, zp[@user:1002]. Ship it &amp; move on.</div>", created_by: by(asha), created_time: days(-1) }
+    ]
+  };
+}
+
+function createLayouts(projects) {
+  const layouts = {};
+  for (const project of projects) {
+    layouts[project.id] = {
+      layout_id: `9${project.id}`,
+      layout_name: "Standard Layout",
+      status_details: [
+        { id: "11", name: "Open", type: "open" },
+        { id: "12", name: "In Progress", type: "open" },
+        { id: "13", name: "Closed", type: "closed" }
+      ]
+    };
+  }
+  return layouts;
+}
+
+/**
+ * A fresh, self-consistent data set for one mock server
+ */
+function createFixtures() {
+  const users = createUsers();
+  const projects = createProjects();
+  const tasklists = createTasklists();
+  const tasks = createTasks(users, projects, tasklists);
+
+  return {
+    portals: [
+      { id: PORTAL_ID, portal_name: "Acme", is_default: true },
+      { id: OTHER_PORTAL_ID, portal_name: "Acme Labs", is_default: false }
+    ],
+    users,
+    projects,
+    projectMembers: createProjectMembers(),
+    tasklists,
+    tasks,
+    subtasks: createSubtasks(users, tasks),
+    attachments: createAttachments(),
+    issues: createIssues(users, projects),
+    comments: createComments(users),
+    timelogs: createTimeLogs(users, projects),
+    layouts: createLayouts(projects),
+    // Zoho accounts: authorization codes and the profile each one signs in as
+    authCodes: {
+      "code-raj": users[1],
+      "code-asha": users[0],
+      "code-carla": users[3]
+    }
+  };
+}
+
+module.exports = {
+  PORTAL_ID,
+  OTHER_PORTAL_ID,
+  createFixtures
+};
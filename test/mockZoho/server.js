@@ -0,0 +1,523 @@
+// -------------------------
+// LOCAL ZOHO PROJECTS MOCK
+// -------------------------
+//
+// Express stand-in for the Zoho accounts server and the Projects v3 API, so the
+// helpers in src/zoho.js and the bot's actions can run without a live portal.
+// Point ZOHO_ACCOUNTS_URL at `url` and ZOHO_API_BASE_URL at `apiBaseUrl`.
+//
+// Run it on its own with `npm run mock:zoho` (port from MOCK_ZOHO_PORT, default 4100).
+
+const crypto = require("crypto");
+const express = require("express");
+const { createFixtures } = require("./fixtures");
+
+const ACCESS_TOKEN_TTL = 3600; // seconds, like Zoho
+
+function randomToken(prefix) {
+  return `${prefix}.${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function zohoError(status, title, errorType = "OPERATIONAL_VALIDATION_ERROR") {
+  return { error: { status_code: String(status), error_type: errorType, title } };
+}
+
+// page/per_page slicing with v3 page_info
+function paginate(items, query) {
+  const page = Math.max(1, Number(query.page) || 1);
+  const perPage = Math.max(1, Number(query.per_page) || 100);
+  const start = (page - 1) * perPage;
+  return {
+    items: items.slice(start, start + perPage),
+    page_info: { page, per_page: perPage, has_next_page: start + perPage < items.length }
+  };
+}
+
+// Subset of the v3 task filter the bot sends: owner "contains", status and priority "is"
+function applyTaskFilter(tasks, rawFilter) {
+  if (!rawFilter) return tasks;
+  const { criteria = [] } = JSON.parse(rawFilter);
+
+  return tasks.filter(task => criteria.every(({ field_name, value = [] }) => {
+    if (field_name === "owner") {
+      return task.owners_and_work.owners.some(o => value.includes(String(o.zpuid)));
+    }
+    if (field_name === "status") {
+      return value.includes(task.is_completed ? "closed" : "open");
+    }
+    if (field_name === "priority") {
+      return value.includes(task.priority);
+    }
+    return true;
+  }));
+}
+
+function sendTasks(res, tasks, query) {
+  let filtered;
+  try {
+    filtered = applyTaskFilter(tasks, query.filter);
+  } catch (error) {
+    return res.status(400).json(zohoError(400, "INVALID_FILTER"));
+  }
+  const { items, page_info } = paginate(filtered, query);
+  res.json({ tasks: items, page_info });
+}
+
+/**
+ * Create (but don't start) a mock Zoho server
+ * @param {Object} options
+ * @param {Object} options.fixtures - Data set; defaults to createFixtures()
+ */
+function createMockZoho({ fixtures = createFixtures() } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Writes (created and updated tasks) change `fixtures`; reset() puts this back
+  const initialData = structuredClone(fixtures);
+
+  const mock = {
+    app,
+    fixtures,
+    requests: [],
+    accessTokens: new Map(), // access token -> Zoho user
+    refreshTokens: new Map(), // refresh token -> Zoho user
+    revokedRefreshTokens: new Set(),
+    faults: [],
+    url: null,
+    apiBaseUrl: null,
+    server: null
+  };
+
+  // -------------------------
+  // TEST CONTROLS
+  // -------------------------
+
+  /**
+   * Issue a token pair for a fixture user, as if they had signed in
+   * @returns {{accessToken: string, refreshToken: string, expiresIn: number, user: Object}}
+   */
+  mock.issueTokens = (user = fixtures.users[1]) => {
+    const accessToken = randomToken("access");
+    const refreshToken = randomToken("refresh");
+    mock.accessTokens.set(accessToken, user);
+    mock.refreshTokens.set(refreshToken, user);
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL, user };
+  };
+
+  // Make every issued access token invalid, so the next API call gets a 401
+  mock.expireAccessTokens = () => mock.accessTokens.clear();
+
+  // Revoke a refresh token; Zoho then answers refreshes with { error: "invalid_code" }
+  mock.revokeRefreshToken = (refreshToken) => mock.revokedRefreshTokens.add(refreshToken);
+
+  /**
+   * Answer the next `times` matching requests with an error instead of data
+   * @param {Object} fault
+   * @param {string|RegExp} fault.path - Substring or pattern of the request path
+   * @param {string} fault.method - Only this HTTP method (default: any)
+   * @param {number} fault.status - HTTP status to return
+   * @param {Object} fault.body - Response body
+   * @param {Object} fault.headers - Extra response headers
+   * @param {number} fault.times - How many requests to fail (default 1)
+   */
+  mock.failNext = ({ path = "", method, status, body = {}, headers = {}, times = 1 }) => {
+    mock.faults.push({ path, method, status, body, headers, remaining: times });
+  };
+
+  // Answer the next `times` matching requests normally, but only after `ms`
+  mock.slowNext = ({ path = "", method, ms, times = 1 }) => {
+    mock.faults.push({ path, method, delayMs: ms, remaining: times });
+  };
+
+  mock.rateLimitNext = (options = {}) =>
+    mock.failNext({ status: 429, headers: { "Retry-After": "0" }, body: zohoError(429, "RATE_LIMIT_EXCEEDED"), ...options });
+
+  mock.throttleNext = (options = {}) =>
+    mock.failNext({ status: 400, body: zohoError(400, "URL_ROLLING_THROTTLES_LIMIT_EXCEEDED"), ...options });
+
+  mock.unauthorizedNext = (options = {}) =>
+    mock.failNext({ status: 401, body: zohoError(401, "INVALID_OAUTHTOKEN", "AUTHENTICATION_ERROR"), ...options });
+
+  // Requests whose path matches, e.g. to count calls to one endpoint
+  mock.requestsTo = (pattern) =>
+    mock.requests.filter(r => (pattern instanceof RegExp ? pattern.test(r.path) : r.path.includes(pattern)));
+
+  mock.reset = () => {
+    mock.requests.length = 0;
+    mock.faults.length = 0;
+    Object.assign(fixtures, structuredClone(initialData));
+  };
+
+  // -------------------------
+  // MIDDLEWARE
+  // -------------------------
+
+  app.use((req, res, next) => {
+    mock.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    const fault = mock.faults.find(f =>
+      f.remaining > 0 &&
+      (!f.method || f.method === req.method) &&
+      (f.path instanceof RegExp ? f.path.test(req.path) : req.path.includes(f.path))
+    );
+    if (fault) {
+      fault.remaining--;
+      if (fault.delayMs) {
+        return setTimeout(next, fault.delayMs);
+      }
+      return res.status(fault.status).set(fault.headers).json(fault.body);
+    }
+    next();
+  });
+
+  function requireAccessToken(req, res, next) {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    const user = scheme === "Zoho-oauthtoken" && mock.accessTokens.get(token);
+    if (!user) {
+      return res.status(401).json(zohoError(401, "INVALID_OAUTHTOKEN", "AUTHENTICATION_ERROR"));
+    }
+    req.zohoUser = user;
+    next();
+  }
+
+  function requirePortal(req, res, next) {
+    if (!fixtures.portals.some(p => p.id === req.params.portalId)) {
+      return res.status(404).json(zohoError(404, "PORTAL_NOT_FOUND"));
+    }
+    next();
+  }
+
+  function findProject(req, res) {
+    const project = fixtures.projects.find(p => p.id === req.params.projectId);
+    if (!project) {
+      res.status(404).json(zohoError(404, "PROJECT_NOT_FOUND"));
+    }
+    return project;
+  }
+
+  // Subtasks are tasks too: they can be read, updated and commented on by id
+  function findTask(req, res, project) {
+    const task = [...fixtures.tasks, ...fixtures.subtasks]
+      .find(t => t.id === req.params.taskId && t.project.id === project.id);
+    if (!task) {
+      res.status(404).json(zohoError(404, "TASK_NOT_FOUND"));
+    }
+    return task;
+  }
+
+  // -------------------------
+  // ACCOUNTS SERVER
+  // -------------------------
+
+  app.post("/oauth/v2/token", (req, res) => {
+    const { grant_type, code, refresh_token } = { ...req.query, ...req.body };
+
+    if (grant_type === "authorization_code") {
+      const user = fixtures.authCodes[code];
+      if (!user) return res.json({ error: "invalid_code" });
+      const tokens = mock.issueTokens(user);
+      return res.json({
+        access_token: tokens.accessToken,
+        refresh_token: tokens.refreshToken,
+        expires_in: tokens.expiresIn,
+        api_domain: mock.url,
+        token_type: "Bearer"
+      });
+    }
+
+    if (grant_type === "refresh_token") {
+      // Zoho answers a revoked or unknown refresh token with a 200
+      const user = mock.refreshTokens.get(refresh_token);
+      if (!user || mock.revokedRefreshTokens.has(refresh_token)) {
+        return res.json({ error: "invalid_code" });
+      }
+      const accessToken = randomToken("access");
+      mock.accessTokens.set(accessToken, user);
+      return res.json({
+        access_token: accessToken,
+        expires_in: ACCESS_TOKEN_TTL,
+        api_domain: mock.url,
+        token_type: "Bearer"
+      });
+    }
+
+    res.status(400).json({ error: "unsupported_grant_type" });
+  });
+
+  app.post("/oauth/v2/token/revoke", (req, res) => {
+    const token = req.query.token || req.body?.token;
+    if (token) mock.revokedRefreshTokens.add(token);
+    res.json({ status: "success" });
+  });
+
+  app.get("/oauth/user/info", requireAccessToken, (req, res) => {
+    const [First_Name, Last_Name = ""] = req.zohoUser.full_name.split(" ");
+    res.json({ ZUID: req.zohoUser.zuid, Email: req.zohoUser.email, First_Name, Last_Name, Display_Name: req.zohoUser.full_name });
+  });
+
+  // -------------------------
+  // PROJECTS API (V3)
+  // -------------------------
+
+  const api = express.Router();
+  api.use(requireAccessToken);
+
+  api.get("/portals", (req, res) => {
+    res.json(fixtures.portals);
+  });
+
+  api.get("/portal/:portalId/users", requirePortal, (req, res) => {
+    const { items, page_info } = paginate(fixtures.users, req.query);
+    res.json({ users: items, page_info });
+  });
+
+  // v3 returns the project list as a bare array
+  api.get("/portal/:portalId/projects", requirePortal, (req, res) => {
+    res.json(paginate(fixtures.projects, req.query).items);
+  });
+
+  api.get("/portal/:portalId/projects/:projectId", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (project) res.json(project);
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/users", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const memberIds = fixtures.projectMembers[project.id] || [];
+    const { items, page_info } = paginate(fixtures.users.filter(u => memberIds.includes(u.zpuid)), req.query);
+    res.json({ users: items, page_info });
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasklayouts", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (project) res.json(fixtures.layouts[project.id]);
+  });
+
+  api.get("/portal/:portalId/tasks", requirePortal, (req, res) => {
+    sendTasks(res, fixtures.tasks, req.query);
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasks", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (project) sendTasks(res, fixtures.tasks.filter(t => t.project.id === project.id), req.query);
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasklists", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const { items, page_info } = paginate(fixtures.tasklists[project.id] || [], req.query);
+    res.json({ tasklists: items, page_info });
+  });
+
+  // Returns the created task in a "tasks" array, like v3
+  api.post("/portal/:portalId/projects/:projectId/tasks", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+
+    const { name, description, tasklist, owners_and_work, start_date, end_date, priority } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json(zohoError(400, "INVALID_INPUT"));
+    }
+    const lists = fixtures.tasklists[project.id] || [];
+    const list = tasklist?.id ? lists.find(l => l.id === String(tasklist.id)) : lists.find(l => l.is_default);
+    if (!list) {
+      return res.status(404).json(zohoError(404, "TASKLIST_NOT_FOUND"));
+    }
+    const ownerIds = (owners_and_work?.owners || []).map(o => String(o.zpuid));
+    const owners = fixtures.users.filter(u => ownerIds.includes(u.zpuid));
+    if (owners.length !== ownerIds.length) {
+      return res.status(400).json(zohoError(400, "INVALID_OWNER"));
+    }
+
+    const task = {
+      id: String(90000 + fixtures.tasks.length),
+      name,
+      description: description || "",
+      status: { name: "Open", type: "open" },
+      is_completed: false,
+      priority: priority || "none",
+      project: { id: project.id, name: project.name },
+      tasklist: { id: list.id, name: list.name },
+      start_date: start_date || null,
+      end_date: end_date || null,
+      created_time: new Date().toISOString(),
+      last_updated_time: new Date().toISOString(),
+      completion_percentage: 0,
+      owners_and_work: {
+        owners: owners.map(u => ({ zpuid: u.zpuid, id: u.zpuid, name: u.full_name, email: u.email }))
+      }
+    };
+    fixtures.tasks.push(task);
+    res.status(201).json({ tasks: [task] });
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasks/:taskId", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (task) res.json({ tasks: [task] });
+  });
+
+  api.patch("/portal/:portalId/projects/:projectId/tasks/:taskId", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (!task) return;
+
+    const { status, completion_percentage, end_date } = req.body || {};
+    if (status?.id) {
+      const match = fixtures.layouts[project.id].status_details.find(s => s.id === String(status.id));
+      if (!match) return res.status(400).json(zohoError(400, "INVALID_STATUS"));
+      task.status = { id: match.id, name: match.name, type: match.type };
+      task.is_completed = match.type === "closed";
+      if (task.is_completed) task.completion_percentage = 100;
+    }
+    if (completion_percentage !== undefined) {
+      const percent = Number(completion_percentage);
+      if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+        return res.status(400).json(zohoError(400, "INVALID_INPUT"));
+      }
+      task.completion_percentage = percent;
+    }
+    if (end_date !== undefined) {
+      if (task.start_date && new Date(end_date) < new Date(task.start_date)) {
+        return res.status(400).json(zohoError(400, "END_DATE_BEFORE_START_DATE"));
+      }
+      task.end_date = end_date;
+    }
+    task.last_updated_time = new Date().toISOString();
+    res.json({ tasks: [task] });
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasks/:taskId/subtasks", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (task) sendTasks(res, fixtures.subtasks.filter(t => t.parental_info.parent_task_id === task.id), req.query);
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasks/:taskId/attachments", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (!task) return;
+    const { items, page_info } = paginate(fixtures.attachments[task.id] || [], req.query);
+    res.json({ attachments: items, page_info });
+  });
+
+  api.get("/portal/:portalId/projects/:projectId/tasks/:taskId/comments", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (!task) return;
+    const { items, page_info } = paginate(fixtures.comments[task.id] || [], req.query);
+    res.json({ comments: items, page_info });
+  });
+
+  api.post("/portal/:portalId/projects/:projectId/tasks/:taskId/comments", requirePortal, (req, res) => {
+    const project = findProject(req, res);
+    const task = project && findTask(req, res, project);
+    if (!task) return;
+    if (!req.body?.comment || !String(req.body.comment).trim()) {
+      return res.status(400).json(zohoError(400, "INVALID_INPUT"));
+    }
+
+    const comment = {
+      id: String(6100 + Object.values(fixtures.comments).flat().length),
+      comment: req.body.comment,
+      created_by: { zpuid: req.zohoUser.zpuid, name: req.zohoUser.full_name },
+      created_time: new Date().toISOString()
+    };
+    (fixtures.comments[task.id] ||= []).push(comment);
+    res.status(201).json({ comments: [comment] });
+  });
+
+  // Older portals call the issues module "bugs"; both names are served
+  for (const module of ["issues", "bugs"]) {
+    api.get(`/portal/:portalId/${module}`, requirePortal, (req, res) => {
+      const { items, page_info } = paginate(fixtures.issues, req.query);
+      res.json({ [module]: items, page_info });
+    });
+
+    api.get(`/portal/:portalId/projects/:projectId/${module}`, requirePortal, (req, res) => {
+      const project = findProject(req, res);
+      if (!project) return;
+      const { items, page_info } = paginate(fixtures.issues.filter(i => i.project.id === project.id), req.query);
+      res.json({ [module]: items, page_info });
+    });
+  }
+
+  api.get("/portal/:portalId/timelogs", requirePortal, (req, res) => {
+    const { users_list } = req.query;
+    const logs = fixtures.timelogs.filter(l => !users_list || users_list === "all" || l.owner.id === String(users_list));
+    const { items, page_info } = paginate(logs, req.query);
+    res.json({ timelogs: items, page_info });
+  });
+
+  // Portal-less time log report, grouped by date
+  api.get("/logs", (req, res) => {
+    const byDate = new Map();
+    for (const log of fixtures.timelogs) {
+      if (!byDate.has(log.work_date)) byDate.set(log.work_date, []);
+      byDate.get(log.work_date).push({
+        hours: log.hours,
+        owner_name: log.owner.name,
+        project: log.project,
+        task: log.task,
+        bill_status: "Billable"
+      });
+    }
+    res.json({
+      timelogs: {
+        date: [...byDate].map(([date, tasklogs]) => ({ date, tasklogs }))
+      }
+    });
+  });
+
+  app.use("/api/v3", api);
+
+  app.use((req, res) => {
+    res.status(404).json(zohoError(404, "URL_NOT_FOUND", "INVALID_URL"));
+  });
+
+  // -------------------------
+  // LIFECYCLE
+  // -------------------------
+
+  mock.start = (port = 0) => new Promise((resolve, reject) => {
+    mock.server = app.listen(port, "127.0.0.1", () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}`;
+      mock.apiBaseUrl = `${mock.url}/api/v3`;
+      resolve(mock);
+    });
+    mock.server.on("error", reject);
+  });
+
+  mock.close = () => new Promise((resolve) => {
+    if (!mock.server) return resolve();
+    mock.server.closeAllConnections();
+    mock.server.close(() => resolve());
+  });
+
+  return mock;
+}
+
+/**
+ * Create and start a mock Zoho server on a free port
+ */
+async function startMockZoho(options = {}) {
+  return createMockZoho(options).start(options.port);
+}
+
+module.exports = {
+  createMockZoho,
+  startMockZoho
+};
+
+if (require.main === module) {
+  startMockZoho({ port: Number(process.env.MOCK_ZOHO_PORT) || 4100 }).then((mock) => {
+    const { accessToken, refreshToken } = mock.issueTokens();
+    console.log(`Mock Zoho listening on ${mock.url}`);
+    console.log(`  ZOHO_ACCOUNTS_URL=${mock.url}`);
+    console.log(`  ZOHO_API_BASE_URL=${mock.apiBaseUrl}`);
+    console.log(`  access token:  ${accessToken}`);
+    console.log(`  refresh token: ${refreshToken}`);
+  });
+}
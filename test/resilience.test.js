@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { CircuitBreaker } = require("../src/circuitBreaker");
+const { ConcurrencyQueue } = require("../src/rateLimiter");
+const { ZohoRateLimitedError } = require("../src/errors");
+const { runWithTurnBudget, remainingTurnTime, noteStaleData, trackStaleData } = require("../src/turnBudget");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("CircuitBreaker", () => {
+  it("opens after the failure threshold", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it("lets one trial call through after the cooldown", async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 20 });
+    breaker.recordFailure();
+    await sleep(30);
+
+    assert.equal(breaker.state, "half-open");
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, "closed");
+  });
+
+  it("reopens when the trial call fails", async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 20 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    await sleep(30);
+
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, "open");
+    assert.ok(breaker.retryInMs() > 0);
+  });
+});
+
+describe("ConcurrencyQueue", () => {
+  // A task that counts how many tasks are running at once
+  function tracker() {
+    const stats = { active: 0, max: 0 };
+    stats.task = async () => {
+      stats.active++;
+      stats.max = Math.max(stats.max, stats.active);
+      await sleep(5);
+      stats.active--;
+    };
+    return stats;
+  }
+
+  it("runs at most `concurrency` tasks at once", async () => {
+    const queue = new ConcurrencyQueue(2, 10);
+    const stats = tracker();
+    await Promise.all(Array.from({ length: 6 }, () => queue.run(stats.task)));
+    assert.equal(stats.max, 2);
+    assert.equal(queue.isIdle(), true);
+  });
+
+  it("hands a freed slot to the waiting task, not to a new caller", async () => {
+    const queue = new ConcurrencyQueue(1, 10);
+    const stats = tracker();
+    const runs = [queue.run(stats.task), queue.run(stats.task)];
+
+    // A new caller arrives right as the first task wakes the waiting one
+    const wake = queue.waiting[0];
+    queue.waiting[0] = () => {
+      wake();
+      runs.push(queue.run(stats.task));
+    };
+
+    await Promise.all(runs);
+    await Promise.all(runs); // again, now that the late caller is in `runs` too
+    assert.equal(runs.length, 3);
+    assert.equal(stats.max, 1);
+    assert.equal(queue.isIdle(), true);
+  });
+
+  it("refuses new tasks when too many are waiting", async () => {
+    const queue = new ConcurrencyQueue(1, 1);
+    const stats = tracker();
+    const runs = [queue.run(stats.task), queue.run(stats.task)];
+    await assert.rejects(queue.run(stats.task), (error) =>
+      error instanceof ZohoRateLimitedError && /Too many Zoho requests queued/.test(error.message));
+    await Promise.all(runs);
+  });
+});
+
+describe("turn budget", () => {
+  it("has no deadline outside a turn", () => {
+    assert.equal(remainingTurnTime(), Infinity);
+  });
+
+  it("keeps the outer deadline for nested budgets", async () => {
+    await runWithTurnBudget(100, async () => {
+      await runWithTurnBudget(10000, async () => {
+        assert.ok(remainingTurnTime() <= 100);
+      });
+    });
+  });
+
+  it("reports the oldest stale data served", async () => {
+    const { value, staleSince } = await trackStaleData(async () => {
+      noteStaleData(2000);
+      await sleep(1);
+      noteStaleData(1000);
+      return "answer";
+    });
+    assert.equal(value, "answer");
+    assert.equal(staleSince, 1000);
+
+    assert.equal((await trackStaleData(async () => "fresh")).staleSince, null);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const K1 = crypto.randomBytes(32).toString("base64");
+const K2 = crypto.randomBytes(32).toString("base64");
+
+// tokenCrypto reads its keys from the config when it loads, so each key setup
+// needs a fresh copy of both modules
+function loadTokenCrypto({ keys, activeKeyId }) {
+  if (keys === undefined) delete process.env.TOKEN_ENCRYPTION_KEYS;
+  else process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  if (activeKeyId === undefined) delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  else process.env.TOKEN_ENCRYPTION_KEY_ID = activeKeyId;
+
+  delete require.cache[require.resolve("../src/config")];
+  delete require.cache[require.resolve("../src/tokenCrypto")];
+  return require("../src/tokenCrypto");
+}
+
+afterEach(() => {
+  delete process.env.TOKEN_ENCRYPTION_KEYS;
+  delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+});
+
+describe("token encryption", () => {
+  it("round-trips a token without leaving it readable", () => {
+    const { encryptToken, decryptToken, isEncrypted } = loadTokenCrypto({ keys: `k1:${K1}` });
+    const sealed = encryptToken("refresh-secret", "refreshToken");
+
+    assert.ok(isEncrypted(sealed));
+    assert.match(sealed, /^enc:v1:k1:/);
+    assert.doesNotMatch(sealed, /refresh-secret/);
+    assert.equal(decryptToken(sealed, "refreshToken"), "refresh-secret");
+  });
+
+  it("seals each value with its own data key", () => {
+    const { encryptToken } = loadTokenCrypto({ keys: `k1:${K1}` });
+    assert.notEqual(encryptToken("same", "accessToken"), encryptToken("same", "accessToken"));
+  });
+
+  it("binds the value to its field", () => {
+    const { encryptToken, decryptToken } = loadTokenCrypto({ keys: `k1:${K1}` });
+    const sealed = encryptToken("access-secret", "accessToken");
+    assert.throws(() => decryptToken(sealed, "refreshToken"));
+  });
+
+  it("rejects a tampered value", () => {
+    const { encryptToken, decryptToken } = loadTokenCrypto({ keys: `k1:${K1}` });
+    const sealed = encryptToken("access-secret", "accessToken");
+    const last = sealed.at(-2) === "A" ? "B" : "A";
+    assert.throws(() => decryptToken(`${sealed.slice(0, -2)}${last}${sealed.at(-1)}`, "accessToken"));
+  });
+
+  it("passes plain-text values through until they are migrated", () => {
+    const { decryptToken, needsReencryption } = loadTokenCrypto({ keys: `k1:${K1}` });
+    assert.equal(decryptToken("legacy-plain", "accessToken"), "legacy-plain");
+    assert.equal(needsReencryption("legacy-plain"), true);
+    assert.equal(needsReencryption(null), false);
+  });
+
+  it("refuses to store tokens when no key is configured", () => {
+    const { encryptToken } = loadTokenCrypto({});
+    assert.throws(() => encryptToken("access-secret", "accessToken"), /TOKEN_ENCRYPTION_KEYS is not configured/);
+  });
+
+  it("rejects a key that isn't 32 bytes", () => {
+    assert.throws(() => loadTokenCrypto({ keys: `k1:${crypto.randomBytes(16).toString("base64")}` }), /must be 32 bytes/);
+  });
+});
+
+describe("key rotation", () => {
+  it("reads old values and re-wraps them under the new active key", () => {
+    const before = loadTokenCrypto({ keys: `k1:${K1}` }).encryptToken("refresh-secret", "refreshToken");
+
+    const rotated = loadTokenCrypto({ keys: `k1:${K1},k2:${K2}`, activeKeyId: "k2" });
+    assert.equal(rotated.decryptToken(before, "refreshToken"), "refresh-secret");
+    assert.equal(rotated.needsReencryption(before), true);
+
+    const rewrapped = rotated.rewrapToken(before, "refreshToken");
+    assert.match(rewrapped, /^enc:v1:k2:/);
+    assert.equal(rotated.needsReencryption(rewrapped), false);
+    assert.equal(rotated.rewrapToken(rewrapped, "refreshToken"), rewrapped);
+
+    // Once everything is re-wrapped the old key can be retired
+    const retired = loadTokenCrypto({ keys: `k2:${K2}` });
+    assert.equal(retired.decryptToken(rewrapped, "refreshToken"), "refresh-secret");
+    assert.throws(() => retired.decryptToken(before, "refreshToken"), /"k1" is not configured/);
+  });
+
+  it("encrypts plain-text values when re-wrapping", () => {
+    const { rewrapToken, decryptToken } = loadTokenCrypto({ keys: `k1:${K1}` });
+    const sealed = rewrapToken("legacy-plain", "accessToken");
+    assert.match(sealed, /^enc:v1:k1:/);
+    assert.equal(decryptToken(sealed, "accessToken"), "legacy-plain");
+  });
+});
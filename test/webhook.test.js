@@ -0,0 +1,171 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const express = require("express");
+const { startTestEnvironment, signIn } = require("./helpers");
+const { PORTAL_ID } = require("./mockZoho/fixtures");
+
+let mock;
+let zoho;
+let storage;
+let webhook;
+let eventBus;
+let server;
+let webhookUrl;
+
+before(async () => {
+  mock = await startTestEnvironment();
+  zoho = require("../src/zoho");
+  storage = require("../src/storage");
+  webhook = require("../src/zohoWebhook");
+  eventBus = require("../src/eventBus");
+
+  // Same middleware as the route in src/index.js
+  const app = express();
+  app.use(express.json());
+  app.post("/api/zoho/webhook", express.urlencoded({ extended: true }), webhook.createZohoWebhookHandler());
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  webhookUrl = `http://127.0.0.1:${server.address().port}/api/zoho/webhook`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  storage.clear();
+  zoho.invalidateZohoCache();
+  webhook.resetSeenEvents();
+});
+
+function deliver(body, { secret = "test-webhook-secret", query = "", headers = {} } = {}) {
+  return axios.post(`${webhookUrl}${query}`, body, {
+    headers: { ...(secret && { "X-Zoho-Webhook-Secret": secret }), ...headers },
+    validateStatus: () => true
+  });
+}
+
+// Events published while `fn` runs
+async function collectEvents(name, fn) {
+  const events = [];
+  const unsubscribe = eventBus.onZohoEvent(name, event => events.push(event));
+  try {
+    await fn();
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+const taskUpdated = {
+  event: "task_updated",
+  portal_id: PORTAL_ID,
+  project_id: "2001",
+  task_id: "3001",
+  name: "Design home page",
+  modified_by: "Raj Kumar",
+  modified_time: "2025-01-15T10:00:00Z"
+};
+
+describe("POST /api/zoho/webhook", () => {
+  it("rejects deliveries without the shared secret", async () => {
+    const events = await collectEvents("*", async () => {
+      assert.equal((await deliver(taskUpdated, { secret: null })).status, 401);
+      assert.equal((await deliver(taskUpdated, { secret: "wrong" })).status, 401);
+    });
+    assert.equal(events.length, 0);
+  });
+
+  it("publishes a normalized event", async () => {
+    const events = await collectEvents("task.updated", async () => {
+      const response = await deliver(taskUpdated);
+      assert.equal(response.status, 200);
+      assert.equal(response.data.status, "published");
+    });
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(
+      { ...events[0], id: undefined, receivedAt: undefined, data: undefined },
+      {
+        id: undefined,
+        type: "task.updated",
+        entity: "task",
+        action: "updated",
+        portalId: PORTAL_ID,
+        projectId: "2001",
+        entityId: "3001",
+        taskId: "3001",
+        issueId: null,
+        name: "Design home page",
+        changedBy: "Raj Kumar",
+        occurredAt: "2025-01-15T10:00:00.000Z",
+        receivedAt: undefined,
+        data: undefined
+      }
+    );
+  });
+
+  it("accepts form bodies and the secret as a URL parameter", async () => {
+    const form = new URLSearchParams({ event: "Bug Created", portal_id: PORTAL_ID, project_id: "2001", bug_id: "7001" });
+    const events = await collectEvents("issue", async () => {
+      const response = await deliver(form.toString(), {
+        secret: null,
+        query: "?secret=test-webhook-secret",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" }
+      });
+      assert.equal(response.status, 200);
+    });
+
+    assert.equal(events[0].type, "issue.created");
+    assert.equal(events[0].entityId, "7001");
+  });
+
+  it("reads comment events on tasks as comments", async () => {
+    const events = await collectEvents("comment.created", () =>
+      deliver({ event: "task_comment_added", portal_id: PORTAL_ID, task_id: "3001", comment_id: "9001" })
+    );
+    assert.equal(events[0].entityId, "9001");
+    assert.equal(events[0].taskId, "3001");
+  });
+
+  it("publishes a redelivered event only once", async () => {
+    const events = await collectEvents("*", async () => {
+      await deliver(taskUpdated);
+      const again = await deliver(taskUpdated);
+      assert.equal(again.status, 200);
+      assert.equal(again.data.status, "duplicate");
+
+      await deliver({ ...taskUpdated, event_id: "evt-1" });
+      await deliver({ ...taskUpdated, event_id: "evt-1", modified_time: "2025-01-15T10:00:05Z" });
+    });
+    assert.equal(events.length, 2);
+  });
+
+  it("acknowledges events it doesn't handle", async () => {
+    const response = await deliver({ event: "milestone_created", portal_id: PORTAL_ID, id: "1" });
+    assert.equal(response.status, 200);
+    assert.equal(response.data.status, "ignored");
+  });
+
+  it("rejects events without the changed item's id", async () => {
+    const response = await deliver({ event: "task_updated", portal_id: PORTAL_ID });
+    assert.equal(response.status, 400);
+  });
+
+  it("drops cached projects of the portal when a task changes", async () => {
+    await signIn(mock, "teams-raj");
+    const token = await zoho.getUserToken("teams-raj");
+    await zoho.getProjects(token, PORTAL_ID);
+    await zoho.getProjects(token, PORTAL_ID);
+    assert.equal(mock.requestsTo(/\/projects$/).length, 1);
+
+    await collectEvents("task", () => deliver(taskUpdated));
+    await zoho.getProjects(token, PORTAL_ID);
+    assert.equal(mock.requestsTo(/\/projects$/).length, 2);
+  });
+});
@@ -0,0 +1,619 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestEnvironment, signIn } = require("./helpers");
+const { PORTAL_ID, OTHER_PORTAL_ID } = require("./mockZoho/fixtures");
+
+let mock;
+let zoho;
+let storage;
+let errors;
+let capabilities;
+let turnBudget;
+
+before(async () => {
+  mock = await startTestEnvironment();
+  zoho = require("../src/zoho");
+  storage = require("../src/storage");
+  errors = require("../src/errors");
+  capabilities = require("../src/capabilities");
+  turnBudget = require("../src/turnBudget");
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  mock.reset();
+  storage.clear();
+  zoho.invalidateZohoCache();
+  zoho.resetZohoResilience();
+  await capabilities.forgetCapabilities();
+});
+
+describe("auth helpers", () => {
+  it("returns the stored token", async () => {
+    await signIn(mock, "teams-raj");
+    const token = await zoho.getUserToken("teams-raj");
+    assert.equal(token.userId, "5002");
+  });
+
+  it("asks for sign-in when there is no token", async () => {
+    await assert.rejects(zoho.getUserToken("teams-nobody"), errors.AuthRequiredError);
+  });
+
+  it("refreshes a token that is about to expire", async () => {
+    const stored = await signIn(mock, "teams-raj", undefined, { expiresIn: 60 });
+    const token = await zoho.getUserToken("teams-raj");
+    assert.notEqual(token.accessToken, stored.accessToken);
+    assert.equal(mock.requestsTo("/oauth/v2/token").length, 1);
+  });
+
+  it("keeps using a still-valid token when the early refresh fails", async () => {
+    const stored = await signIn(mock, "teams-raj", undefined, { expiresIn: 60 });
+    mock.failNext({ path: "/oauth/v2/token", status: 500 });
+
+    const token = await zoho.getUserToken("teams-raj");
+    assert.equal(token.accessToken, stored.accessToken);
+    assert.equal(mock.requestsTo("/oauth/v2/token").length, 1);
+  });
+
+  it("fails when the refresh of an expired token fails", async () => {
+    await signIn(mock, "teams-raj", undefined, { expiresIn: -60 });
+    mock.failNext({ path: "/oauth/v2/token", status: 500 });
+
+    await assert.rejects(zoho.getUserToken("teams-raj"), (error) => error.response?.status === 500);
+  });
+
+  it("marks the token revoked when Zoho rejects the refresh token", async () => {
+    const stored = await signIn(mock, "teams-raj", undefined, { expiresIn: 60 });
+    mock.revokeRefreshToken(stored.refreshToken);
+
+    await assert.rejects(zoho.getUserToken("teams-raj"), errors.TokenRevokedError);
+    assert.equal((await storage.getUserToken("teams-raj")).revoked, true);
+  });
+
+  it("refreshes once and retries after a 401", async () => {
+    await signIn(mock, "teams-raj");
+    mock.expireAccessTokens();
+
+    const portals = await zoho.getPortals("teams-raj");
+    assert.equal(portals.length, 2);
+    assert.equal(mock.requestsTo("/oauth/v2/token").length, 1);
+  });
+});
+
+describe("OAuth sign-in and sign-out", () => {
+  it("exchanges an authorization code for the user in the signed state", async () => {
+    const url = new URL(zoho.getAuthorizationUrl("teams-asha"));
+    assert.equal(url.origin, mock.url);
+
+    const stored = await zoho.completeAuthorization("code-asha", url.searchParams.get("state"));
+    assert.equal(stored.teamsChatId, "teams-asha");
+    assert.equal(stored.userId, "5001");
+    assert.equal(stored.email, "asha@example.com");
+  });
+
+  it("takes the data center from api_domain when the callback names no accounts server", async (t) => {
+    const axios = require("axios");
+    const config = require("../src/config");
+    const accountsUrl = config.zohoAccountsUrl;
+    config.zohoAccountsUrl = "https://accounts.zoho.in";
+    t.after(() => { config.zohoAccountsUrl = accountsUrl; });
+
+    // A real Zoho default host can't be reached from the tests; answer as an EU account would
+    const posted = [];
+    t.mock.method(axios, "post", async (url) => {
+      posted.push(url);
+      return { data: { access_token: "access-eu", refresh_token: "refresh-eu", expires_in: 3600, api_domain: "https://www.zohoapis.eu" } };
+    });
+    t.mock.method(axios, "get", async () => ({ data: { ZUID: "5001", Email: "asha@example.com" } }));
+
+    const state = new URL(zoho.getAuthorizationUrl("teams-asha")).searchParams.get("state");
+    const stored = await zoho.completeAuthorization("code-asha", state);
+    assert.deepEqual(posted, ["https://accounts.zoho.in/oauth/v2/token"]);
+    assert.equal(stored.dataCenter, "eu");
+  });
+
+  it("rejects a tampered state", async () => {
+    const state = new URL(zoho.getAuthorizationUrl("teams-asha")).searchParams.get("state");
+    await assert.rejects(zoho.completeAuthorization("code-asha", `${state}x`), /signature/);
+  });
+
+  it("rejects an accounts server that isn't Zoho", async () => {
+    const state = new URL(zoho.getAuthorizationUrl("teams-asha")).searchParams.get("state");
+    await assert.rejects(
+      zoho.completeAuthorization("code-asha", state, "https://evil.example.com"),
+      /Unknown Zoho accounts server/
+    );
+  });
+
+  it("revokes and deletes the token on sign-out", async () => {
+    const stored = await signIn(mock, "teams-raj");
+    const result = await zoho.signOut("teams-raj");
+
+    assert.deepEqual(result, { hadToken: true, revokedAtZoho: true, alreadyRevoked: false });
+    assert.ok(mock.revokedRefreshTokens.has(stored.refreshToken));
+    assert.equal(await storage.getUserToken("teams-raj"), null);
+  });
+
+  it("reports when there was nothing to sign out of", async () => {
+    assert.deepEqual(await zoho.signOut("teams-nobody"), { hadToken: false, revokedAtZoho: false, alreadyRevoked: false });
+  });
+
+  it("reports a token Zoho had already revoked without calling Zoho again", async () => {
+    const stored = await signIn(mock, "teams-raj", undefined, { expiresIn: 60 });
+    mock.revokeRefreshToken(stored.refreshToken);
+    await assert.rejects(zoho.getUserToken("teams-raj"), errors.TokenRevokedError);
+
+    const result = await zoho.signOut("teams-raj");
+    assert.deepEqual(result, { hadToken: true, revokedAtZoho: false, alreadyRevoked: true });
+    assert.equal(mock.requestsTo("/oauth/v2/token/revoke").length, 0);
+    assert.equal(await storage.getUserToken("teams-raj"), null);
+  });
+});
+
+describe("portals", () => {
+  it("lists portals and picks the configured one first", async () => {
+    await signIn(mock, "teams-raj");
+    const portals = await zoho.getPortals("teams-raj");
+    assert.deepEqual(portals.map(p => p.id), [PORTAL_ID, OTHER_PORTAL_ID]);
+
+    assert.equal(await zoho.getActivePortalId("teams-raj"), PORTAL_ID);
+  });
+
+  it("remembers the portal the user switched to", async () => {
+    await signIn(mock, "teams-raj");
+    await zoho.setActivePortal("teams-raj", { id: OTHER_PORTAL_ID, name: "Acme Labs" });
+    assert.equal(await zoho.getActivePortalId("teams-raj"), OTHER_PORTAL_ID);
+  });
+});
+
+describe("users and owners", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("maps portal users", async () => {
+    const users = await zoho.getUsers("teams-raj", PORTAL_ID);
+    const carla = users.find(u => u.name === "Carla Client");
+    assert.equal(users.length, 5);
+    assert.equal(carla.id, "1004");
+    assert.equal(carla.isClientUser, true);
+  });
+
+  it("prefers an exact name over a partial one", async () => {
+    assert.deepEqual(await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "raj kumar"), { id: "1002", name: "Raj Kumar" });
+    assert.deepEqual(await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "Rajesh"), { id: "1003", name: "Rajesh Nair" });
+  });
+
+  it("asks which user was meant when a partial name matches several", async () => {
+    assert.deepEqual(await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "Raj"), { multiple: ["Raj Kumar", "Rajesh Nair"] });
+  });
+
+  it("matches an owner by email", async () => {
+    assert.deepEqual(await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "Rajesh@example.com"), { id: "1003", name: "Rajesh Nair" });
+  });
+
+  it("returns null for an unknown owner", async () => {
+    assert.equal(await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "Nobody"), null);
+  });
+
+  it("checks project membership", async () => {
+    assert.equal(await zoho.isProjectMember("teams-raj", PORTAL_ID, "2001", "1002"), true);
+    assert.equal(await zoho.isProjectMember("teams-raj", PORTAL_ID, "2002", "1002"), false);
+  });
+
+  it("serves repeat lookups from the cache until invalidated", async () => {
+    await zoho.getUsers("teams-raj", PORTAL_ID);
+    await zoho.resolveOwnerId("teams-raj", PORTAL_ID, "Raj");
+    assert.equal(mock.requestsTo(`/portal/${PORTAL_ID}/users`).length, 1);
+
+    zoho.invalidateZohoCache({ kind: "users", portalId: PORTAL_ID });
+    await zoho.getUsers("teams-raj", PORTAL_ID);
+    assert.equal(mock.requestsTo(`/portal/${PORTAL_ID}/users`).length, 2);
+  });
+});
+
+describe("tasks", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("returns only the owner's open tasks", async () => {
+    const tasks = await zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, { id: "1002", name: "Raj Kumar" });
+    assert.deepEqual(tasks.map(t => t.id).sort(), ["3001", "3002"]);
+    assert.ok(tasks.every(t => !t.isCompleted));
+  });
+
+  it("fetches every page", async () => {
+    const tasks = await zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, { id: "1003", name: "Rajesh Nair" });
+    assert.equal(tasks.length, 120);
+    assert.equal(mock.requestsTo(`/portal/${PORTAL_ID}/tasks`).length, 2);
+  });
+
+  it("reads the status workflow from the task layout", async () => {
+    const statuses = await zoho.getTaskStatuses("teams-raj", PORTAL_ID, "2001");
+    assert.deepEqual(statuses.map(s => s.name), ["Open", "In Progress", "Closed"]);
+    assert.equal(statuses.find(s => s.name === "Closed").isClosed, true);
+
+    const layout = await zoho.getTaskLayout("teams-raj", PORTAL_ID, "2001");
+    assert.equal(layout.layout_name, "Standard Layout");
+    assert.equal(mock.requestsTo("/tasklayouts").length, 1);
+  });
+
+  it("finds task lists by name", async () => {
+    const found = await zoho.findTasklist("teams-raj", PORTAL_ID, "2001", "launch");
+    assert.deepEqual(found, { tasklist: { id: "5102", name: "Launch", isDefault: false } });
+
+    const missing = await zoho.findTasklist("teams-raj", PORTAL_ID, "2001", "backlog");
+    assert.equal(missing.notFound, true);
+    assert.deepEqual(missing.tasklists.map(l => l.name), ["Design", "Launch"]);
+    assert.equal(mock.requestsTo("/tasklists").length, 1);
+  });
+
+  it("searches tasks by several criteria", async () => {
+    const search = async (criteria) =>
+      (await zoho.searchTasks("teams-raj", PORTAL_ID, criteria)).tasks.map(t => t.id);
+
+    assert.deepEqual(await search({ projectId: "2001", priority: "high" }), ["3001"]);
+    assert.deepEqual(JSON.parse(mock.requestsTo("/projects/2001/tasks")[0].query.filter).criteria,
+      [{ field_name: "priority", criteria_condition: "is", value: ["high"] }]);
+
+    assert.deepEqual(await search({ tag: "Content", status: "open" }), ["3002", "3004"]);
+    assert.deepEqual(await search({ status: "in progress" }), ["3001"]);
+    assert.deepEqual(await search({ projectId: "2001", keyword: "COPY" }), ["3002"]);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.deepEqual(await search({ projectId: "2001", dueFrom: today, dueTo: nextWeek }), ["3002"]);
+  });
+
+  it("groups overdue tasks by owner and project", async () => {
+    const report = await zoho.getOverdueTasks("teams-raj", PORTAL_ID);
+    assert.equal(report.total, 4);
+    assert.deepEqual(report.owners.map(o => [o.owner, o.count]), [["Rajesh Nair", 3], ["Raj Kumar", 1]]);
+
+    const [mobile] = report.owners[0].projects;
+    assert.equal(mobile.project, "Mobile App");
+    assert.deepEqual(mobile.tasks.map(t => [t.name, t.daysOverdue]), [["Mobile screen 3", 3], ["Mobile screen 2", 2], ["Mobile screen 1", 1]]);
+
+    const scoped = await zoho.getOverdueTasks("teams-raj", PORTAL_ID, { ownerId: "1002" });
+    assert.equal(scoped.total, 1);
+    assert.equal(scoped.owners[0].projects[0].tasks[0].name, "Design home page");
+  });
+
+  it("creates a task and links to it", async () => {
+    const task = await zoho.createTask("teams-raj", PORTAL_ID, "2001", {
+      name: "Add FAQ page",
+      tasklistId: "5102",
+      ownerIds: ["1001", "1002"],
+      startDate: "2026-11-02",
+      dueDate: "2026-11-30",
+      priority: "high"
+    });
+
+    const [request] = mock.requestsTo("/projects/2001/tasks");
+    assert.equal(request.method, "POST");
+    assert.deepEqual(request.body.owners_and_work, { owners: [{ zpuid: "1001" }, { zpuid: "1002" }] });
+    assert.equal(request.body.end_date, "2026-11-30T00:00:00.000Z");
+
+    assert.equal(task.name, "Add FAQ page");
+    assert.equal(task.tasklist, "Launch");
+    assert.deepEqual(task.owners.map(o => o.name), ["Asha Admin", "Raj Kumar"]);
+    assert.match(task.url, new RegExp(`/portal/${PORTAL_ID}#taskdetail/2001/5102/${task.id}$`));
+  });
+
+  it("reads a task in full", async () => {
+    const task = await zoho.getTaskDetails("teams-raj", PORTAL_ID, "2001", "3001");
+
+    assert.deepEqual(task.owners, [{ id: "1002", name: "Raj Kumar", workHours: 16 }]);
+    assert.equal(task.totalWorkHours, 16);
+    assert.deepEqual(task.subtasks.map(t => [t.name, t.isCompleted]), [["Hero banner", true], ["Navigation menu", false]]);
+    assert.equal(task.attachmentCount, 2);
+    assert.deepEqual(task.successors.map(t => t.name), ["Write copy"]);
+    assert.equal(task.isBlocked, false);
+  });
+
+  it("flags a task blocked by an open predecessor", async () => {
+    const blocked = await zoho.getTaskDetails("teams-raj", PORTAL_ID, "2001", "3002");
+    assert.equal(blocked.isBlocked, true);
+    assert.deepEqual(blocked.blockedBy, ["Design home page"]);
+    assert.equal(blocked.totalWorkHours, 6.5);
+
+    const ready = await zoho.getTaskDetails("teams-raj", PORTAL_ID, "2001", "3004");
+    assert.equal(ready.predecessors[0].status, "Closed");
+    assert.equal(ready.isBlocked, false);
+  });
+
+  it("links a subtask to its parent", async () => {
+    const task = await zoho.getTaskDetails("teams-raj", PORTAL_ID, "2001", "3102");
+    assert.equal(task.parentTaskId, "3001");
+    assert.deepEqual(task.parent, { id: "3001", name: "Design home page", status: "In Progress" });
+  });
+
+  it("reads comments newest first, as plain text", async () => {
+    const { comments, total } = await zoho.getTaskComments("teams-raj", PORTAL_ID, "2001", "3001");
+    assert.equal(total, 2);
+    assert.deepEqual(comments.map(c => c.author), ["Asha Admin", "Raj Kumar"]);
+    assert.equal(comments[0].content, "Looks good, @Raj Kumar. Ship it & move on.");
+  });
+
+  it("turns @mentions into Zoho mention markup", async () => {
+    const result = await zoho.addTaskComment("teams-raj", PORTAL_ID, "2001", "3002",
+      "@Raj please check with @Asha Admin, not @nobody or raj@example.com");
+
+    const [request] = mock.requestsTo("/tasks/3002/comments");
+    assert.equal(request.body.comment, "zp[@user:1002] please check with zp[@user:1001], not @nobody or raj@example.com");
+    assert.deepEqual(result.mentioned.map(u => u.name), ["Raj Kumar", "Asha Admin"]);
+    assert.deepEqual(result.unresolved, ["@nobody"]);
+    assert.equal(result.comment.author, "Raj Kumar");
+  });
+});
+
+describe("projects", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("lists projects", async () => {
+    const token = await zoho.getUserToken("teams-raj");
+    const projects = await zoho.getProjects(token, PORTAL_ID);
+    assert.equal(projects.length, 3);
+  });
+
+  it("finds a project by name with its issues", async () => {
+    const project = await zoho.getProjectByName("teams-raj", PORTAL_ID, "website");
+    assert.equal(project.id, "2001");
+    assert.equal(project.owner, "Asha Admin");
+    assert.equal(project.issues.length, 2);
+  });
+
+  it("reports ambiguous and unknown names", async () => {
+    assert.deepEqual(await zoho.getProjectByName("teams-raj", PORTAL_ID, "mobile"), { multiple: ["Mobile App", "Mobile Backend"] });
+    assert.deepEqual(await zoho.getProjectByName("teams-raj", PORTAL_ID, "nothing"), { notFound: true });
+  });
+
+  it("prefers an exact name when finding a project", async () => {
+    assert.deepEqual(await zoho.findProject("teams-raj", PORTAL_ID, "mobile app"), { project: { id: "2002", name: "Mobile App" } });
+    assert.deepEqual(await zoho.findProject("teams-raj", PORTAL_ID, "mobile"), { multiple: ["Mobile App", "Mobile Backend"] });
+  });
+
+  it("lists the issues of a project", async () => {
+    const issues = await zoho.getProjectIssues("teams-raj", PORTAL_ID, "Mobile App");
+    assert.deepEqual(issues.map(i => i.name), ["App crashes on login"]);
+    assert.equal(issues[0].severity, "Critical");
+  });
+});
+
+describe("time logs", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  // Extra entries for Raj, to push the list past one page
+  function addTimeLogs(count) {
+    const [, raj] = mock.fixtures.users;
+    for (let i = 0; i < count; i++) {
+      mock.fixtures.timelogs.push({
+        id: String(20000 + i),
+        work_date: mock.fixtures.timelogs[0].work_date,
+        hours: "1",
+        owner: { id: raj.zpuid, name: raj.full_name },
+        project: { name: "Website Redesign" },
+        task: { name: "Design home page" }
+      });
+    }
+  }
+
+  it("returns one user's time logs", async () => {
+    const { items: logs, truncated } = await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    assert.equal(logs.length, 2);
+    assert.equal(logs.reduce((sum, l) => sum + l.hours, 0), 9.5);
+    assert.equal(truncated, false);
+  });
+
+  it("returns everyone's time logs for the month", async () => {
+    const { items: logs } = await zoho.getAllTimeLogs("teams-raj", PORTAL_ID);
+    assert.deepEqual([...new Set(logs.map(l => l.userName))].sort(), ["Raj Kumar", "Rajesh Nair"]);
+  });
+
+  it("fetches every page of time logs", async () => {
+    addTimeLogs(250);
+    const { items: logs, truncated } = await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    assert.equal(logs.length, 252);
+    assert.equal(truncated, false);
+    assert.equal(mock.requestsTo("/timelogs").length, 2);
+  });
+
+  it("says when there were too many time logs to fetch", async () => {
+    addTimeLogs(2100);
+    const { items: logs, truncated } = await zoho.getAllTimeLogs("teams-raj", PORTAL_ID);
+    assert.equal(logs.length, 2000);
+    assert.equal(truncated, true);
+  });
+});
+
+describe("portal capabilities", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("probes the time log endpoint once and then calls it directly", async () => {
+    await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1003", "2025-01-01", "2025-01-31");
+
+    assert.equal(mock.requestsTo("/timelogs").length, 2);
+    assert.equal(mock.requestsTo("/timesheet").length, 0);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, "timelogs");
+  });
+
+  it("falls back to the next shape the portal supports and remembers it", async () => {
+    mock.failNext({ path: "/timelogs", status: 404, body: { error: { title: "URL_NOT_FOUND" } } });
+    const { items: logs } = await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    assert.ok(logs.length > 0);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, "logs");
+
+    mock.reset();
+    await zoho.getAllTimeLogs("teams-raj", PORTAL_ID);
+    assert.deepEqual(mock.requests.map(r => r.path), ["/api/v3/logs"]);
+  });
+
+  it("surfaces real errors once the shape is known", async () => {
+    await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    mock.failNext({ path: "/timelogs", status: 500 });
+
+    // A range not fetched before, so there is no last good answer to fall back on
+    await assert.rejects(
+      zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-02-01", "2025-02-28"),
+      errors.ZohoUnavailableError
+    );
+    assert.equal(mock.requestsTo("/timesheet").length, 0);
+  });
+
+  it("doesn't take a bad request as a missing endpoint", async () => {
+    mock.failNext({ path: "/timelogs", status: 400, body: { error: { title: "INVALID_INPUT" } } });
+    await assert.rejects(
+      zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31"),
+      errors.ZohoValidationError
+    );
+    assert.equal(mock.requestsTo("/timesheet").length, 0);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, undefined);
+
+    const { items: logs } = await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    assert.ok(logs.length > 0);
+  });
+
+  it("records a capability as unsupported only from the portal probe", async () => {
+    const notFound = { status: 404, body: { error: { title: "URL_NOT_FOUND" } } };
+    mock.failNext({ path: `/portal/${PORTAL_ID}/issues`, ...notFound });
+    mock.failNext({ path: `/portal/${PORTAL_ID}/bugs`, ...notFound });
+    await assert.rejects(zoho.getProjectIssues("teams-raj", PORTAL_ID, "Mobile App"), errors.ZohoNotFoundError);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).issues, undefined);
+
+    mock.failNext({ path: `/portal/${PORTAL_ID}/issues`, ...notFound });
+    mock.failNext({ path: `/portal/${PORTAL_ID}/bugs`, ...notFound });
+    const report = await zoho.probePortalCapabilities("teams-raj", PORTAL_ID);
+    assert.equal(report.issues, false);
+    assert.ok(report.checkedAt.issues);
+  });
+
+  it("keeps project and portal issue endpoints apart", async () => {
+    mock.failNext({ path: "/projects/2001/issues", status: 404, body: { error: { title: "PROJECT_NOT_FOUND" } } });
+    mock.failNext({ path: "/projects/2001/bugs", status: 404, body: { error: { title: "PROJECT_NOT_FOUND" } } });
+    await zoho.getProjectByName("teams-raj", PORTAL_ID, "Website");
+    assert.equal(mock.requestsTo("/projects/2001/bugs").length, 1);
+
+    const issues = await zoho.getProjectIssues("teams-raj", PORTAL_ID, "Mobile App");
+    assert.equal(issues.length, 1);
+    const report = await capabilities.getCapabilities(PORTAL_ID);
+    assert.equal(report.projectIssues, undefined);
+    assert.equal(report.issues, "issues");
+  });
+
+  it("checks a remembered capability again once it is old", async (t) => {
+    mock.failNext({ path: "/timelogs", status: 404, body: { error: { title: "URL_NOT_FOUND" } } });
+    await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-01-01", "2025-01-31");
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, "logs");
+
+    const later = Date.now() + capabilities.CAPABILITY_TTL_MS + 1000;
+    t.mock.method(Date, "now", () => later);
+    mock.reset();
+    await zoho.getTimeLogsForUser("teams-raj", PORTAL_ID, "1002", "2025-02-01", "2025-02-28");
+    assert.equal(mock.requestsTo("/timelogs").length, 1);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).timelogs, "timelogs");
+  });
+
+  it("uses the bugs module on portals without issues", async () => {
+    mock.failNext({ path: `/portal/${PORTAL_ID}/issues`, status: 404, body: { error: { title: "URL_NOT_FOUND" } } });
+    const issues = await zoho.getProjectIssues("teams-raj", PORTAL_ID, "Mobile App");
+    assert.equal(issues.length, 1);
+    assert.equal((await capabilities.getCapabilities(PORTAL_ID)).issues, "bugs");
+  });
+
+  it("reports every capability of a portal", async () => {
+    const report = await zoho.probePortalCapabilities("teams-raj", PORTAL_ID);
+    assert.equal(report.timelogs, "timelogs");
+    assert.equal(report.issues, "issues");
+    assert.ok(report.checkedAt);
+  });
+});
+
+describe("rate limiting", () => {
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("retries after a 429", async () => {
+    mock.rateLimitNext({ path: "/portals" });
+    const portals = await zoho.getPortals("teams-raj");
+    assert.equal(portals.length, 2);
+    assert.equal(mock.requestsTo("/portals").length, 2);
+  });
+
+  it("backs off and retries after a rolling throttle error", async () => {
+    mock.throttleNext({ path: "/users" });
+    const users = await zoho.getUsers("teams-raj", PORTAL_ID);
+    assert.equal(users.length, 5);
+  });
+
+  it("gives up after repeated throttling instead of returning partial data", async () => {
+    mock.throttleNext({ path: "/tasks", times: 5 });
+    await assert.rejects(zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, { id: "1002", name: "Raj Kumar" }));
+  });
+});
+
+describe("when Zoho is slow or down", () => {
+  const raj = { id: "1002", name: "Raj Kumar" };
+
+  beforeEach(() => signIn(mock, "teams-raj"));
+
+  it("serves the last good response and reports it as stale", async () => {
+    const fresh = await zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj);
+    mock.failNext({ path: "/tasks", status: 503 });
+
+    const { value, staleSince } = await turnBudget.trackStaleData(() =>
+      zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj)
+    );
+    assert.deepEqual(value, fresh);
+    assert.ok(staleSince <= Date.now());
+  });
+
+  it("doesn't cache metadata built from stale responses", async () => {
+    await zoho.getUsers("teams-raj", PORTAL_ID);
+    zoho.invalidateZohoCache({ kind: "users" });
+    mock.failNext({ path: "/users", status: 500 });
+
+    const { staleSince } = await turnBudget.trackStaleData(() => zoho.getUsers("teams-raj", PORTAL_ID));
+    assert.ok(staleSince);
+
+    const { staleSince: again } = await turnBudget.trackStaleData(() => zoho.getUsers("teams-raj", PORTAL_ID));
+    assert.equal(again, null);
+    assert.equal(mock.requestsTo(`/portal/${PORTAL_ID}/users`).length, 3);
+  });
+
+  it("stops calling a portal that keeps failing", async () => {
+    mock.failNext({ path: "/tasks", status: 500, times: 5 });
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj), errors.ZohoUnavailableError);
+    }
+
+    await assert.rejects(zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj), /calls are paused/);
+    assert.equal(mock.requestsTo("/tasks").length, 5);
+  });
+
+  it("gives up on a throttle longer than the turn can wait", async () => {
+    mock.rateLimitNext({ path: "/tasks", headers: { "Retry-After": "120" } });
+    const started = Date.now();
+
+    await assert.rejects(
+      turnBudget.runWithTurnBudget(2000, () => zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj)),
+      errors.ZohoRateLimitedError
+    );
+    assert.ok(Date.now() - started < 1000);
+
+    // The user's queue stays blocked, so the next turn fails fast without calling Zoho
+    await assert.rejects(
+      turnBudget.runWithTurnBudget(2000, () => zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj)),
+      errors.ZohoRateLimitedError
+    );
+    assert.equal(mock.requestsTo("/tasks").length, 1);
+  });
+
+  it("times out a slow call within the turn's budget", async () => {
+    mock.slowNext({ path: "/tasks", ms: 1000 });
+    const started = Date.now();
+
+    await assert.rejects(
+      turnBudget.runWithTurnBudget(200, () => zoho.getPendingTasksByOwner("teams-raj", PORTAL_ID, raj)),
+      errors.ZohoUnavailableError
+    );
+    assert.ok(Date.now() - started < 800);
+  });
+});